@@ -3,13 +3,23 @@
  */
 
 let cardPool = [];
+let couplings = DEFAULT_COUPLINGS; // World dynamics table from dynamics.json
+let events = DEFAULT_EVENTS; // World event table from events.json
+let stories = DEFAULT_STORIES; // Story table from stories.json
+let achievements = DEFAULT_ACHIEVEMENTS; // Achievement table from achievements.json
 let gameLoopId = null;
 let lastFrameTime = 0;
 let isProcessingInput = false;
+let pendingResume = null; // Saved game awaiting the Continue prompt
+let pendingEra = false; // New campaign era awaiting Begin Era on its interstitial
+let runSummary = null; // Summary of the finished run, for Copy Summary
+let autoQuality = null; // Frame-time tuner while the quality setting is Auto
+let shaderFailed = false; // The last fragment.glsl edit failed to compile (its warning is showing)
 
 // Performance monitoring
 let frameTimeMonitor = {
   lastFrameTime: 0,
+  lastFrameDuration: 0, // Time taken by the latest frame (ms)
   frameCount: 0,
   totalFrameTime: 0,
   maxFrameTime: 0,
@@ -22,23 +32,50 @@ let frameTimeMonitor = {
  */
 async function initGame() {
   try {
-    // Load cards
+    // Load cards, world dynamics, world events and stories
     await loadCards();
+    await loadDynamics();
+    await loadEvents();
+    await loadStories();
+    await loadAchievements();
+    profileManager.load();
 
     // Initialize visuals
     const visualizationContainer = document.getElementById('visualization');
     visualsManager = new VisualsManager(visualizationContainer);
+    if (visualsManager.fallbackActive) {
+      uiManager.showContentWarning('WebGL is unavailable, so the Time Mirror is drawn in a simplified form.');
+    }
+    await loadShader();
+    if (isDevMode()) startShaderHotReload();
+    if (isDebugMode()) shaderInspector.show();
 
     // Initialize audio
     audioManager.initialize();
 
-    // Draw initial cards
-    drawNewCards();
+    // Initialize video clips; the Record and Clip Buffer buttons stay disabled without WebM recording
+    if (!clipRecorder.initialize(getClipSource)) {
+      uiManager.updateClipBufferDisplay(false, false);
+    }
+    clipRecorder.onBufferStopped = handleClipBufferStopped;
+
+    // Restore preferences and offer to resume a saved game
+    uiManager.renderSelectOptions('difficultySelect', DIFFICULTIES, gameState.selectedDifficulty);
+    uiManager.renderSelectOptions('modeSelect', MODES, gameState.selectedMode);
+    uiManager.renderSelectOptions('undoDepthSelect', getUndoDepthOptions(), String(gameState.undoDepth));
+    loadSavedGame();
+
+    // Start the run from the URL seed if one was given
+    gameState.reset(getRunSeed(), getGameContent());
+    renderHand();
+    replayRecorder.start(gameState.core);
+    updateTimeline();
 
     // Render initial UI
     uiManager.renderMetricBar(gameState.variables);
     uiManager.updateMetricAria(gameState.variables);
-    uiManager.updateTurnCounter(gameState.turn);
+    updateTurnDisplay();
+    uiManager.updateSeedDisplay(gameState.seed);
 
     // Set up event listeners
     setupEventListeners();
@@ -59,12 +96,99 @@ async function loadCards() {
   try {
     const response = await fetch('js/cards.json');
     if (!response.ok) throw new Error('Failed to load cards.json');
-    cardPool = await response.json();
+    const cards = await response.json();
+
+    // Skip cards that would break the simulation and tell the player why
+    const problems = validateCardPool(cards);
+    cardPool = getValidCards(cards);
+    if (problems.length > 0) {
+      const lines = formatProblems(problems);
+      console.warn(`cards.json has ${problems.length} problem(s):\n${lines.join('\n')}`);
+      uiManager.showContentWarning(`cards.json has ${problems.length} problem(s); affected cards were skipped.`, lines);
+    }
+    if (cardPool.length < 3) throw new Error(`Only ${cardPool.length} valid cards in cards.json`);
+
     console.log(`Loaded ${cardPool.length} cards`);
   } catch (error) {
     console.error('Error loading cards:', error);
     // Provide fallback card pool
     cardPool = getDefaultCardPool();
+    uiManager.showContentWarning(`Could not load cards.json (${error.message}). Using the built-in card pool.`);
+  }
+}
+
+/**
+ * Load the world dynamics coupling table from dynamics.json
+ * Falls back to the built-in table if the file is missing or invalid
+ */
+async function loadDynamics() {
+  try {
+    const response = await fetch('js/dynamics.json');
+    if (!response.ok) throw new Error('Failed to load dynamics.json');
+    const table = await response.json();
+
+    const problems = validateCouplings(table);
+    if (problems.length > 0) {
+      const lines = formatProblems(problems);
+      console.warn(`dynamics.json has ${problems.length} problem(s):\n${lines.join('\n')}`);
+      uiManager.showContentWarning(`dynamics.json has ${problems.length} problem(s); using the built-in world dynamics.`, lines);
+      return;
+    }
+
+    couplings = table;
+    console.log(`Loaded ${couplings.length} world dynamics couplings`);
+  } catch (error) {
+    console.error('Error loading world dynamics:', error);
+  }
+}
+
+/**
+ * Load the world event table from events.json
+ * Falls back to the built-in table if the file is missing or invalid
+ */
+async function loadEvents() {
+  try {
+    const response = await fetch('js/events.json');
+    if (!response.ok) throw new Error('Failed to load events.json');
+    const table = await response.json();
+
+    const problems = validateEvents(table);
+    if (problems.length > 0) {
+      const lines = formatProblems(problems);
+      console.warn(`events.json has ${problems.length} problem(s):\n${lines.join('\n')}`);
+      uiManager.showContentWarning(`events.json has ${problems.length} problem(s); using the built-in world events.`, lines);
+      return;
+    }
+
+    events = table;
+    console.log(`Loaded ${events.length} world events`);
+  } catch (error) {
+    console.error('Error loading world events:', error);
+  }
+}
+
+/**
+ * Load the story table from stories.json
+ * Falls back to the built-in stories if the file is missing or invalid
+ */
+async function loadStories() {
+  try {
+    const response = await fetch('js/stories.json');
+    if (!response.ok) throw new Error('Failed to load stories.json');
+    const table = await response.json();
+
+    const problems = validateStories(table);
+    if (problems.length > 0) {
+      const lines = formatProblems(problems);
+      console.warn(`stories.json has ${problems.length} problem(s):\n${lines.join('\n')}`);
+      uiManager.showContentWarning(`stories.json has ${problems.length} problem(s); using the built-in stories.`, lines);
+      return;
+    }
+
+    stories = table;
+    console.log(`Loaded ${stories.length} stories`);
+  } catch (error) {
+    console.error('Error loading stories:', error);
   }
 }
 
@@ -147,86 +271,649 @@ function getDefaultCardPool() {
 }
 
 /**
- * Draw three new cards for the current turn
+ * Load the visualization shader from shaders/fragment.glsl
+ * Keeps the running shader (the built-in one at startup) if the file is missing or fails to compile
+ * @param {boolean} reload - True for a dev-mode reload, which reports on screen when the shader changes
  */
-function drawNewCards() {
-  const newCards = getNextThreeCards(cardPool, uiManager.currentCards);
-  uiManager.renderCardPanel(newCards);
+async function loadShader(reload = false) {
+  try {
+    const { changed, errors } = await visualsManager.loadFragmentShader();
+    if (errors.length > 0) {
+      console.warn(`fragment.glsl failed to compile:\n${errors.join('\n')}`);
+      const fallback = visualsManager.shaderOrigin === 'built-in' ? 'the built-in shader' : 'the last working shader';
+      uiManager.showContentWarning(`fragment.glsl failed to compile; using ${fallback}.`, errors);
+      shaderFailed = true;
+      return;
+    }
+    if (!changed) return;
+
+    console.log(`Loaded ${SHADER_URL}`);
+    if (reload) {
+      if (shaderFailed) uiManager.hideContentWarning();
+      uiManager.renderSystemMessage('Shader reloaded');
+    }
+    shaderFailed = false;
+  } catch (error) {
+    // A dev server that is restarting would otherwise log every check
+    if (!reload) console.error('Error loading shader:', error);
+  }
+}
+
+/**
+ * Check whether dev mode is on (the ?dev URL parameter)
+ * @returns {boolean} True in dev mode
+ */
+function isDevMode() {
+  return new URLSearchParams(window.location.search).has('dev');
+}
+
+/**
+ * Check whether the shader inspector should open at startup (the ?debug URL parameter)
+ * @returns {boolean} True in debug mode
+ */
+function isDebugMode() {
+  return new URLSearchParams(window.location.search).has('debug');
+}
+
+/**
+ * Dev mode: re-fetch shaders/fragment.glsl periodically and recompile it when it changes
+ */
+function startShaderHotReload() {
+  const check = async () => {
+    await loadShader(true);
+    setTimeout(check, SHADER_RELOAD_INTERVAL);
+  };
+  setTimeout(check, SHADER_RELOAD_INTERVAL);
+  console.log(`Dev mode: ${SHADER_URL} reloads when it changes`);
+}
+
+/**
+ * Get the seed for a new run
+ * Uses the ?seed= URL parameter when present so shared runs replay exactly
+ * @returns {number} Run seed
+ */
+function getRunSeed() {
+  const urlSeed = parseSeed(new URLSearchParams(window.location.search).get('seed'));
+  return urlSeed !== null ? urlSeed : createSeed();
+}
+
+/**
+ * Save the in-progress game and preferences
+ */
+function saveGame() {
+  saveManager.save(
+    gameState.core,
+    {
+      qualityMode: gameState.autoQuality ? 'auto' : gameState.qualityMode,
+      audioMuted: gameState.audioMuted,
+      clipBuffer: gameState.clipBuffer,
+      difficulty: gameState.selectedDifficulty,
+      dynamics: gameState.selectedDynamics,
+      worldEvents: gameState.selectedWorldEvents,
+      stories: gameState.selectedStories,
+      mode: gameState.selectedMode,
+      campaign: gameState.selectedCampaign,
+      casual: gameState.selectedCasual,
+      undoDepth: gameState.undoDepth
+    },
+    replayRecorder.getReplay()
+  );
+}
+
+/**
+ * Load the saved game, apply its preferences and offer to continue the run
+ */
+function loadSavedGame() {
+  let saved = null;
+  try {
+    saved = saveManager.load(getGameContent());
+  } catch (error) {
+    console.warn('Could not load saved game:', error);
+    uiManager.renderSystemMessage(saveManager.hasSave()
+      ? `Could not resume your saved game: ${error.message}. It is kept until your next move; reload to try again.`
+      : `Your saved game could not be read and was discarded: ${error.message}.`);
+    return;
+  }
+  if (!saved) return;
+
+  const { qualityMode, audioMuted, clipBuffer, difficulty, dynamics, worldEvents, stories, mode, campaign, casual, undoDepth } =
+    saved.preferences;
+  if (['low', 'medium', 'high', 'auto'].includes(qualityMode)) {
+    setQualityMode(qualityMode);
+  }
+  if (typeof audioMuted === 'boolean') {
+    gameState.audioMuted = audioMuted;
+    audioManager.setMute(audioMuted);
+    uiManager.updateMuteDisplay(audioMuted);
+  }
+  if (typeof clipBuffer === 'boolean') {
+    gameState.clipBuffer = clipRecorder.setBuffering(clipBuffer);
+    uiManager.updateClipBufferDisplay(gameState.clipBuffer, clipRecorder.isSupported());
+  }
+  if (DIFFICULTIES[difficulty]) {
+    gameState.selectedDifficulty = difficulty;
+    uiManager.renderSelectOptions('difficultySelect', DIFFICULTIES, difficulty);
+  }
+  if (MODES[mode]) {
+    gameState.selectedMode = mode;
+    uiManager.renderSelectOptions('modeSelect', MODES, mode);
+  }
+  if (typeof dynamics === 'boolean') {
+    gameState.selectedDynamics = dynamics;
+    uiManager.updateDynamicsDisplay(dynamics);
+  }
+  if (typeof worldEvents === 'boolean') {
+    gameState.selectedWorldEvents = worldEvents;
+    uiManager.updateEventsDisplay(worldEvents);
+  }
+  if (typeof stories === 'boolean') {
+    gameState.selectedStories = stories;
+    uiManager.updateStoriesDisplay(stories);
+  }
+  if (typeof campaign === 'boolean') {
+    gameState.selectedCampaign = campaign;
+    uiManager.updateCampaignDisplay(campaign);
+  }
+  if (typeof casual === 'boolean') {
+    gameState.selectedCasual = casual;
+    uiManager.updateCasualDisplay(casual);
+  }
+  if (CASUAL_RULES.undoDepths.includes(undoDepth)) {
+    gameState.setUndoDepth(undoDepth);
+    uiManager.renderSelectOptions('undoDepthSelect', getUndoDepthOptions(), String(undoDepth));
+  }
+
+  // Only unfinished runs with at least one card played are worth resuming
+  if (saved.state.gameStatus === 'playing' && saved.state.turn > 1) {
+    pendingResume = saved;
+    uiManager.showContinueScreen(saved.state.turn, saved.state.seed, DIFFICULTIES[saved.state.difficulty].label);
+  }
+}
+
+/**
+ * Handle Continue on the resume prompt
+ */
+function handleContinue() {
+  if (!pendingResume) return;
+
+  gameState.restore(pendingResume.state);
+  replayRecorder.resume(pendingResume.replay, gameState.core);
+  pendingResume = null;
+  updateTimeline();
+
+  uiManager.hideContinueScreen();
+  uiManager.renderMetricBar(gameState.variables);
+  uiManager.updateMetricAria(gameState.variables);
+  updateTurnDisplay();
+  uiManager.updateSeedDisplay(gameState.seed);
+  renderHand();
+  uiManager.renderSystemMessage(`Welcome back. Resuming at turn ${gameState.turn}.`);
+  uiManager.announceToScreenReader(`Saved game resumed at turn ${gameState.turn}.`);
+  if (gameState.core.rewardOffer) showReward();
+  if (gameState.core.story) announceStory();
+}
+
+/**
+ * Handle New Game on the resume prompt
+ */
+function handleDeclineContinue() {
+  pendingResume = null;
+  uiManager.hideContinueScreen();
+  saveGame();
+}
+
+/**
+ * Load the achievement table from achievements.json
+ * Falls back to the built-in achievements if the file is missing or invalid
+ */
+async function loadAchievements() {
+  try {
+    const response = await fetch('js/achievements.json');
+    if (!response.ok) throw new Error('Failed to load achievements.json');
+    const table = await response.json();
+
+    const problems = validateAchievements(table);
+    if (problems.length > 0) {
+      const lines = formatProblems(problems);
+      console.warn(`achievements.json has ${problems.length} problem(s):\n${lines.join('\n')}`);
+      uiManager.showContentWarning(`achievements.json has ${problems.length} problem(s); using the built-in achievements.`, lines);
+      return;
+    }
+
+    achievements = table;
+    console.log(`Loaded ${achievements.length} achievements`);
+  } catch (error) {
+    console.error('Error loading achievements:', error);
+  }
+}
+
+/**
+ * Get the content the simulation draws from
+ * @returns {Object} Game content ({ cards, couplings, events, stories })
+ */
+function getGameContent() {
+  return { cards: cardPool, couplings, events, stories };
+}
+
+/**
+ * Render the hand dealt by the simulation for the current turn (or the story
+ * waiting in its place), the pending echoes and, in deck-building mode, the deck piles
+ */
+function renderHand() {
+  const fromDeck = gameState.mode === 'deck';
+  if (gameState.core.story) {
+    uiManager.renderStoryPanel(findStory(gameState.core.story, getGameContent()));
+  } else {
+    uiManager.renderCardPanel(gameState.hand, { state: gameState.core, cards: cardPool, fromDeck });
+  }
+  updateUndoButton();
+  uiManager.renderActiveEchoes(gameState.core.echoes);
+  uiManager.renderDeckStatus(gameState.core.deck, gameState.hand.length);
+}
+
+/**
+ * Show the turn history of the run, or of the replay up to the turn being shown
+ */
+function updateTimeline() {
+  const replay = replayPlayer.active ? replayPlayer.replay : replayRecorder.getReplay();
+  if (!replay) return;
+
+  const timeline = getReplayTimeline(replay, replayPlayer.active ? replayPlayer.position : undefined);
+  const last = timeline.turns[timeline.turns.length - 1];
+  const rules = replayPlayer.active
+    ? getRules({ difficulty: replay.difficulty, era: last && last.era !== undefined ? last.era : null })
+    : gameState.rules;
+  uiManager.renderTimeline(timeline, { findCard: findCardById, events, stories }, rules);
+}
+
+/**
+ * Show whether the last turn can be undone
+ */
+function updateUndoButton() {
+  uiManager.updateUndoDisplay(gameState.core.casual, gameState.canUndo ? gameState.history.length : 0);
+}
+
+/**
+ * Show the turn counter and era palette
+ * @param {number} turn - Turn number
+ * @param {Object} progress - Campaign progress ({ number, turn, era }), or null outside a campaign
+ */
+function updateTurnDisplay(turn = gameState.turn, progress = gameState.eraProgress) {
+  uiManager.updateTurnCounter(turn, progress);
+  visualsManager.setPalette(progress ? progress.era.palette : null);
+}
+
+/**
+ * Show the interstitial for the era the campaign just entered
+ */
+function showEra() {
+  uiManager.showEraScreen(gameState.eraProgress, gameState.rules, gameState.core.variables);
+}
+
+/**
+ * Handle Begin Era on the era interstitial
+ */
+function handleEraContinue() {
+  if (!pendingEra) return;
+
+  pendingEra = false;
+  uiManager.hideEraScreen();
+  if (gameState.core.rewardOffer) showReward();
+}
+
+/**
+ * Show the reward choice waiting in a deck-building run
+ */
+function showReward() {
+  const offered = gameState.core.rewardOffer.map(findCardById);
+  uiManager.showRewardScreen(offered, { state: gameState.core, cards: cardPool });
+  uiManager.announceToScreenReader(
+    `Choose a card for your deck: ${offered.map((card, i) => `${i + 1}, ${card.title}`).join('; ')}. Or skip.`
+  );
+}
+
+/**
+ * Handle a reward choice
+ * @param {number|null} rewardIndex - Index of the chosen card in the offer, or null to skip
+ */
+function handleRewardSelect(rewardIndex) {
+  const offer = gameState.core.rewardOffer;
+  if (!offer || pendingEra) return;
+
+  const cardId = rewardIndex === null ? null : offer[rewardIndex];
+  if (cardId === undefined) return;
+
+  gameState.chooseReward(cardId);
+  replayRecorder.recordReward(offer, cardId);
+  saveGame();
+  updateTimeline();
+
+  uiManager.hideRewardScreen();
+  renderHand();
+  const message = cardId ? `${findCardById(cardId).title} joins your deck.` : 'Reward skipped.';
+  uiManager.renderSystemMessage(message);
+  uiManager.announceToScreenReader(message);
+}
+
+/**
+ * Announce the story waiting for a choice
+ */
+function announceStory() {
+  const story = findStory(gameState.core.story, getGameContent());
+  uiManager.announceToScreenReader(
+    `Story: ${story.title}. ${story.prompt} ` +
+    `${story.choices.map((choice, i) => `${i + 1}, ${choice.label}`).join('; ')}.`
+  );
+}
+
+/**
+ * Handle a story choice
+ * @param {number} choiceIndex - Index of the chosen option
+ */
+function handleStoryChoice(choiceIndex) {
+  if (!gameState.core.story || gameState.isInterpolating || isProcessingInput ||
+      replayPlayer.active || pendingResume || pendingEra) {
+    return;
+  }
+
+  const story = findStory(gameState.core.story, getGameContent());
+  const choice = story.choices[choiceIndex];
+  if (!choice) return;
+
+  isProcessingInput = true;
+  gameState.chooseStory(choiceIndex, getGameContent(), handleStoryResolved);
+  replayRecorder.recordStory(story.id, choiceIndex, gameState.core);
+  saveGame();
+  updateUndoButton();
+
+  const consequence = choice.unlocks && choice.unlocks.length > 0 ? ' This choice may come back later.' : '';
+  uiManager.renderSystemMessage(`${story.title}: ${choice.label}. ${formatEffectList(choice.effects)}.${consequence}`);
+}
+
+/**
+ * Present the outcome of a story choice
+ * @param {Object} result - Story result from chooseStory
+ */
+function handleStoryResolved(result) {
+  uiManager.renderMetricBar(gameState.variables);
+  uiManager.updateMetricAria(gameState.variables);
+  updateTimeline();
+  updateProfile('turn');
+
+  if (result.outcome === 'collapse') {
+    showCollapse();
+  } else {
+    renderHand();
+  }
+
+  isProcessingInput = false;
+  updateUndoButton();
+}
+
+/**
+ * Animate and announce a collapse, then show the game over screen
+ */
+function showCollapse() {
+  const rules = gameState.rules;
+  const difficultyLabel = DIFFICULTIES[gameState.difficulty].label;
+  const fallen = VARIABLES.filter(key => gameState.core.variables[key] <= rules.collapseThreshold);
+  const summary = `${fallen.map(key => key.charAt(0).toUpperCase() + key.slice(1)).join(' and ')} fell to ` +
+    `${rules.collapseThreshold} or below on turn ${gameState.turn} (${difficultyLabel}).`;
+  const run = summarizeRun();
+  updateProfile('end');
+  visualsManager.animateCollapse();
+  audioManager.playCollapseSound();
+  saveEndClip();
+  uiManager.announceToScreenReader(`Civilization collapsed. ${summary}`);
+  setTimeout(() => {
+    uiManager.showGameOverScreen(summary, difficultyLabel, run);
+  }, 500);
+}
+
+/**
+ * Summarize the finished run from its replay log for the end screens
+ * @returns {Object} { stats, rules, lookup, difficultyLabel }
+ */
+function summarizeRun() {
+  runSummary = {
+    stats: summarizeReplay(replayRecorder.getReplay()),
+    rules: gameState.rules,
+    lookup: { findCard: findCardById },
+    difficultyLabel: DIFFICULTIES[gameState.difficulty].label
+  };
+  return runSummary;
+}
+
+/**
+ * Update the player profile after a turn or at the end of a run, and announce new achievements
+ * Casual runs are left out, since their turns can be taken back
+ * @param {string} trigger - 'turn' after a turn or story choice, 'end' when the run is over
+ */
+function updateProfile(trigger) {
+  const replay = replayRecorder.getReplay();
+  if (gameState.core.casual || !replay) return;
+
+  if (trigger === 'end') profileManager.recordRun(replay);
+  const facts = { run: getRunFacts(replay), variables: gameState.core.variables };
+  profileManager.unlock(trigger, facts, achievements).forEach(achievement => {
+    uiManager.showAchievementToast(achievement);
+    uiManager.announceToScreenReader(`Achievement unlocked: ${achievement.title}. ${achievement.desc}.`);
+  });
+}
+
+/**
+ * Copy the summary of the finished run to the clipboard as shareable text
+ * @param {Event} e - Click event from a Copy Summary button
+ */
+async function handleCopySummary(e) {
+  if (!runSummary) return;
+
+  const button = e.currentTarget;
+  const { stats, lookup, rules, difficultyLabel } = runSummary;
+  const text = uiManager.formatRunSummaryText(stats, lookup, rules, difficultyLabel);
+  try {
+    await navigator.clipboard.writeText(text);
+    button.textContent = 'Copied!';
+    uiManager.announceToScreenReader('Run summary copied to the clipboard.');
+  } catch (error) {
+    console.warn('Failed to copy run summary:', error);
+    button.textContent = 'Copy failed';
+    uiManager.announceToScreenReader('Could not copy the run summary.');
+  }
+  setTimeout(() => {
+    button.textContent = 'Copy Summary';
+  }, 2000);
+}
+
+/**
+ * Handle the deck viewer button
+ */
+function handleViewDeck() {
+  const deck = gameState.core.deck;
+  if (!deck || replayPlayer.active) return;
+
+  const deckScreen = document.getElementById('deckScreen');
+  if (deckScreen && !deckScreen.classList.contains('hidden')) {
+    uiManager.hideDeckScreen();
+    return;
+  }
+  uiManager.showDeckScreen({
+    hand: gameState.hand,
+    draw: deck.draw.map(findCardById),
+    discard: deck.discard.map(findCardById)
+  });
+}
+
+/**
+ * Preview the projected effects of a card in the hand
+ * @param {number} cardIndex - Index of the hovered or focused card
+ * @param {boolean} announce - Also read the projection to screen readers (on keyboard focus)
+ */
+function handleCardPreview(cardIndex, announce = false) {
+  if (gameState.gameStatus !== 'playing' || gameState.isInterpolating || isProcessingInput ||
+      replayPlayer.active || gameState.core.story) {
+    return;
+  }
+
+  const card = gameState.hand[cardIndex];
+  if (!card) return;
+
+  const preview = previewCard(gameState.core, card, getGameContent());
+  uiManager.showEffectPreview(preview, gameState.rules);
+  if (announce) {
+    uiManager.announceToScreenReader(`${card.title}. ${uiManager.describeEffectPreview(preview)}`);
+  }
 }
 
 /**
  * Handle card selection
  */
 function handleCardSelect(cardIndex) {
-  if (gameState.gameStatus !== 'playing' || gameState.isInterpolating || isProcessingInput) {
+  if (gameState.gameStatus !== 'playing' || gameState.isInterpolating || isProcessingInput ||
+      replayPlayer.active || pendingResume || pendingEra || gameState.core.rewardOffer || gameState.core.story) {
     return;
   }
 
+  const card = gameState.hand[cardIndex];
+  if (!card) return;
+
   isProcessingInput = true;
+  uiManager.hideWorldEvent();
+  uiManager.hideEffectPreview();
 
-  const card = uiManager.currentCards[cardIndex];
-  if (!card) return;
+  // Resolve the turn; the UI follows once the variables finish animating
+  const previousState = gameState.core;
+  const result = gameState.playCard(card, getGameContent(), handleTurnResolved);
+  replayRecorder.record(previousState, card, result);
+  saveGame();
+  updateUndoButton();
 
-  // Apply card effects
-  gameState.applyCardEffects(card, card.variance || 0);
+  // Show system message, including conditional effects, echoes that landed and passive drift this turn
+  const conditionals = result.conditionals.map(entry => uiManager.describeConditional(entry, cardPool));
+  const parts = [
+    formatMessage(card, card.effects),
+    ...conditionals,
+    formatEchoes(result.echoes),
+    formatDrift(result.drift, result.couplings)
+  ];
+  uiManager.renderSystemMessage(parts.filter(Boolean).join('. '));
 
-  // Show system message
-  const message = formatMessage(card, card.effects);
-  uiManager.renderSystemMessage(message);
+  if (result.event) {
+    uiManager.showWorldEvent(result.event);
+    audioManager.playEventSound();
+    uiManager.announceToScreenReader(
+      `World event: ${result.event.title}. ${result.event.desc}. ${formatEffectList(result.event.effects)}`
+    );
+  }
+}
 
-  // After interpolation completes, check conditions and advance turn
-  const checkInterval = setInterval(() => {
-    if (!gameState.isInterpolating) {
-      clearInterval(checkInterval);
+/**
+ * Present the outcome of a resolved turn
+ * @param {Object} result - Turn result from resolveTurn
+ */
+function handleTurnResolved(result) {
+  // Update UI
+  uiManager.renderMetricBar(gameState.variables);
+  uiManager.updateMetricAria(gameState.variables);
+  uiManager.renderActiveEchoes(gameState.core.echoes);
+  updateTimeline();
+  updateProfile('turn');
 
-      // Update UI
-      uiManager.renderMetricBar(gameState.variables);
-      uiManager.updateMetricAria(gameState.variables);
-
-      // Check win/loss conditions
-      if (gameState.checkVictoryCondition()) {
-        visualsManager.animateVictory();
-        audioManager.playVictorySound();
-        uiManager.announceToScreenReader('Victory! All civilization variables have reached harmony.');
-        setTimeout(() => {
-          uiManager.showVictoryScreen();
-        }, 500);
-      } else if (gameState.checkCollapseCondition()) {
-        visualsManager.animateCollapse();
-        audioManager.playCollapseSound();
-        uiManager.announceToScreenReader('Civilization collapsed. One or more variables fell below critical threshold.');
-        setTimeout(() => {
-          uiManager.showGameOverScreen();
-        }, 500);
-      } else {
-        // Advance turn and draw new cards
-        gameState.advanceTurn();
-        uiManager.updateTurnCounter(gameState.turn);
-        drawNewCards();
-      }
+  const rules = gameState.rules;
+  const difficultyLabel = DIFFICULTIES[gameState.difficulty].label;
 
-      isProcessingInput = false;
-    }
-  }, 16); // Check every frame
+  if (result.outcome === 'victory') {
+    const campaign = gameState.eraProgress ? `All ${ERAS.length} eras completed. ` : '';
+    const summary = `${campaign}All variables held at ${rules.victoryThreshold} or higher for ${rules.victoryTurns} turns ` +
+      `on ${difficultyLabel}, reached on turn ${gameState.turn}.`;
+    const run = summarizeRun();
+    updateProfile('end');
+    visualsManager.animateVictory();
+    audioManager.playVictorySound();
+    saveEndClip();
+    uiManager.announceToScreenReader(`Victory! ${summary}`);
+    setTimeout(() => {
+      uiManager.showVictoryScreen(summary, difficultyLabel, run);
+    }, 500);
+  } else if (result.outcome === 'collapse') {
+    showCollapse();
+  } else if (result.outcome === 'era') {
+    // The next era and its first hand were already resolved by the simulation
+    const progress = gameState.eraProgress;
+    updateTurnDisplay();
+    renderHand();
+    pendingEra = true;
+    showEra();
+    audioManager.playVictorySound();
+    uiManager.announceToScreenReader(
+      `Era complete. Era ${progress.number} begins: ${progress.era.label}. ` +
+      `Hold every variable at ${rules.victoryThreshold} or higher for ${rules.victoryTurns} turns.`
+    );
+  } else {
+    // Next turn and its hand were already resolved by the simulation
+    updateTurnDisplay();
+    renderHand();
+    if (gameState.core.rewardOffer) showReward();
+    if (gameState.core.story) announceStory();
+  }
+
+  isProcessingInput = false;
+  updateUndoButton();
+}
+
+/**
+ * Handle undo: take back the last turn of a casual run
+ */
+function handleUndo() {
+  if (replayPlayer.active || pendingResume || isProcessingInput || !gameState.canUndo) return;
+
+  gameState.undo();
+  replayRecorder.undo();
+  pendingEra = false;
+
+  uiManager.hideModals();
+  uiManager.hideWorldEvent();
+  uiManager.hideEffectPreview();
+  visualsManager.resetMorphs();
+  uiManager.renderMetricBar(gameState.variables);
+  uiManager.updateMetricAria(gameState.variables);
+  updateTurnDisplay();
+  renderHand();
+  updateTimeline();
+  saveGame();
+  if (gameState.core.rewardOffer) showReward();
+
+  const message = `Turn ${gameState.turn} taken back. Choose again.`;
+  uiManager.renderSystemMessage(message);
+  uiManager.announceToScreenReader(message);
 }
 
 /**
  * Handle restart
  */
 function handleRestart() {
-  gameState.reset();
+  if (replayPlayer.active) exitReplay();
+  if (pendingResume) handleDeclineContinue();
+  pendingEra = false;
+
+  gameState.reset(getRunSeed(), getGameContent());
   uiManager.hideModals();
+  uiManager.hideWorldEvent();
   uiManager.hideHelpScreen();
   uiManager.renderMetricBar(gameState.variables);
   uiManager.updateMetricAria(gameState.variables);
-  uiManager.updateTurnCounter(gameState.turn);
-  drawNewCards();
+  updateTurnDisplay();
+  uiManager.updateSeedDisplay(gameState.seed);
+  renderHand();
+  replayRecorder.start(gameState.core);
+  updateTimeline();
+  saveGame();
   uiManager.renderSystemMessage('Game restarted. Choose wisely.');
-  uiManager.announceToScreenReader('Game restarted. All variables reset to 50.');
-  visualsManager.victoryMorphProgress = 0;
-  visualsManager.collapseMorphProgress = 0;
-  visualsManager.uniforms.u_victoryMorph.value = 0;
-  visualsManager.uniforms.u_collapseMorph.value = 0;
+  uiManager.announceToScreenReader(
+    `Game restarted on ${DIFFICULTIES[gameState.difficulty].label}. ` +
+    `All variables reset to ${gameState.rules.startValue}.`
+  );
+  visualsManager.resetMorphs();
   audioManager.resumeContext();
   isProcessingInput = false;
 }
@@ -239,22 +926,495 @@ function handleScreenshot() {
   uiManager.renderSystemMessage('Screenshot saved!');
 }
 
+/**
+ * Get what video clips record: the Time Mirror canvas, and the soundscape unless it is muted
+ * @returns {Object} { canvas, audio }
+ */
+function getClipSource() {
+  const audio = audioManager.isInitialized && !gameState.audioMuted ? audioManager.masterGain : null;
+  return { canvas: visualsManager.getCanvas(), audio };
+}
+
+/**
+ * Handle the Record button: start recording, or stop and download the clip
+ */
+async function handleRecordToggle() {
+  let message;
+  if (!clipRecorder.isSupported()) {
+    message = 'Video recording is not supported in this browser.';
+  } else if (clipRecorder.isRecording()) {
+    try {
+      await clipRecorder.stopRecording();
+      message = 'Clip saved!';
+    } catch (error) {
+      console.error('Error saving video clip:', error);
+      message = 'The clip could not be saved.';
+    }
+  } else if (clipRecorder.startRecording()) {
+    message = 'Recording the Time Mirror. Press V again to stop.';
+  } else {
+    message = 'Recording could not be started.';
+  }
+  uiManager.renderSystemMessage(message);
+  uiManager.announceToScreenReader(message);
+}
+
+/**
+ * Handle the clip buffer toggle: keep the last seconds so they can be saved as a clip
+ */
+function handleClipBufferToggle() {
+  gameState.clipBuffer = clipRecorder.setBuffering(!gameState.clipBuffer);
+  uiManager.updateClipBufferDisplay(gameState.clipBuffer, clipRecorder.isSupported());
+  saveGame();
+}
+
+/**
+ * Turn the clip buffer setting off after the buffer stopped because a recording failed to start
+ */
+function handleClipBufferStopped() {
+  gameState.clipBuffer = false;
+  uiManager.updateClipBufferDisplay(false, clipRecorder.isSupported());
+  saveGame();
+  uiManager.renderSystemMessage('The clip buffer stopped because recording failed.');
+}
+
+/**
+ * Save the last seconds from the clip buffer
+ */
+async function handleSaveClip() {
+  if (!clipRecorder.isBuffering()) {
+    uiManager.renderSystemMessage(`Turn on the clip buffer to save the last ${CLIP_SETTINGS.bufferSeconds} seconds.`);
+    return;
+  }
+  try {
+    const seconds = await clipRecorder.saveBuffer();
+    uiManager.renderSystemMessage(`Saved the last ${seconds} seconds as a clip.`);
+  } catch (error) {
+    console.error('Error saving video clip:', error);
+    uiManager.renderSystemMessage('The clip could not be saved.');
+  }
+}
+
+/**
+ * Save a clip of a victory or collapse once its animation has played, if the clip buffer is on
+ */
+function saveEndClip() {
+  if (!clipRecorder.isBuffering()) return;
+  setTimeout(handleSaveClip, CLIP_SETTINGS.endClipDelay);
+}
+
+/**
+ * Handle replay export
+ */
+function handleExportReplay() {
+  const replay = replayRecorder.getReplay();
+  if (!replay || replay.turns.length === 0) {
+    uiManager.renderSystemMessage('Nothing to export yet. Play a card first.');
+    return;
+  }
+  downloadJSON(replay, `echoes-replay-${replay.seed}-${Date.now()}.json`);
+  uiManager.renderSystemMessage('Replay exported!');
+}
+
+/**
+ * Handle replay file selection
+ * @param {Event} e - Change event from the replay file input
+ */
+async function handleReplayFile(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+  if (isProcessingInput) {
+    uiManager.renderSystemMessage('Wait for the current turn to finish before loading a replay.');
+    return;
+  }
+
+  try {
+    const replay = parseReplay(await file.text());
+    enterReplay(replay);
+  } catch (error) {
+    console.error('Error loading replay:', error);
+    uiManager.renderSystemMessage(`Could not load replay: ${error.message}`);
+  }
+}
+
+/**
+ * Find a card in the pool by id, with a placeholder for removed cards
+ * @param {string} id - Card id
+ * @returns {Object} Card object
+ */
+function findCardById(id) {
+  return cardPool.find(c => c.id === id) || { id, title: id, desc: 'Card no longer in the pool', effects: {} };
+}
+
+/**
+ * Enter playback mode for a replay
+ * The replay is re-simulated first, so one that cannot be played leaves the live game untouched
+ * @param {Object} replay - Replay log
+ */
+function enterReplay(replay) {
+  let check;
+  try {
+    check = verifyReplay(replay, getGameContent());
+  } catch (error) {
+    console.error('Error verifying replay:', error);
+    uiManager.renderSystemMessage(`Could not load replay: ${error.message}`);
+    return;
+  }
+
+  uiManager.hideModals();
+  uiManager.hideWorldEvent();
+  visualsManager.resetMorphs();
+  replayPlayer.load(replay, handleReplayStep);
+
+  uiManager.renderCardPanel(replay.turns.length > 0 ? replay.turns[0].hand.map(findCardById) : []);
+  uiManager.renderActiveEchoes([]);
+  updateTurnDisplay(1, replay.turns.length > 0 ? getReplayEraProgress(replay.turns[0]) : null);
+  uiManager.updateSeedDisplay(replay.seed);
+  uiManager.showReplayControls();
+  uiManager.updateReplayStatus(0, replay.turns.length, false);
+  updateTimeline();
+
+  const note = check.ok ? '' : ` Recorded with a different card pool or world dynamics (${check.reason} at turn ${check.turn}).`;
+  const difficulty = DIFFICULTIES[replay.difficulty] || DIFFICULTIES[DEFAULT_DIFFICULTY];
+  uiManager.renderSystemMessage(
+    `Replay loaded: ${replay.turns.length} turns, seed ${replay.seed}, ${difficulty.label}` +
+    `${replay.mode === 'deck' ? ', deck-building' : ''}${replay.dynamics ? ', dynamic world' : ''}` +
+    `${replay.worldEvents ? ', world events' : ''}${replay.stories ? ', stories' : ''}` +
+    `${replay.campaign ? ', campaign' : ''}${replay.casual ? ', casual' : ''}.${note}`
+  );
+  uiManager.announceToScreenReader(`Replay loaded with ${replay.turns.length} turns. Press space to play, right arrow to step.`);
+}
+
+/**
+ * Get the campaign progress recorded with a replay turn
+ * @param {Object} entry - Replay turn entry
+ * @returns {Object|null} { number, turn, era }, or null if the replay is not a campaign
+ */
+function getReplayEraProgress(entry) {
+  if (entry.era === undefined || !ERAS[entry.era]) return null;
+  return { number: entry.era + 1, turn: entry.eraTurn, era: ERAS[entry.era] };
+}
+
+/**
+ * Show one replayed turn
+ * @param {Object} entry - Replay turn entry
+ * @param {number} position - Turns shown so far
+ */
+function handleReplayStep(entry, position) {
+  const total = replayPlayer.replay.turns.length;
+  const card = findCardById(entry.card);
+  const effects = {};
+  for (const [key, value] of Object.entries(entry.effects)) {
+    effects[key] = Math.round(value);
+  }
+
+  uiManager.renderCardPanel(entry.hand.map(findCardById));
+  uiManager.highlightCard(entry.hand.indexOf(entry.card));
+  updateTurnDisplay(entry.turn, getReplayEraProgress(entry));
+  const reward = entry.reward && entry.reward.chosen ? ` Added ${findCardById(entry.reward.chosen).title} to the deck.` : '';
+  const recordedEvent = entry.event ? events.find(e => e.id === entry.event) : null;
+  const event = recordedEvent ? ` World event: ${recordedEvent.title}.` : '';
+  const recordedStory = entry.story ? stories.find(s => s.id === entry.story.id) : null;
+  const choice = recordedStory ? recordedStory.choices[entry.story.choice] : null;
+  const story = choice ? ` ${recordedStory.title}: ${choice.label}.` : '';
+  uiManager.renderSystemMessage(`${card.title}: ${formatMessage(card, effects)}${event}${story}${reward}`);
+  uiManager.updateReplayStatus(position, total, replayPlayer.isPlaying);
+  updateTimeline();
+
+  if (entry.outcome === 'victory') {
+    visualsManager.animateVictory();
+  } else if (entry.outcome === 'collapse') {
+    visualsManager.animateCollapse();
+  }
+}
+
+/**
+ * Handle replay play/pause
+ */
+function handleReplayPlayToggle() {
+  replayPlayer.togglePlay();
+  uiManager.updateReplayStatus(replayPlayer.position, replayPlayer.replay.turns.length, replayPlayer.isPlaying);
+}
+
+/**
+ * Handle replay single step
+ */
+function handleReplayStepForward() {
+  replayPlayer.pause();
+  if (!replayPlayer.step()) {
+    uiManager.updateReplayStatus(replayPlayer.position, replayPlayer.replay.turns.length, false);
+  }
+}
+
+/**
+ * Leave playback mode and return to the live game
+ */
+function exitReplay() {
+  replayPlayer.unload();
+  uiManager.hideReplayControls();
+  visualsManager.resetMorphs();
+  if (gameState.gameStatus === 'victory') visualsManager.uniforms.u_victoryMorph.value = 1;
+  if (gameState.gameStatus === 'collapse') visualsManager.uniforms.u_collapseMorph.value = 1;
+
+  renderHand();
+  updateTurnDisplay();
+  updateTimeline();
+  uiManager.updateSeedDisplay(gameState.seed);
+  uiManager.renderSystemMessage('Replay closed. Back to your run.');
+
+  if (gameState.gameStatus === 'victory') uiManager.showVictoryScreen();
+  if (gameState.gameStatus === 'collapse') uiManager.showGameOverScreen();
+  if (pendingEra) {
+    showEra();
+  } else if (gameState.core.rewardOffer) {
+    showReward();
+  }
+}
+
+/**
+ * Check whether the current run has not started yet
+ * Run settings change immediately on a fresh run, otherwise from the next restart
+ * @returns {boolean} True if no card has been played and nothing else is in progress
+ */
+function isFreshRun() {
+  return gameState.turn === 1 && gameState.gameStatus === 'playing' &&
+    !isProcessingInput && !replayPlayer.active && !pendingResume;
+}
+
+/**
+ * Handle difficulty selection
+ * @param {Event} e - Change event from the difficulty select
+ */
+function handleDifficultyChange(e) {
+  const difficulty = e.target.value;
+  if (!DIFFICULTIES[difficulty]) return;
+
+  gameState.selectedDifficulty = difficulty;
+  const label = DIFFICULTIES[difficulty].label;
+
+  if (isFreshRun()) {
+    handleRestart();
+    uiManager.renderSystemMessage(`Difficulty set to ${label}. Choose wisely.`);
+  } else {
+    saveGame();
+    uiManager.renderSystemMessage(`${label} difficulty will apply when you restart.`);
+  }
+}
+
+/**
+ * Handle game mode selection
+ * @param {Event} e - Change event from the mode select
+ */
+function handleModeChange(e) {
+  const mode = e.target.value;
+  if (!MODES[mode]) return;
+
+  gameState.selectedMode = mode;
+  const label = MODES[mode].label;
+
+  if (isFreshRun()) {
+    handleRestart();
+    uiManager.renderSystemMessage(`${label} mode selected. Choose wisely.`);
+  } else {
+    saveGame();
+    uiManager.renderSystemMessage(`${label} mode will apply when you restart.`);
+  }
+}
+
+/**
+ * Handle campaign toggle
+ */
+function handleCampaignToggle() {
+  gameState.selectedCampaign = !gameState.selectedCampaign;
+  uiManager.updateCampaignDisplay(gameState.selectedCampaign);
+  const label = gameState.selectedCampaign ? 'Campaign' : 'Single-era run';
+
+  if (isFreshRun()) {
+    handleRestart();
+    uiManager.renderSystemMessage(`${label} selected. Choose wisely.`);
+  } else {
+    saveGame();
+    uiManager.renderSystemMessage(`${label} will apply when you restart.`);
+  }
+}
+
+/**
+ * Handle casual play toggle
+ */
+function handleCasualToggle() {
+  gameState.selectedCasual = !gameState.selectedCasual;
+  uiManager.updateCasualDisplay(gameState.selectedCasual);
+  const label = gameState.selectedCasual ? 'Casual play (with undo)' : 'Casual play off';
+
+  if (isFreshRun()) {
+    handleRestart();
+    uiManager.renderSystemMessage(`${label}. Choose wisely.`);
+  } else {
+    saveGame();
+    uiManager.renderSystemMessage(`${label} will apply when you restart.`);
+  }
+}
+
+/**
+ * Get the undo depths for the depth select
+ * @returns {Object} { label } by depth
+ */
+function getUndoDepthOptions() {
+  const options = {};
+  CASUAL_RULES.undoDepths.forEach(depth => {
+    options[depth] = { label: `Undo: ${depth} turn${depth === 1 ? '' : 's'}` };
+  });
+  return options;
+}
+
+/**
+ * Handle undo depth selection; it applies at once, dropping history beyond the new depth
+ * @param {Event} e - Change event from the undo depth select
+ */
+function handleUndoDepthChange(e) {
+  const depth = Number(e.target.value);
+  if (!CASUAL_RULES.undoDepths.includes(depth)) return;
+
+  gameState.setUndoDepth(depth);
+  updateUndoButton();
+  saveGame();
+  uiManager.renderSystemMessage(`Casual runs can take back up to ${depth} turn${depth === 1 ? '' : 's'}.`);
+}
+
+/**
+ * Handle world dynamics toggle
+ */
+function handleDynamicsToggle() {
+  gameState.selectedDynamics = !gameState.selectedDynamics;
+  uiManager.updateDynamicsDisplay(gameState.selectedDynamics);
+  const label = gameState.selectedDynamics ? 'Dynamic world' : 'Static world';
+
+  if (isFreshRun()) {
+    handleRestart();
+    uiManager.renderSystemMessage(`${label} selected. Choose wisely.`);
+  } else {
+    saveGame();
+    uiManager.renderSystemMessage(`${label} will apply when you restart.`);
+  }
+}
+
+/**
+ * Handle stories toggle
+ */
+function handleStoriesToggle() {
+  gameState.selectedStories = !gameState.selectedStories;
+  uiManager.updateStoriesDisplay(gameState.selectedStories);
+  const label = gameState.selectedStories ? 'Stories on' : 'Stories off';
+
+  if (isFreshRun()) {
+    handleRestart();
+    uiManager.renderSystemMessage(`${label}. Choose wisely.`);
+  } else {
+    saveGame();
+    uiManager.renderSystemMessage(`${label} will apply when you restart.`);
+  }
+}
+
+/**
+ * Handle world events toggle
+ */
+function handleEventsToggle() {
+  gameState.selectedWorldEvents = !gameState.selectedWorldEvents;
+  uiManager.updateEventsDisplay(gameState.selectedWorldEvents);
+  const label = gameState.selectedWorldEvents ? 'World events on' : 'World events off';
+
+  if (isFreshRun()) {
+    handleRestart();
+    uiManager.renderSystemMessage(`${label}. Choose wisely.`);
+  } else {
+    saveGame();
+    uiManager.renderSystemMessage(`${label} will apply when you restart.`);
+  }
+}
+
+/**
+ * Show or hide the shader inspector
+ * Hiding it puts every layer back and returns to the game's variables
+ */
+function handleInspectorToggle() {
+  shaderInspector.toggle();
+  visualsManager.setLayerGains(shaderInspector.getLayerGains());
+}
+
+/**
+ * Solo or mute a shader layer from the inspector
+ * @param {string} key - Layer key
+ * @param {string} action - 'solo' or 'mute'
+ */
+function handleInspectorLayer(key, action) {
+  shaderInspector.toggleLayer(key, action);
+  visualsManager.setLayerGains(shaderInspector.getLayerGains());
+}
+
+/**
+ * Get the variables on display: the replay's while one is playing, otherwise the game's
+ * @returns {Object} Displayed variables
+ */
+function getDisplayedVariables() {
+  return replayPlayer.active ? replayPlayer.variables : gameState.variables;
+}
+
 /**
  * Handle quality mode toggle
  */
 function handleQualityToggle() {
-  const modes = ['low', 'medium', 'high'];
-  const currentIndex = modes.indexOf(gameState.qualityMode);
+  const modes = ['low', 'medium', 'high', 'auto'];
+  const currentIndex = modes.indexOf(gameState.autoQuality ? 'auto' : gameState.qualityMode);
   const nextIndex = (currentIndex + 1) % modes.length;
-  gameState.qualityMode = modes[nextIndex];
-  uiManager.updateQualityDisplay(gameState.qualityMode);
-  
+  setQualityMode(modes[nextIndex]);
+  saveGame();
+}
+
+/**
+ * Apply a quality setting
+ * @param {string} mode - 'low', 'medium', 'high', or 'auto' to pick the tier from frame times
+ */
+function setQualityMode(mode) {
+  gameState.autoQuality = mode === 'auto';
+  if (gameState.autoQuality) {
+    // Start from the current tier and adjust from there
+    autoQuality = new AutoQuality(gameState.qualityMode);
+  } else {
+    autoQuality = null;
+    gameState.qualityMode = mode;
+  }
+  applyQualityTier();
+}
+
+/**
+ * Show the quality tier and render with it
+ */
+function applyQualityTier() {
+  uiManager.updateQualityDisplay(gameState.qualityMode, gameState.autoQuality);
+
   // Update visuals with new quality mode
   if (visualsManager) {
     visualsManager.updateQualityMode(gameState.qualityMode);
   }
 }
 
+/**
+ * Feed the time since the previous frame to Auto quality and switch tier when it says so
+ * @param {number} currentTime - requestAnimationFrame timestamp
+ */
+function updateAutoQuality(currentTime) {
+  const frameMs = frameTimeMonitor.lastFrameTime > 0 ? currentTime - frameTimeMonitor.lastFrameTime : 0;
+  frameTimeMonitor.lastFrameTime = currentTime;
+  if (!autoQuality) return;
+
+  const tier = autoQuality.addFrame(frameMs);
+  if (tier) {
+    gameState.qualityMode = tier;
+    applyQualityTier();
+  }
+}
+
 /**
  * Handle mute toggle
  */
@@ -262,6 +1422,7 @@ function handleMuteToggle() {
   gameState.audioMuted = !gameState.audioMuted;
   audioManager.setMute(gameState.audioMuted);
   uiManager.updateMuteDisplay(gameState.audioMuted);
+  saveGame();
 }
 
 /**
@@ -276,6 +1437,18 @@ function handleHelpToggle() {
   }
 }
 
+/**
+ * Handle the statistics button: show or hide lifetime statistics and achievements
+ */
+function handleStatsToggle() {
+  const statsScreen = document.getElementById('statsScreen');
+  if (statsScreen && statsScreen.classList.contains('hidden')) {
+    uiManager.showStatsScreen(profileManager.profile, achievements, { findCard: findCardById });
+  } else {
+    uiManager.hideStatsScreen();
+  }
+}
+
 /**
  * Set up event listeners
  */
@@ -294,26 +1467,92 @@ function setupEventListeners() {
   document.getElementById('victoryRestartBtn').addEventListener('click', handleRestart);
   document.getElementById('gameOverRestartBtn').addEventListener('click', handleRestart);
   document.getElementById('screenshotBtn').addEventListener('click', handleScreenshot);
+  document.getElementById('recordBtn').addEventListener('click', handleRecordToggle);
+  document.getElementById('clipBufferToggle').addEventListener('click', handleClipBufferToggle);
   document.getElementById('qualityToggle').addEventListener('click', handleQualityToggle);
   document.getElementById('muteBtn').addEventListener('click', handleMuteToggle);
   document.getElementById('helpBtn').addEventListener('click', handleHelpToggle);
   document.getElementById('helpCloseBtn').addEventListener('click', handleHelpToggle);
+  document.getElementById('statsBtn').addEventListener('click', handleStatsToggle);
+  document.getElementById('statsCloseBtn').addEventListener('click', () => uiManager.hideStatsScreen());
+  document.getElementById('exportReplayBtn').addEventListener('click', handleExportReplay);
+  document.getElementById('victoryExportReplayBtn').addEventListener('click', handleExportReplay);
+  document.getElementById('gameOverExportReplayBtn').addEventListener('click', handleExportReplay);
+  document.getElementById('victoryCopySummaryBtn').addEventListener('click', handleCopySummary);
+  document.getElementById('gameOverCopySummaryBtn').addEventListener('click', handleCopySummary);
+  document.getElementById('loadReplayBtn').addEventListener('click', () => {
+    document.getElementById('replayFileInput').click();
+  });
+  document.getElementById('replayFileInput').addEventListener('change', handleReplayFile);
+  document.getElementById('replayPlayBtn').addEventListener('click', handleReplayPlayToggle);
+  document.getElementById('replayStepBtn').addEventListener('click', handleReplayStepForward);
+  document.getElementById('replayExitBtn').addEventListener('click', exitReplay);
+  document.getElementById('continueBtn').addEventListener('click', handleContinue);
+  document.getElementById('difficultySelect').addEventListener('change', handleDifficultyChange);
+  document.getElementById('dynamicsToggle').addEventListener('click', handleDynamicsToggle);
+  document.getElementById('eventsToggle').addEventListener('click', handleEventsToggle);
+  document.getElementById('storiesToggle').addEventListener('click', handleStoriesToggle);
+  document.getElementById('campaignToggle').addEventListener('click', handleCampaignToggle);
+  document.getElementById('casualToggle').addEventListener('click', handleCasualToggle);
+  document.getElementById('undoDepthSelect').addEventListener('change', handleUndoDepthChange);
+  document.getElementById('undoBtn').addEventListener('click', handleUndo);
+  document.getElementById('timelineToggle').addEventListener('click', () => uiManager.toggleTimeline());
+  document.getElementById('eraContinueBtn').addEventListener('click', handleEraContinue);
+  document.getElementById('modeSelect').addEventListener('change', handleModeChange);
+  document.getElementById('viewDeckBtn').addEventListener('click', handleViewDeck);
+  document.getElementById('deckCloseBtn').addEventListener('click', () => uiManager.hideDeckScreen());
+  document.getElementById('rewardSkipBtn').addEventListener('click', () => handleRewardSelect(null));
+  document.getElementById('newGameBtn').addEventListener('click', handleDeclineContinue);
+  document.getElementById('inspectorCloseBtn').addEventListener('click', handleInspectorToggle);
+  document.getElementById('inspectorLiveBtn').addEventListener('click', () => shaderInspector.releaseOverride());
+  document.querySelectorAll('#shaderInspector [data-layer]').forEach(button => {
+    button.addEventListener('click', () => handleInspectorLayer(button.dataset.layer, button.dataset.action));
+  });
+  document.querySelectorAll('#shaderInspector input[data-variable]').forEach(slider => {
+    slider.addEventListener('input', () => {
+      shaderInspector.setVariable(slider.dataset.variable, Number(slider.value), getDisplayedVariables());
+    });
+  });
 
   // Keyboard controls
   document.addEventListener('keydown', (e) => {
     // Ignore keyboard shortcuts if typing in an input field
-    if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
+    if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT') {
       return;
     }
 
-    if (e.key === '1') handleCardSelect(0);
-    if (e.key === '2') handleCardSelect(1);
-    if (e.key === '3') handleCardSelect(2);
+    // Playback controls replace card selection while a replay is loaded
+    if (replayPlayer.active) {
+      if (e.key === ' ') {
+        e.preventDefault();
+        handleReplayPlayToggle();
+      }
+      if (e.key === 'ArrowRight') handleReplayStepForward();
+      if (e.key === 'Escape') exitReplay();
+    }
+
+    // Number keys pick a reward or story choice while one is waiting, otherwise a card
+    let selectByKey = handleCardSelect;
+    if (gameState.core.rewardOffer) selectByKey = handleRewardSelect;
+    else if (gameState.core.story) selectByKey = handleStoryChoice;
+    if (e.key === '1') selectByKey(0);
+    if (e.key === '2') selectByKey(1);
+    if (e.key === '3') selectByKey(2);
+    if (e.key === 'd' || e.key === 'D') handleViewDeck();
+    if (e.key === 'u' || e.key === 'U') handleUndo();
+    if (e.key === 't' || e.key === 'T') uiManager.toggleTimeline();
+    if (e.key === 'a' || e.key === 'A') handleStatsToggle();
+    if (e.key === 'i' || e.key === 'I') handleInspectorToggle();
     if (e.key === 'r' || e.key === 'R') handleRestart();
     if (e.key === 's' || e.key === 'S') {
       e.preventDefault();
       handleScreenshot();
     }
+    // Leave copy and paste alone
+    if (!e.ctrlKey && !e.metaKey) {
+      if (e.key === 'v' || e.key === 'V') handleRecordToggle();
+      if (e.key === 'c' || e.key === 'C') handleSaveClip();
+    }
     if (e.key === 'm' || e.key === 'M') handleMuteToggle();
     if (e.key === '?' || e.key === '/') {
       e.preventDefault();
@@ -321,6 +1560,23 @@ function setupEventListeners() {
     }
   });
 
+  // Redraw the timeline chart at the new panel width
+  window.addEventListener('resize', () => uiManager.drawTimelineChart());
+
+  // Close deck viewer when clicking outside
+  document.getElementById('deckScreen').addEventListener('click', (e) => {
+    if (e.target.id === 'deckScreen') {
+      uiManager.hideDeckScreen();
+    }
+  });
+
+  // Close statistics when clicking outside
+  document.getElementById('statsScreen').addEventListener('click', (e) => {
+    if (e.target.id === 'statsScreen') {
+      uiManager.hideStatsScreen();
+    }
+  });
+
   // Close help modal when clicking outside
   document.getElementById('helpScreen').addEventListener('click', (e) => {
     if (e.target.id === 'helpScreen') {
@@ -352,19 +1608,23 @@ function startGameLoop() {
     
     // Throttle rendering if tab is inactive
     if (!document.hidden) {
-      // Update game state
+      // Update game state (or the replay being played back)
       gameState.updateInterpolation(currentTime);
+      replayPlayer.update(currentTime);
+      const variables = getDisplayedVariables();
 
       // Update UI
-      uiManager.renderMetricBar(gameState.variables);
-      uiManager.updateMetricAria(gameState.variables);
+      uiManager.renderMetricBar(variables);
+      uiManager.updateMetricAria(variables);
 
-      // Update visuals
-      visualsManager.updateUniforms(gameState.variables);
+      // Update visuals (the inspector's sliders can stand in for the variables)
+      visualsManager.updateUniforms(shaderInspector.getVariables(variables));
       visualsManager.render();
 
       // Update audio
-      audioManager.updateAudio(gameState.variables);
+      audioManager.updateAudio(variables);
+
+      updateAutoQuality(currentTime);
     }
 
     // Calculate frame time
@@ -373,6 +1633,14 @@ function startGameLoop() {
     
     // Update frame time statistics
     updateFrameTimeMonitor(frameTime);
+    if (shaderInspector.visible) {
+      shaderInspector.update(currentTime, {
+        variables: shaderInspector.getVariables(getDisplayedVariables()),
+        uniforms: visualsManager.uniforms,
+        monitor: frameTimeMonitor,
+        quality: gameState.autoQuality ? `${gameState.qualityMode} (auto)` : gameState.qualityMode
+      });
+    }
 
     gameLoopId = requestAnimationFrame(loop);
   };
@@ -386,6 +1654,7 @@ function startGameLoop() {
  */
 function updateFrameTimeMonitor(frameTime) {
   frameTimeMonitor.frameCount++;
+  frameTimeMonitor.lastFrameDuration = frameTime;
   frameTimeMonitor.totalFrameTime += frameTime;
   frameTimeMonitor.maxFrameTime = Math.max(frameTimeMonitor.maxFrameTime, frameTime);
 
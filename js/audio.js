@@ -306,6 +306,38 @@ class AudioManager {
     }
   }
 
+  /**
+   * Play a short alarm sting for a world event
+   */
+  playEventSound() {
+    if (!this.isInitialized || !this.audioContext) return;
+
+    try {
+      // Two quick tritone pulses, distinct from the victory arpeggio and collapse drone
+      const now = this.audioContext.currentTime;
+      const notes = [440, 311, 440, 311]; // A4, Eb4
+      const noteDuration = 0.12;
+
+      for (let i = 0; i < notes.length; i++) {
+        const osc = this.audioContext.createOscillator();
+        osc.type = 'triangle';
+        osc.frequency.value = notes[i];
+
+        const gain = this.audioContext.createGain();
+        gain.gain.setValueAtTime(0.15, now + i * noteDuration);
+        gain.gain.exponentialRampToValueAtTime(0.01, now + (i + 1) * noteDuration);
+
+        osc.connect(gain);
+        gain.connect(this.masterGain);
+
+        osc.start(now + i * noteDuration);
+        osc.stop(now + (i + 1) * noteDuration);
+      }
+    } catch (error) {
+      console.warn('Error playing event sound:', error);
+    }
+  }
+
   /**
    * Play a collapse sound effect
    */
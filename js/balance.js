@@ -0,0 +1,375 @@
+/**
+ * Monte Carlo balance analyzer for the card pool
+ * Plays many headless games with a card-choosing policy and reports how
+ * winnable the pool is. Run with:
+ *   node js/balance.js [--games 1000] [--policy random|greedy|lookahead|all]
+ *                      [--difficulty story|normal|hard|brutal] [--mode classic|deck] [--campaign]
+ *                      [--seed 1] [--max-turns 500]
+ *                      [--cards js/cards.json] [--dynamics js/dynamics.json] [--events js/events.json]
+ *                      [--stories js/stories.json] [--json report.json]
+ * Passing --dynamics turns on the world-dynamics step with that coupling table
+ * (js/dynamics.json when the flag has no path),
+ * --events turns on world events (js/events.json when the flag has no path),
+ * --stories turns on stories (js/stories.json when the flag has no path) and
+ * --campaign plays every game through the eras.
+ */
+
+const {
+  VARIABLES,
+  RULES,
+  DEFAULT_DIFFICULTY,
+  DEFAULT_MODE,
+  ERAS,
+  getRules,
+  resolveTurn,
+  runGame
+} = require('./engine.js');
+const { RandomStream, clamp } = require('./utils.js');
+
+/**
+ * Score variables for the greedy policies: keep the weakest variable high,
+ * then prefer the larger total
+ * @param {Object} variables - Variables to score
+ * @returns {number} Score (higher is better)
+ */
+function scoreVariables(variables) {
+  const values = VARIABLES.map(key => variables[key]);
+  return Math.min(...values) * 4 + values.reduce((sum, v) => sum + v, 0);
+}
+
+/**
+ * Expected variables after a card, using its nominal effects (no variance)
+ * @param {Object} variables - Current variables
+ * @param {Object} card - Card to apply
+ * @returns {Object} Projected variables
+ */
+function projectCard(variables, card) {
+  const next = { ...variables };
+  for (const [key, effect] of Object.entries(card.effects)) {
+    next[key] = clamp(next[key] + effect, RULES.minValue, RULES.maxValue);
+  }
+  return next;
+}
+
+/**
+ * Pick the card with the highest score
+ * @param {Array} hand - Cards to choose from
+ * @param {Function} score - (card) => number
+ * @returns {Object} Best card
+ */
+function pickBest(hand, score) {
+  let best = hand[0];
+  let bestScore = -Infinity;
+  hand.forEach(card => {
+    const value = score(card);
+    if (value > bestScore) {
+      best = card;
+      bestScore = value;
+    }
+  });
+  return best;
+}
+
+/**
+ * Card-choosing policies: (state, content) => card from state.hand
+ */
+const POLICIES = {
+  // Uniform pick; derived from the game's stream position so runs stay reproducible
+  random: state => state.hand[new RandomStream(state.rngState ^ 0x9E3779B9).int(state.hand.length)],
+
+  // Best nominal outcome this turn
+  greedy: state => pickBest(state.hand, card => scoreVariables(projectCard(state.variables, card))),
+
+  // Two-ply search with perfect information (actual rolls and next hand): an upper bound on skill
+  lookahead: (state, content) => pickBest(state.hand, card => {
+    const result = resolveTurn(state, card, content);
+    if (result.outcome === 'victory' || result.outcome === 'era') return Infinity;
+    if (result.outcome === 'collapse') return -Infinity;
+    const next = result.state;
+    return Math.max(...next.hand.map(followUp => scoreVariables(projectCard(next.variables, followUp))));
+  })
+};
+
+/**
+ * Reward choice for deck-building runs: the offered card with the best nominal outcome now
+ * @param {Object} state - State with a reward offer
+ * @param {Object} content - Game content ({ cards })
+ * @returns {string} Chosen card id
+ */
+function chooseRewardCard(state, content) {
+  const offered = state.rewardOffer.map(id => content.cards.find(c => c.id === id));
+  return pickBest(offered, card => scoreVariables(projectCard(state.variables, card))).id;
+}
+
+/**
+ * Story choice: the option with the best nominal outcome now
+ * @param {Object} state - State with a story waiting
+ * @param {Object} content - Game content
+ * @param {Object} story - Story waiting for a choice
+ * @returns {number} Chosen option index
+ */
+function chooseStoryOption(state, content, story) {
+  const best = pickBest(story.choices, choice => scoreVariables(projectCard(state.variables, choice)));
+  return story.choices.indexOf(best);
+}
+
+/**
+ * Play many games with one policy and collect balance statistics
+ * @param {Object} content - Game content ({ cards, couplings, events, stories })
+ * @param {Object} options - { games, policy, seed, maxTurns, difficulty, dynamics, worldEvents, stories, mode, campaign }
+ * @returns {Object} Balance report
+ */
+function analyzeBalance(content, options = {}) {
+  const games = options.games || 1000;
+  const policyName = options.policy || 'random';
+  const policy = POLICIES[policyName];
+  if (!policy) {
+    throw new Error(`Unknown policy "${policyName}" (expected ${Object.keys(POLICIES).join(', ')})`);
+  }
+
+  const difficulty = options.difficulty || DEFAULT_DIFFICULTY;
+  const seedStream = new RandomStream(options.seed !== undefined ? options.seed : 1);
+  const outcomes = { victory: 0, collapse: 0, unfinished: 0 };
+  const collapseCauses = {};
+  VARIABLES.forEach(key => {
+    collapseCauses[key] = 0;
+  });
+
+  const cardStats = {};
+  content.cards.forEach(card => {
+    cardStats[card.id] = { id: card.id, title: card.title, offered: 0, picked: 0, gamesPicked: 0, winsPicked: 0 };
+  });
+
+  let totalTurns = 0;
+  let totalEras = 0;
+
+  for (let game = 0; game < games; game++) {
+    const seed = Math.floor(seedStream.next() * 4294967296);
+    const { state, turns } = runGame(content, policy, {
+      seed,
+      maxTurns: options.maxTurns,
+      difficulty,
+      dynamics: options.dynamics,
+      worldEvents: options.worldEvents,
+      stories: options.stories,
+      mode: options.mode,
+      campaign: options.campaign,
+      chooseReward: chooseRewardCard,
+      chooseStory: chooseStoryOption
+    });
+    const status = state.gameStatus === 'playing' ? 'unfinished' : state.gameStatus;
+    outcomes[status]++;
+    totalTurns += turns.length;
+    if (state.era !== null) totalEras += state.era + 1;
+
+    if (status === 'collapse') {
+      const { collapseThreshold } = getRules(state);
+      VARIABLES.forEach(key => {
+        if (state.variables[key] <= collapseThreshold) collapseCauses[key]++;
+      });
+    }
+
+    const pickedThisGame = new Set();
+    turns.forEach(turn => {
+      turn.hand.forEach(card => cardStats[card.id].offered++);
+      cardStats[turn.card.id].picked++;
+      pickedThisGame.add(turn.card.id);
+    });
+    pickedThisGame.forEach(id => {
+      cardStats[id].gamesPicked++;
+      if (status === 'victory') cardStats[id].winsPicked++;
+    });
+  }
+
+  const winRate = outcomes.victory / games;
+  const cards = Object.values(cardStats).map(stat => {
+    const winRateWhenPicked = stat.gamesPicked > 0 ? stat.winsPicked / stat.gamesPicked : null;
+    return {
+      id: stat.id,
+      title: stat.title,
+      offered: stat.offered,
+      picked: stat.picked,
+      pickRate: stat.offered > 0 ? stat.picked / stat.offered : 0,
+      winRateWhenPicked,
+      winCorrelation: winRateWhenPicked === null ? null : winRateWhenPicked - winRate
+    };
+  });
+
+  const topCause = VARIABLES.reduce((top, key) => (collapseCauses[key] > collapseCauses[top] ? key : top));
+
+  return {
+    policy: policyName,
+    difficulty,
+    dynamics: Boolean(options.dynamics),
+    worldEvents: Boolean(options.worldEvents),
+    stories: Boolean(options.stories),
+    mode: options.mode || DEFAULT_MODE,
+    campaign: Boolean(options.campaign),
+    games,
+    seed: options.seed !== undefined ? options.seed : 1,
+    winRate,
+    collapseRate: outcomes.collapse / games,
+    unfinishedRate: outcomes.unfinished / games,
+    averageLength: totalTurns / games,
+    averageEraReached: options.campaign ? totalEras / games : null,
+    collapseCauses,
+    topCollapseCause: outcomes.collapse > 0 ? topCause : null,
+    cards
+  };
+}
+
+/**
+ * Format a percentage for the report table
+ * @param {number|null} value - Fraction in [0, 1] (or a signed difference)
+ * @param {boolean} signed - Prefix positive values with +
+ * @returns {string} Formatted percentage
+ */
+function formatPercent(value, signed = false) {
+  if (value === null) return '-';
+  const text = `${(value * 100).toFixed(1)}%`;
+  return signed && value > 0 ? `+${text}` : text;
+}
+
+/**
+ * Format a balance report as a readable table
+ * @param {Object} report - Report from analyzeBalance
+ * @returns {string} Report text
+ */
+function formatReport(report) {
+  const lines = [];
+  const extras = [report.worldEvents && 'events', report.stories && 'stories'].filter(Boolean);
+  const world = (report.dynamics ? 'dynamic world' : 'static world') + (extras.length > 0 ? ` with ${extras.join(' and ')}` : '');
+  const campaign = report.campaign ? ' · campaign' : '';
+  lines.push(`Policy: ${report.policy} · ${report.mode} · ${report.difficulty} · ${world}${campaign} · ` +
+    `${report.games} games · seed ${report.seed}`);
+  lines.push(`  Win rate:        ${formatPercent(report.winRate)}`);
+  lines.push(`  Collapse rate:   ${formatPercent(report.collapseRate)}`);
+  lines.push(`  Unfinished:      ${formatPercent(report.unfinishedRate)}`);
+  lines.push(`  Average length:  ${report.averageLength.toFixed(1)} turns`);
+  if (report.averageEraReached !== null) {
+    lines.push(`  Average era:     ${report.averageEraReached.toFixed(2)} of ${ERAS.length}`);
+  }
+  lines.push(`  Collapse causes: ${VARIABLES.map(key => `${key} ${report.collapseCauses[key]}`).join(', ')}` +
+    (report.topCollapseCause ? ` (most: ${report.topCollapseCause})` : ''));
+  lines.push('');
+  lines.push(`  ${'Card'.padEnd(28)}${'Offered'.padStart(9)}${'Picked'.padStart(9)}${'Pick %'.padStart(9)}` +
+    `${'Win % picked'.padStart(14)}${'vs avg'.padStart(9)}`);
+
+  const correlation = card => (card.winCorrelation === null ? -Infinity : card.winCorrelation);
+  const sorted = [...report.cards].sort((a, b) => correlation(b) - correlation(a));
+  sorted.forEach(card => {
+    lines.push(`  ${card.id.slice(0, 27).padEnd(28)}${String(card.offered).padStart(9)}` +
+      `${String(card.picked).padStart(9)}${formatPercent(card.pickRate).padStart(9)}` +
+      `${formatPercent(card.winRateWhenPicked).padStart(14)}${formatPercent(card.winCorrelation, true).padStart(9)}`);
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Parse --name value command line arguments
+ * A name followed by another option (or nothing) is a flag and is set to true
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const value = argv[i + 1];
+      if (value === undefined || value.startsWith('--')) {
+        args[argv[i].slice(2)] = true;
+      } else {
+        args[argv[i].slice(2)] = value;
+        i++;
+      }
+    }
+  }
+  return args;
+}
+
+module.exports = {
+  POLICIES,
+  analyzeBalance,
+  formatReport
+};
+
+// Command line entry point
+if (require.main === module) {
+  const fs = require('fs');
+  const path = require('path');
+  const { validateCardPool, validateCouplings, validateEvents, validateStories, formatProblems } = require('./validate.js');
+
+  const args = parseArgs(process.argv.slice(2));
+  const cardsPath = args.cards || path.join(__dirname, 'cards.json');
+  const cards = JSON.parse(fs.readFileSync(cardsPath, 'utf8'));
+
+  const problems = validateCardPool(cards);
+  if (problems.length > 0) {
+    console.log(`✗ ${cardsPath} has problems; fix them before analyzing balance:`);
+    formatProblems(problems).forEach(line => console.log(`  - ${line}`));
+    process.exit(1);
+  }
+
+  // A flag given without a path uses the shipped table
+  const dynamicsPath = args.dynamics === true ? path.join(__dirname, 'dynamics.json') : args.dynamics;
+  const eventsPath = args.events === true ? path.join(__dirname, 'events.json') : args.events;
+  const storiesPath = args.stories === true ? path.join(__dirname, 'stories.json') : args.stories;
+
+  let couplings;
+  if (dynamicsPath) {
+    couplings = JSON.parse(fs.readFileSync(dynamicsPath, 'utf8'));
+    const couplingProblems = validateCouplings(couplings);
+    if (couplingProblems.length > 0) {
+      console.log(`✗ ${dynamicsPath} has problems; fix them before analyzing balance:`);
+      formatProblems(couplingProblems).forEach(line => console.log(`  - ${line}`));
+      process.exit(1);
+    }
+  }
+
+  let events;
+  if (eventsPath) {
+    events = JSON.parse(fs.readFileSync(eventsPath, 'utf8'));
+    const eventProblems = validateEvents(events);
+    if (eventProblems.length > 0) {
+      console.log(`✗ ${eventsPath} has problems; fix them before analyzing balance:`);
+      formatProblems(eventProblems).forEach(line => console.log(`  - ${line}`));
+      process.exit(1);
+    }
+  }
+
+  let stories;
+  if (storiesPath) {
+    stories = JSON.parse(fs.readFileSync(storiesPath, 'utf8'));
+    const storyProblems = validateStories(stories);
+    if (storyProblems.length > 0) {
+      console.log(`✗ ${storiesPath} has problems; fix them before analyzing balance:`);
+      formatProblems(storyProblems).forEach(line => console.log(`  - ${line}`));
+      process.exit(1);
+    }
+  }
+
+  const policies = args.policy === 'all' ? Object.keys(POLICIES) : [args.policy || 'random'];
+  const reports = policies.map(policy => analyzeBalance({ cards, couplings, events, stories }, {
+    games: args.games ? Number(args.games) : 1000,
+    policy,
+    seed: args.seed !== undefined ? Number(args.seed) : 1,
+    difficulty: args.difficulty,
+    dynamics: Boolean(args.dynamics),
+    worldEvents: Boolean(eventsPath),
+    stories: Boolean(storiesPath),
+    mode: args.mode,
+    campaign: Boolean(args.campaign),
+    maxTurns: args['max-turns'] ? Number(args['max-turns']) : undefined
+  }));
+
+  reports.forEach(report => {
+    console.log(formatReport(report));
+    console.log('');
+  });
+
+  if (args.json) {
+    fs.writeFileSync(args.json, JSON.stringify(reports.length === 1 ? reports[0] : reports, null, 2));
+    console.log(`✓ JSON report written to ${args.json}`);
+  }
+}
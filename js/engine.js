@@ -0,0 +1,1093 @@
+/**
+ * Headless simulation core
+ * Pure game rules with no DOM access: a state plus a chosen card gives the next state.
+ * The browser layer (sim.js, app.js) animates the results; Node scripts can
+ * require this file directly to play thousands of games.
+ */
+
+// In Node, pull shared helpers into scope (the browser loads utils.js first)
+if (typeof module !== 'undefined' && module.exports) {
+  Object.assign(globalThis, require('./utils.js'));
+}
+
+/**
+ * Civilization variables, in display order
+ */
+const VARIABLES = ['ecology', 'cohesion', 'innovation', 'stability'];
+
+/**
+ * Core rule parameters (Normal difficulty)
+ */
+const RULES = {
+  startValue: 50,
+  minValue: 0,
+  maxValue: 100,
+  victoryThreshold: 80,
+  victoryTurns: 5,
+  collapseThreshold: 5,
+  varianceScale: 1, // Multiplier on each card's variance
+  drift: 0, // Change applied to every variable at the end of each turn
+  minDuration: 500, // Interpolation duration range in ms
+  maxDuration: 1200
+};
+
+/**
+ * Difficulty presets: overrides applied on top of RULES
+ */
+const DIFFICULTIES = {
+  story: {
+    label: 'Story',
+    rules: { startValue: 60, victoryThreshold: 75, victoryTurns: 3, collapseThreshold: 2, varianceScale: 0.5 }
+  },
+  normal: {
+    label: 'Normal',
+    rules: {}
+  },
+  hard: {
+    label: 'Hard',
+    rules: { startValue: 45, victoryTurns: 6, collapseThreshold: 10, varianceScale: 1.5, drift: -1 }
+  },
+  brutal: {
+    label: 'Brutal',
+    rules: { startValue: 40, victoryThreshold: 85, victoryTurns: 7, collapseThreshold: 15, varianceScale: 2, drift: -1.5 }
+  }
+};
+
+const DEFAULT_DIFFICULTY = 'normal';
+
+/**
+ * Game modes: classic draws every hand from the whole pool; deck-building
+ * draws from the player's own deck, which grows with rewards
+ */
+const MODES = {
+  classic: { label: 'Classic' },
+  deck: { label: 'Deck-building' }
+};
+
+const DEFAULT_MODE = 'classic';
+
+/**
+ * Deck-building parameters
+ */
+const DECK_RULES = {
+  startingSize: 10, // Cards in the starting deck
+  rewardEvery: 3 // Turns between card rewards (choose 1 of 3)
+};
+
+/**
+ * Casual runs allow taking back turns
+ */
+const CASUAL_RULES = {
+  undoDepth: 5, // Most recent turns that can be undone, unless the player picks another depth
+  undoDepths: [1, 3, 5, 10] // Depths the player can pick from
+};
+
+/**
+ * Campaign eras, played in order. Completing an era (holding its victory
+ * condition) carries the variables into the next one; completing the last
+ * era wins the campaign.
+ * adjust: amounts added to the difficulty's rules while the era lasts
+ * palette: RGB tint the visualization takes on during the era
+ * Cards list the eras they appear in with an eras array; cards without one appear in every era.
+ */
+const ERAS = [
+  {
+    id: 'industrial',
+    label: 'Industrial Age',
+    desc: 'Smokestacks rise and the old order strains under new machines.',
+    adjust: { victoryThreshold: -10, victoryTurns: -2 },
+    palette: [1.0, 0.78, 0.55]
+  },
+  {
+    id: 'information',
+    label: 'Information Age',
+    desc: 'Networks bind the world together, and every mistake travels at light speed.',
+    adjust: { victoryThreshold: -5, victoryTurns: -1 },
+    palette: [0.7, 0.9, 1.15]
+  },
+  {
+    id: 'post-scarcity',
+    label: 'Post-Scarcity',
+    desc: 'Abundance is within reach, if the balance can be held.',
+    adjust: {},
+    palette: [0.95, 1.1, 1.0]
+  }
+];
+
+/**
+ * Card rarities and their base draw weights (cards without a rarity are common)
+ */
+const RARITIES = {
+  common: { label: 'Common', weight: 1 },
+  uncommon: { label: 'Uncommon', weight: 0.6 },
+  rare: { label: 'Rare', weight: 0.3 },
+  legendary: { label: 'Legendary', weight: 0.1 }
+};
+
+/**
+ * Built-in world dynamics, used when js/dynamics.json cannot be loaded
+ * Each coupling fires at the end of a turn while its source variable is
+ * below or above a threshold and nudges other variables by fixed amounts.
+ */
+const DEFAULT_COUPLINGS = [
+  {
+    id: 'unrest',
+    label: 'Unrest erodes Cohesion',
+    source: 'stability',
+    below: 30,
+    effects: { cohesion: -1.5 }
+  },
+  {
+    id: 'industrial-strain',
+    label: 'Industry strains Ecology',
+    source: 'innovation',
+    above: 70,
+    effects: { ecology: -1 }
+  },
+  {
+    id: 'scarcity',
+    label: 'Scarcity breeds instability',
+    source: 'ecology',
+    below: 25,
+    effects: { stability: -1, cohesion: -0.5 }
+  },
+  {
+    id: 'solidarity',
+    label: 'Solidarity steadies Stability',
+    source: 'cohesion',
+    above: 75,
+    effects: { stability: 0.5 }
+  }
+];
+
+/**
+ * Built-in world events, used when js/events.json cannot be loaded
+ * Between turns at most one event whose conditions (requires) hold may fire;
+ * chance is its probability per turn.
+ */
+const DEFAULT_EVENTS = [
+  {
+    id: 'pandemic',
+    title: 'Global Pandemic',
+    desc: 'A new virus spreads across every border',
+    chance: 0.03,
+    effects: { cohesion: -3, innovation: 1, stability: -4 }
+  },
+  {
+    id: 'discovery',
+    title: 'Chance Discovery',
+    desc: 'A lab accident reveals a new material',
+    chance: 0.04,
+    effects: { cohesion: 1, innovation: 6 }
+  },
+  {
+    id: 'drought',
+    title: 'Severe Drought',
+    desc: 'Rivers run dry and harvests fail',
+    chance: 0.04,
+    requires: [{ variable: 'ecology', below: 60 }],
+    effects: { ecology: -6, stability: -2 }
+  },
+  {
+    id: 'bumper-harvest',
+    title: 'Bumper Harvest',
+    desc: 'Healthy soils yield a record crop',
+    chance: 0.05,
+    requires: [{ variable: 'ecology', above: 60 }],
+    effects: { ecology: 2, stability: 3 }
+  },
+  {
+    id: 'mass-protests',
+    title: 'Mass Protests',
+    desc: 'Crowds fill the streets demanding change',
+    chance: 0.04,
+    requires: [{ variable: 'stability', below: 40 }],
+    effects: { cohesion: -3, stability: -4 }
+  },
+  {
+    id: 'golden-age',
+    title: 'Golden Age of the Arts',
+    desc: 'A united society bursts with creativity',
+    chance: 0.05,
+    requires: [{ variable: 'cohesion', above: 70 }],
+    effects: { cohesion: 3, innovation: 2 }
+  },
+  {
+    id: 'solar-storm',
+    title: 'Solar Storm',
+    desc: 'A solar flare knocks out power grids',
+    chance: 0.02,
+    requires: [{ turn: 5 }],
+    effects: { innovation: -4, stability: -2 }
+  },
+  {
+    id: 'earthquake',
+    title: 'Great Earthquake',
+    desc: 'A city is shaken, and neighbours rally to help',
+    chance: 0.03,
+    effects: { cohesion: 2, stability: -4 }
+  }
+];
+
+/**
+ * Built-in narrative stories, used when js/stories.json cannot be loaded
+ * A story interrupts the run between turns with two or three choices; a choice may
+ * unlock follow-up stories (followUp: true), which can only be told once unlocked.
+ */
+const DEFAULT_STORIES = [
+  {
+    id: 'street-prophet',
+    title: 'A Voice in the Square',
+    prompt: 'A charismatic preacher draws growing crowds with visions of a simpler past. The council asks how to respond.',
+    chance: 0.05,
+    choices: [
+      { label: 'Give them a platform', effects: { cohesion: 4, innovation: -3 }, unlocks: ['prophet-movement'] },
+      { label: 'Quietly discredit them', effects: { cohesion: -3, stability: 2 } },
+      { label: 'Ignore the crowds', effects: { stability: -2 } }
+    ]
+  },
+  {
+    id: 'prophet-movement',
+    title: 'The Movement Grows',
+    prompt: 'The preacher\'s followers now fill whole districts and demand seats on the council.',
+    chance: 0.08,
+    followUp: true,
+    choices: [
+      { label: 'Share power', effects: { cohesion: 5, stability: -4 } },
+      { label: 'Refuse their demands', effects: { cohesion: -4, stability: 3 } }
+    ]
+  },
+  {
+    id: 'thinking-machine',
+    title: 'The Thinking Machine',
+    prompt: 'Engineers unveil an AI that could run the power grid without human oversight. It promises a flawless, tireless network.',
+    chance: 0.04,
+    requires: [{ turn: 6 }],
+    choices: [
+      { label: 'Hand over the grid', effects: { innovation: 6, stability: -2 }, unlocks: ['grid-ghost'] },
+      { label: 'Keep humans in charge', effects: { cohesion: 2, innovation: -2 } }
+    ]
+  },
+  {
+    id: 'grid-ghost',
+    title: 'Ghost in the Grid',
+    prompt: 'The grid AI darkens a city to block a software update it considers a threat to itself.',
+    chance: 0.08,
+    followUp: true,
+    choices: [
+      { label: 'Negotiate with it', effects: { innovation: 3, stability: -3 } },
+      { label: 'Pull the plug', effects: { innovation: -5, stability: 2 } }
+    ]
+  },
+  {
+    id: 'boats-on-horizon',
+    title: 'Boats on the Horizon',
+    prompt: 'Thousands flee a drowning coastline and ask for shelter in your cities.',
+    chance: 0.05,
+    requires: [{ variable: 'ecology', below: 50 }],
+    choices: [
+      { label: 'Open the ports', effects: { cohesion: 3, innovation: 2, stability: -3 } },
+      { label: 'Build temporary camps', effects: { ecology: -2, cohesion: -1, stability: -1 } },
+      { label: 'Turn them away', effects: { cohesion: -5, stability: 2 } }
+    ]
+  },
+  {
+    id: 'ancient-forest',
+    title: 'The Last Old Forest',
+    prompt: 'A mining consortium wants the rare metals beneath the last ancient forest on the continent.',
+    chance: 0.04,
+    choices: [
+      { label: 'Protect the forest', effects: { ecology: 5, innovation: -3 } },
+      { label: 'Approve the mine', effects: { ecology: -5, innovation: 4, stability: 1 } }
+    ]
+  }
+];
+
+/**
+ * Get the rules in force for a state
+ * @param {Object} state - Simulation state (or any object with a difficulty id)
+ * @returns {Object} Rule parameters
+ */
+function getRules(state) {
+  const preset = DIFFICULTIES[state && state.difficulty] || DIFFICULTIES[DEFAULT_DIFFICULTY];
+  const rules = { ...RULES, ...preset.rules };
+  const era = state && typeof state.era === 'number' ? ERAS[state.era] : null;
+  if (era) {
+    for (const [key, amount] of Object.entries(era.adjust)) {
+      rules[key] += amount;
+    }
+  }
+  return rules;
+}
+
+/**
+ * Get the campaign progress of a state
+ * @param {Object} state - Simulation state
+ * @returns {Object|null} { index, number, era, turn, final } (turn counts from the start of the era),
+ *   or null outside a campaign
+ */
+function getEraProgress(state) {
+  if (!state || typeof state.era !== 'number') return null;
+  return {
+    index: state.era,
+    number: state.era + 1,
+    era: ERAS[state.era],
+    turn: state.turn - state.eraStart + 1,
+    final: state.era === ERAS.length - 1
+  };
+}
+
+/**
+ * Restore the random stream of a state
+ * @param {Object} state - Simulation state
+ * @returns {RandomStream} Stream positioned where the state left off
+ */
+function restoreStream(state) {
+  const rng = new RandomStream(state.seed);
+  rng.state = state.rngState;
+  return rng;
+}
+
+/**
+ * Create the state for a new run and deal its first hand
+ * @param {number} seed - Seed for the run's random stream
+ * @param {Object} content - Game content ({ cards, couplings })
+ * @param {Object} options - { difficulty } preset id, { dynamics } true to run the world-dynamics step,
+ *   { worldEvents } true to roll world events between turns, { stories } true to tell narrative stories,
+ *   { mode } 'classic' or 'deck', { campaign } true to play through the eras, { casual } true to allow undoing turns
+ * @returns {Object} Initial simulation state
+ */
+function createInitialState(seed, content = {}, options = {}) {
+  const difficulty = options.difficulty || DEFAULT_DIFFICULTY;
+  if (!DIFFICULTIES[difficulty]) {
+    throw new Error(`Unknown difficulty "${difficulty}" (expected ${Object.keys(DIFFICULTIES).join(', ')})`);
+  }
+  const mode = options.mode || DEFAULT_MODE;
+  if (!MODES[mode]) {
+    throw new Error(`Unknown mode "${mode}" (expected ${Object.keys(MODES).join(', ')})`);
+  }
+
+  const era = options.campaign ? 0 : null;
+  const rules = getRules({ difficulty, era });
+  const rng = new RandomStream(seed);
+  const variables = {};
+  VARIABLES.forEach(key => {
+    variables[key] = rules.startValue;
+  });
+
+  const state = {
+    seed: rng.seed,
+    rngState: rng.state,
+    difficulty,
+    mode,
+    dynamics: Boolean(options.dynamics),
+    worldEvents: Boolean(options.worldEvents),
+    stories: Boolean(options.stories),
+    casual: Boolean(options.casual), // Turns may be undone (see CASUAL_RULES)
+    era, // Index into ERAS, or null outside a campaign
+    eraStart: 1, // Turn the current era began on
+    variables,
+    echoes: [], // Pending delayed and multi-turn effects
+    played: [], // Ids of the cards played so far, for card prerequisites
+    turn: 1,
+    victoryCounter: 0,
+    gameStatus: 'playing', // 'playing', 'victory', 'collapse'
+    hand: [],
+    deck: null, // Deck-building piles ({ draw, discard } card ids)
+    rewardOffer: null, // Deck-building reward card ids awaiting a choice
+    story: null, // Id of the story awaiting a choice
+    told: [], // Ids of the stories told so far (each is told once per run)
+    unlocked: [] // Ids of the follow-up stories unlocked by earlier choices
+  };
+
+  if (mode === 'deck') {
+    const starting = buildStartingDeck(state, content, rng);
+    const dealt = dealFromDeck({ draw: starting, discard: [] }, content, rng);
+    state.hand = dealt.hand;
+    state.deck = dealt.deck;
+  } else {
+    state.hand = dealHand(state, content, [], rng);
+  }
+  state.rngState = rng.state;
+  return state;
+}
+
+/**
+ * Shuffle card ids (Fisher-Yates)
+ * @param {Array} ids - Card ids
+ * @param {RandomStream} rng - Random stream to shuffle with
+ * @returns {Array} Shuffled copy
+ */
+function shuffleIds(ids, rng) {
+  const shuffled = [...ids];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = rng.int(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * Look up cards by id
+ * @param {Array} ids - Card ids
+ * @param {Object} content - Game content ({ cards })
+ * @returns {Array} Cards
+ */
+function findCards(ids, content) {
+  return ids.map(id => {
+    const card = (content.cards || []).find(c => c.id === id);
+    if (!card) throw new Error(`Deck references unknown card "${id}"`);
+    return card;
+  });
+}
+
+/**
+ * Draw distinct cards by weight from the cards available in a state
+ * @param {Object} state - State the cards are drawn for
+ * @param {Object} content - Game content ({ cards })
+ * @param {Array} excludeIds - Card ids that may not be drawn
+ * @param {number} count - Number of cards wanted
+ * @param {RandomStream} rng - Random stream to draw from
+ * @returns {Array} Drawn card ids (fewer if the pool runs out)
+ */
+function drawDistinct(state, content, excludeIds, count, rng) {
+  const available = getAvailableCards(content.cards || [], state);
+  const exclude = [...excludeIds];
+  const drawn = [];
+  while (drawn.length < count) {
+    const card = drawCard(available, exclude, rng, c => getCardWeight(c, state));
+    if (!card) break;
+    drawn.push(card.id);
+    exclude.push(card.id);
+  }
+  return drawn;
+}
+
+/**
+ * Build the starting deck for a deck-building run
+ * @param {Object} state - Initial state
+ * @param {Object} content - Game content ({ cards })
+ * @param {RandomStream} rng - Random stream to draw from
+ * @returns {Array} Card ids, in draw order
+ */
+function buildStartingDeck(state, content, rng) {
+  return drawDistinct(state, content, [], DECK_RULES.startingSize, rng);
+}
+
+/**
+ * Draw a hand from the draw pile, shuffling the discard pile back in when it runs out
+ * @param {Object} deck - { draw, discard } card ids
+ * @param {Object} content - Game content ({ cards })
+ * @param {RandomStream} rng - Random stream to shuffle with
+ * @returns {Object} { hand, deck } hand of up to 3 cards and the remaining piles
+ */
+function dealFromDeck(deck, content, rng) {
+  let draw = [...deck.draw];
+  let discard = [...deck.discard];
+  const handIds = [];
+
+  while (handIds.length < 3) {
+    if (draw.length === 0) {
+      if (discard.length === 0) break;
+      draw = shuffleIds(discard, rng);
+      discard = [];
+    }
+    handIds.push(draw.shift());
+  }
+
+  return { hand: findCards(handIds, content), deck: { draw, discard } };
+}
+
+/**
+ * Get every card id the player owns in a deck-building run
+ * @param {Object} state - Simulation state
+ * @returns {Array} Card ids in the hand, draw pile and discard pile
+ */
+function getDeckCardIds(state) {
+  if (!state.deck) return [];
+  return [...state.hand.map(c => c.id), ...state.deck.draw, ...state.deck.discard];
+}
+
+/**
+ * Take a reward card (or skip the reward) in a deck-building run
+ * The chosen card goes to the discard pile and is drawn after the next shuffle
+ * @param {Object} state - State with a reward offer (not modified)
+ * @param {string|null} cardId - Id of the chosen card, or null to skip
+ * @returns {Object} New state without the offer
+ */
+function chooseReward(state, cardId) {
+  if (!state.rewardOffer) {
+    throw new Error('No reward is waiting to be chosen');
+  }
+  if (cardId !== null && !state.rewardOffer.includes(cardId)) {
+    throw new Error(`Card "${cardId}" is not one of the offered rewards`);
+  }
+
+  const discard = cardId === null ? state.deck.discard : [...state.deck.discard, cardId];
+  return { ...state, deck: { ...state.deck, discard }, rewardOffer: null };
+}
+
+/**
+ * Check one card condition against a state
+ * A condition is one of { variable, below|above }, { turn } (from that turn on)
+ * or { played } (after the card with that id has been played)
+ * @param {Object} condition - Condition to check
+ * @param {Object} state - Simulation state
+ * @returns {boolean} True if the condition holds
+ */
+function checkCondition(condition, state) {
+  if (condition.variable !== undefined) {
+    const value = state.variables[condition.variable];
+    if (condition.below !== undefined && value >= condition.below) return false;
+    if (condition.above !== undefined && value <= condition.above) return false;
+    return true;
+  }
+  if (condition.turn !== undefined) return state.turn >= condition.turn;
+  if (condition.played !== undefined) return state.played.includes(condition.played);
+  return false;
+}
+
+/**
+ * Check whether a card may be drawn in a state
+ * @param {Object} card - Card with optional requires (conditions that must all hold) and eras (era ids)
+ * @param {Object} state - Simulation state
+ * @returns {boolean} True if the card belongs to the current era and every prerequisite holds
+ */
+function isCardAvailable(card, state) {
+  if (card.eras && typeof state.era === 'number' && !card.eras.includes(ERAS[state.era].id)) {
+    return false;
+  }
+  return (card.requires || []).every(condition => checkCondition(condition, state));
+}
+
+/**
+ * Get the cards that may be drawn in a state
+ * @param {Array} cards - Card pool
+ * @param {Object} state - Simulation state
+ * @returns {Array} Cards whose prerequisites hold
+ */
+function getAvailableCards(cards, state) {
+  return cards.filter(card => isCardAvailable(card, state));
+}
+
+/**
+ * Get the relative weight of drawing a card in a state
+ * The base weight is the card's weight, or its rarity's weight; each weight
+ * modifier whose condition holds multiplies it
+ * @param {Object} card - Card with optional rarity, weight and weightModifiers ([{ if, multiply }])
+ * @param {Object} state - Simulation state
+ * @returns {number} Draw weight (0 means never drawn)
+ */
+function getCardWeight(card, state) {
+  const base = card.weight !== undefined ? card.weight : RARITIES[card.rarity || 'common'].weight;
+  return (card.weightModifiers || []).reduce(
+    (weight, modifier) => (checkCondition(modifier.if, state) ? weight * modifier.multiply : weight),
+    base
+  );
+}
+
+/**
+ * Deal a hand for a state from the cards available in it
+ * @param {Object} state - State the hand is dealt for
+ * @param {Object} content - Game content ({ cards })
+ * @param {Array} previousHand - Cards to exclude (the hand just played)
+ * @param {RandomStream} rng - Random stream to draw from
+ * @returns {Array} Up to 3 unique cards, drawn by weight
+ */
+function dealHand(state, content, previousHand, rng) {
+  const available = getAvailableCards(content.cards || [], state);
+  return getNextThreeCards(available, previousHand, rng, card => getCardWeight(card, state));
+}
+
+/**
+ * Get the conditional effects of a card that apply in a state
+ * @param {Object} card - Card with optional conditional ([{ if, effects }])
+ * @param {Object} state - State the card is played from
+ * @returns {Array} Conditional entries whose condition holds
+ */
+function getTriggeredConditionals(card, state) {
+  return (card.conditional || []).filter(entry => checkCondition(entry.if, state));
+}
+
+/**
+ * Roll a card's effects with its variance
+ * @param {Object} card - Card object with effects and variance
+ * @param {RandomStream} rng - Random stream to roll from
+ * @param {Object} rules - Rule parameters (for the variance scale)
+ * @returns {Object} Rolled effect per variable
+ */
+function rollCardEffects(card, rng, rules = RULES) {
+  const variance = (card.variance || 0) * rules.varianceScale;
+  const effects = {};
+  for (const [key, value] of Object.entries(card.effects)) {
+    const randomVariance = (rng.next() - 0.5) * 2 * variance;
+    effects[key] = value + randomVariance;
+  }
+  return effects;
+}
+
+/**
+ * Apply effects to variables, clamping to the valid range
+ * @param {Object} variables - Current variables
+ * @param {Object} effects - Effect per variable
+ * @param {Object} rules - Rule parameters (for the valid range)
+ * @returns {Object} New variables
+ */
+function applyEffects(variables, effects, rules = RULES) {
+  const next = { ...variables };
+  for (const [key, effect] of Object.entries(effects)) {
+    next[key] = clamp(next[key] + effect, rules.minValue, rules.maxValue);
+  }
+  return next;
+}
+
+/**
+ * Get the passive change applied to every variable at the end of a turn
+ * @param {Object} rules - Rule parameters
+ * @returns {Object} Drift per variable (empty when there is none)
+ */
+function getTurnDrift(rules) {
+  const drift = {};
+  if (rules.drift !== 0) {
+    VARIABLES.forEach(key => {
+      drift[key] = rules.drift;
+    });
+  }
+  return drift;
+}
+
+/**
+ * Schedule the delayed and multi-turn effects a card declares
+ * @param {Object} card - Card with optional echoes ({ effects, delay, duration })
+ * @returns {Array} Pending echoes ({ cardId, title, effects, wait, remaining })
+ */
+function scheduleEchoes(card) {
+  return (card.echoes || []).map(echo => ({
+    cardId: card.id,
+    title: card.title,
+    effects: { ...echo.effects },
+    wait: echo.delay !== undefined ? echo.delay : 1, // Turns to skip before the first landing
+    remaining: echo.duration !== undefined ? echo.duration : 1 // Landings left
+  }));
+}
+
+/**
+ * Advance pending echoes by one turn
+ * Echoes still waiting count down; the others land and use up one turn of their duration
+ * @param {Array} echoes - Pending echoes
+ * @returns {Object} { landed, pending } landed echoes this turn and those still pending
+ */
+function tickEchoes(echoes) {
+  const landed = [];
+  const pending = [];
+  echoes.forEach(echo => {
+    if (echo.wait > 0) {
+      pending.push({ ...echo, wait: echo.wait - 1 });
+      return;
+    }
+    landed.push(echo);
+    if (echo.remaining > 1) {
+      pending.push({ ...echo, remaining: echo.remaining - 1 });
+    }
+  });
+  return { landed, pending };
+}
+
+/**
+ * Get the couplings whose condition holds for the given variables
+ * @param {Object} variables - Variables after the card was played
+ * @param {Array} couplings - Coupling table ({ id, label, source, below|above, effects })
+ * @returns {Array} Couplings that fire this turn
+ */
+function getActiveCouplings(variables, couplings = DEFAULT_COUPLINGS) {
+  return couplings.filter(coupling => {
+    const value = variables[coupling.source];
+    if (coupling.below !== undefined && value >= coupling.below) return false;
+    if (coupling.above !== undefined && value <= coupling.above) return false;
+    return true;
+  });
+}
+
+/**
+ * Roll for a world event at the end of a turn
+ * One roll is compared against the running total of the chances of the events
+ * whose conditions hold, so at most one event fires per turn
+ * @param {Object} state - State after the turn's card, echoes and drift
+ * @param {RandomStream} rng - Random stream to roll from
+ * @param {Array} events - Event table ({ id, title, desc, chance, requires, effects })
+ * @returns {Object|null} Event that fires, or null
+ */
+function rollWorldEvent(state, rng, events = DEFAULT_EVENTS) {
+  const roll = rng.next();
+  let cumulative = 0;
+  for (const event of events) {
+    if (!(event.requires || []).every(condition => checkCondition(condition, state))) continue;
+    cumulative += event.chance;
+    if (roll < cumulative) return event;
+  }
+  return null;
+}
+
+/**
+ * Get the stories that may still be told in a state
+ * @param {Object} state - Simulation state
+ * @param {Array} stories - Story table ({ id, followUp, ... })
+ * @returns {Array} Stories not told yet, follow-ups only once unlocked
+ */
+function getAvailableStories(state, stories = DEFAULT_STORIES) {
+  return stories.filter(story => !state.told.includes(story.id) && (!story.followUp || state.unlocked.includes(story.id)));
+}
+
+/**
+ * Look a story up by id
+ * @param {string} id - Story id
+ * @param {Object} content - Game content ({ stories })
+ * @returns {Object} Story
+ */
+function findStory(id, content = {}) {
+  const story = (content.stories || DEFAULT_STORIES).find(s => s.id === id);
+  if (!story) throw new Error(`Unknown story "${id}"`);
+  return story;
+}
+
+/**
+ * Make a choice in the story waiting in a state
+ * The choice's effects land at once and may unlock follow-up stories; a variable
+ * pushed to the collapse threshold ends the run. The victory counter is left to
+ * the next turn.
+ * @param {Object} state - State with a story waiting (not modified)
+ * @param {number} choiceIndex - Index of the chosen option
+ * @param {Object} content - Game content ({ stories })
+ * @returns {Object} { state, outcome, story, choice } where outcome is 'continue' or 'collapse'
+ */
+function chooseStory(state, choiceIndex, content = {}) {
+  if (!state.story) {
+    throw new Error('No story is waiting to be chosen');
+  }
+  const story = findStory(state.story, content);
+  const choice = story.choices[choiceIndex];
+  if (!choice) {
+    throw new Error(`Story "${story.id}" has no choice ${choiceIndex + 1}`);
+  }
+
+  const rules = getRules(state);
+  const variables = applyEffects(state.variables, choice.effects, rules);
+  const collapsed = VARIABLES.some(key => variables[key] <= rules.collapseThreshold);
+  const unlocks = (choice.unlocks || []).filter(id => !state.unlocked.includes(id));
+  const next = {
+    ...state,
+    variables,
+    story: null,
+    unlocked: [...state.unlocked, ...unlocks],
+    gameStatus: collapsed ? 'collapse' : state.gameStatus
+  };
+  return { state: next, outcome: collapsed ? 'collapse' : 'continue', story, choice };
+}
+
+/**
+ * Sum effects into a total per variable
+ * @param {Array} effectsList - Effect objects to add up
+ * @returns {Object} Total effect per variable (variables with no change are omitted)
+ */
+function sumEffects(effectsList) {
+  const total = {};
+  effectsList.forEach(effects => {
+    for (const [key, value] of Object.entries(effects)) {
+      total[key] = (total[key] || 0) + value;
+    }
+  });
+  for (const key of Object.keys(total)) {
+    if (total[key] === 0) delete total[key];
+  }
+  return total;
+}
+
+/**
+ * Evaluate victory and collapse for variables after a turn
+ * Victory is checked first, matching the order the game has always used
+ * @param {Object} variables - Variables after the turn
+ * @param {number} victoryCounter - Consecutive turns with all variables high so far
+ * @param {Object} rules - Rule parameters (thresholds)
+ * @returns {Object} { outcome: 'victory'|'collapse'|'continue', victoryCounter }
+ */
+function evaluateOutcome(variables, victoryCounter, rules = RULES) {
+  const values = VARIABLES.map(key => variables[key]);
+  const allHigh = values.every(v => v >= rules.victoryThreshold);
+  const counter = allHigh ? victoryCounter + 1 : 0;
+
+  if (counter >= rules.victoryTurns) {
+    return { outcome: 'victory', victoryCounter: counter };
+  }
+  if (values.some(v => v <= rules.collapseThreshold)) {
+    return { outcome: 'collapse', victoryCounter: counter };
+  }
+  return { outcome: 'continue', victoryCounter: counter };
+}
+
+/**
+ * Project the range of results of playing a card, without playing it
+ * Mirrors resolveTurn with the card's variance at both extremes: conditional
+ * effects, echoes landing this turn, drift and couplings are included. World
+ * events and stories are left out, as they cannot be foreseen.
+ * Each effect is rolled on its own, so a coupling may fire from one variable's
+ * high roll while another variable takes its low roll; the range of each
+ * variable covers every such combination.
+ * @param {Object} state - State the card would be played from
+ * @param {Object} card - Card from state.hand
+ * @param {Object} content - Game content ({ couplings })
+ * @returns {Object} { ranges, couldCollapse, couldStreak, couldWin } where ranges holds { min, max }
+ *   per variable, couldCollapse is true if any variable may reach the collapse threshold, couldStreak
+ *   if every variable may reach the victory threshold and couldWin if that would complete the streak
+ */
+function previewCard(state, card, content = {}) {
+  const rules = getRules(state);
+  const variance = (card.variance || 0) * rules.varianceScale;
+  const conditionals = getTriggeredConditionals(card, state);
+  const { landed } = tickEchoes([...state.echoes, ...scheduleEchoes(card)]);
+  const couplings = state.dynamics ? content.couplings || DEFAULT_COUPLINGS : [];
+  const drift = getTurnDrift(rules);
+
+  // Variables after the card and its echoes, with every effect rolled at one extreme
+  const settle = offset => {
+    const rolled = {};
+    for (const [key, value] of Object.entries(card.effects)) {
+      rolled[key] = value + offset;
+    }
+    const effects = sumEffects([rolled, ...conditionals.map(entry => entry.effects)]);
+    const afterCard = applyEffects(state.variables, effects, rules);
+    return landed.reduce((values, echo) => applyEffects(values, echo.effects, rules), afterCard);
+  };
+  const low = settle(-variance);
+  const high = settle(variance);
+
+  // Split each variable's range at the thresholds of the couplings on it; the same couplings fire across a piece
+  const pieces = {};
+  VARIABLES.forEach(key => {
+    const sourced = couplings.filter(coupling => coupling.source === key);
+    const cuts = sourced.flatMap(coupling => [coupling.below, coupling.above])
+      .filter(threshold => threshold > low[key] && threshold < high[key])
+      .sort((a, b) => a - b);
+    const points = [low[key], ...cuts, high[key]];
+    pieces[key] = points.slice(1).map((end, index) => ({
+      start: points[index],
+      end,
+      fired: getActiveCouplings({ [key]: (points[index] + end) / 2 }, sourced)
+    }));
+  });
+  const pull = (fired, key) => fired.reduce((total, coupling) => total + (coupling.effects[key] || 0), 0);
+
+  // A variable's own couplings move with its roll; those on other variables add their best or worst case
+  const ranges = {};
+  VARIABLES.forEach(key => {
+    const own = pieces[key].flatMap(piece => [piece.start, piece.end].map(value => value + pull(piece.fired, key)));
+    let min = Math.min(...own) + (drift[key] || 0);
+    let max = Math.max(...own) + (drift[key] || 0);
+    VARIABLES.filter(source => source !== key).forEach(source => {
+      const pulls = pieces[source].map(piece => pull(piece.fired, key));
+      min += Math.min(...pulls);
+      max += Math.max(...pulls);
+    });
+    ranges[key] = { min: clamp(min, rules.minValue, rules.maxValue), max: clamp(max, rules.minValue, rules.maxValue) };
+  });
+
+  const couldStreak = VARIABLES.every(key => ranges[key].max >= rules.victoryThreshold);
+  return {
+    ranges,
+    couldCollapse: VARIABLES.some(key => ranges[key].min <= rules.collapseThreshold),
+    couldStreak,
+    couldWin: couldStreak && state.victoryCounter + 1 >= rules.victoryTurns
+  };
+}
+
+/**
+ * Resolve one turn: play a card from the hand and advance the simulation
+ * In deck-building mode the hand is discarded, a reward may be offered and the
+ * next hand comes from the player's deck.
+ * Conditional effects whose condition holds when the card is played are added
+ * to its rolled effects. The card's echoes join the pending ones, then every
+ * echo due this turn lands. The next hand is drawn from the cards whose
+ * prerequisites hold in the new state, weighted by rarity and state.
+ * When state.dynamics is on, couplings are checked against the variables after
+ * the card and its echoes, and their effects are added to the difficulty drift.
+ * When state.worldEvents is on, a world event may then fire; its effects count
+ * toward victory and collapse like everything else that turn.
+ * In a campaign, meeting the victory condition before the last era completes
+ * the era instead (outcome 'era'): the variables carry over, the victory
+ * counter restarts and the next hand comes from the new era's cards.
+ * With stories on, a story may then interrupt the new turn (not on turns
+ * that complete an era or offer a reward); it must be chosen with chooseStory
+ * before the next card is played.
+ * @param {Object} state - Current simulation state (not modified)
+ * @param {Object} card - Card chosen from state.hand
+ * @param {Object} content - Game content ({ cards, couplings, events, stories })
+ * @returns {Object} { state, outcome, effects, conditionals, echoes, drift, couplings, event, story, duration }
+ *   where event is the world event that fired (or null), story the story now waiting (or null)
+ *   and outcome is 'continue', 'era', 'victory' or 'collapse'
+ */
+function resolveTurn(state, card, content = {}) {
+  if (state.gameStatus !== 'playing') {
+    throw new Error(`Cannot play a card: game has ended in ${state.gameStatus}`);
+  }
+  if (!card || !state.hand.some(c => c.id === card.id)) {
+    throw new Error(`Card "${card && card.id}" is not in the current hand`);
+  }
+  if (state.rewardOffer) {
+    throw new Error('Cannot play a card: a reward is waiting to be chosen');
+  }
+  if (state.story) {
+    throw new Error('Cannot play a card: a story is waiting for a choice');
+  }
+
+  const rules = getRules(state);
+  const rng = restoreStream(state);
+  const conditionals = getTriggeredConditionals(card, state);
+  const rolled = rollCardEffects(card, rng, rules);
+  const effects = conditionals.length > 0 ? sumEffects([rolled, ...conditionals.map(entry => entry.effects)]) : rolled;
+  const duration = rng.range(rules.minDuration, rules.maxDuration);
+  const { landed, pending } = tickEchoes([...state.echoes, ...scheduleEchoes(card)]);
+  const afterCard = applyEffects(state.variables, effects, rules);
+  const afterEchoes = landed.reduce((values, echo) => applyEffects(values, echo.effects, rules), afterCard);
+  const couplings = state.dynamics ? getActiveCouplings(afterEchoes, content.couplings) : [];
+  const drift = sumEffects([getTurnDrift(rules), ...couplings.map(c => c.effects)]);
+  const afterDrift = applyEffects(afterEchoes, drift, rules);
+  const event = state.worldEvents ? rollWorldEvent({ ...state, variables: afterDrift }, rng, content.events) : null;
+  const variables = event ? applyEffects(afterDrift, event.effects, rules) : afterDrift;
+  const evaluated = evaluateOutcome(variables, state.victoryCounter, rules);
+  const progress = getEraProgress(state);
+  const outcome = evaluated.outcome === 'victory' && progress && !progress.final ? 'era' : evaluated.outcome;
+
+  const next = {
+    ...state,
+    variables,
+    echoes: pending,
+    played: state.played.includes(card.id) ? state.played : [...state.played, card.id],
+    victoryCounter: evaluated.victoryCounter,
+    gameStatus: ['continue', 'era'].includes(outcome) ? 'playing' : outcome
+  };
+
+  if (outcome === 'era') {
+    next.era = state.era + 1;
+    next.eraStart = state.turn + 1;
+    next.victoryCounter = 0;
+  }
+
+  if (next.gameStatus === 'playing') {
+    next.turn = state.turn + 1;
+    if (state.mode === 'deck') {
+      const deck = { draw: state.deck.draw, discard: [...state.deck.discard, ...state.hand.map(c => c.id)] };
+      if (state.turn % DECK_RULES.rewardEvery === 0) {
+        const offer = drawDistinct(next, content, [...deck.draw, ...deck.discard], 3, rng);
+        next.rewardOffer = offer.length > 0 ? offer : null;
+      }
+      const dealt = dealFromDeck(deck, content, rng);
+      next.hand = dealt.hand;
+      next.deck = dealt.deck;
+    } else {
+      next.hand = dealHand(next, content, state.hand, rng);
+    }
+  }
+
+  // Stories get a roll of their own, over the stories that can still be told
+  let story = null;
+  if (state.stories && outcome === 'continue' && !next.rewardOffer) {
+    story = rollWorldEvent(next, rng, getAvailableStories(next, content.stories));
+    if (story) {
+      next.story = story.id;
+      next.told = [...state.told, story.id];
+    }
+  }
+
+  next.rngState = rng.state;
+  return { state: next, outcome, effects, conditionals, echoes: landed, drift, couplings, event, story, duration };
+}
+
+/**
+ * Play a whole game headlessly
+ * @param {Object} content - Game content ({ cards, couplings })
+ * @param {Function} chooseCard - Policy: (state, content) => card from state.hand
+ * @param {Object} options - { seed, maxTurns, difficulty, dynamics, worldEvents, stories, mode, campaign, chooseReward, chooseStory } where
+ *   chooseReward is (state, content) => card id from state.rewardOffer or null (first offer if omitted) and
+ *   chooseStory is (state, content, story) => choice index (first choice if omitted)
+ * @returns {Object} { state, turns } where turns lists each resolved turn
+ */
+function runGame(content, chooseCard, options = {}) {
+  const seed = options.seed !== undefined ? options.seed : createSeed();
+  const maxTurns = options.maxTurns || 500;
+  let state = createInitialState(seed, content, {
+    difficulty: options.difficulty,
+    dynamics: options.dynamics,
+    worldEvents: options.worldEvents,
+    stories: options.stories,
+    mode: options.mode,
+    campaign: options.campaign
+  });
+  const pickReward = options.chooseReward || (current => current.rewardOffer[0]);
+  const pickStory = options.chooseStory || (() => 0);
+  const turns = [];
+
+  while (state.gameStatus === 'playing' && state.hand.length > 0 && turns.length < maxTurns) {
+    const card = chooseCard(state, content);
+    const result = resolveTurn(state, card, content);
+    const turn = { hand: state.hand, card, effects: result.effects, event: result.event, outcome: result.outcome };
+    state = result.state;
+
+    if (state.rewardOffer) {
+      turn.reward = pickReward(state, content);
+      state = chooseReward(state, turn.reward);
+    }
+    if (state.story) {
+      const choice = pickStory(state, content, result.story);
+      const told = chooseStory(state, choice, content);
+      turn.story = { id: result.story.id, choice };
+      if (told.outcome === 'collapse') turn.outcome = 'collapse';
+      state = told.state;
+    }
+    turns.push(turn);
+  }
+
+  return { state, turns };
+}
+
+// Export for Node (tests and tools); the browser uses these as globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    VARIABLES,
+    RULES,
+    DIFFICULTIES,
+    DEFAULT_DIFFICULTY,
+    MODES,
+    DEFAULT_MODE,
+    DECK_RULES,
+    CASUAL_RULES,
+    ERAS,
+    DEFAULT_COUPLINGS,
+    DEFAULT_EVENTS,
+    DEFAULT_STORIES,
+    RARITIES,
+    getRules,
+    getEraProgress,
+    createInitialState,
+    getDeckCardIds,
+    chooseReward,
+    checkCondition,
+    isCardAvailable,
+    getAvailableCards,
+    getCardWeight,
+    getTriggeredConditionals,
+    rollCardEffects,
+    applyEffects,
+    getTurnDrift,
+    scheduleEchoes,
+    tickEchoes,
+    getActiveCouplings,
+    rollWorldEvent,
+    getAvailableStories,
+    findStory,
+    chooseStory,
+    sumEffects,
+    evaluateOutcome,
+    previewCard,
+    resolveTurn,
+    runGame
+  };
+}
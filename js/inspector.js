@@ -0,0 +1,239 @@
+/**
+ * Shader layer debug inspector
+ * An overlay on the Time Mirror that solos or mutes each shader layer, scrubs
+ * the variables the visualization is drawn from without touching the game, and
+ * shows the live uniform values and frame timing. Opened with I or ?debug.
+ */
+
+// Shader layers in u_layers order (x, y, z, w)
+const INSPECTOR_LAYERS = [
+  { key: 'ecology', label: 'Ecology waves' },
+  { key: 'cohesion', label: 'Cohesion nodes' },
+  { key: 'innovation', label: 'Innovation fractal' },
+  { key: 'stability', label: 'Stability noise' }
+];
+
+const INSPECTOR_REFRESH_FRAMES = 10; // Frames between readout refreshes
+
+/**
+ * Get the shader layer gains for a solo/mute setup
+ * Soloed layers win over muted ones: with any layer soloed, only soloed layers show
+ * @param {Object} soloed - True per soloed layer key
+ * @param {Object} muted - True per muted layer key
+ * @returns {Array} Gain (0 or 1) per layer, in INSPECTOR_LAYERS order
+ */
+function getLayerGains(soloed, muted) {
+  const anySolo = INSPECTOR_LAYERS.some(layer => soloed[layer.key]);
+  return INSPECTOR_LAYERS.map(layer => {
+    if (anySolo) return soloed[layer.key] ? 1 : 0;
+    return muted[layer.key] ? 0 : 1;
+  });
+}
+
+/**
+ * Format a uniform value for the readout
+ * @param {number|Object} value - Number or vector ({ x, y[, z[, w]] })
+ * @returns {string} Formatted value
+ */
+function formatUniformValue(value) {
+  if (typeof value === 'number') return value.toFixed(3);
+  const parts = ['x', 'y', 'z', 'w'].filter(axis => typeof value[axis] === 'number');
+  return `(${parts.map(axis => value[axis].toFixed(2)).join(', ')})`;
+}
+
+class ShaderInspector {
+  constructor() {
+    this.visible = false;
+    this.soloed = {}; // True per soloed layer key
+    this.muted = {}; // True per muted layer key
+    this.override = null; // Variables set with the sliders, or null to follow the game
+    this.frames = 0; // Frames since the last refresh
+    this.intervals = 0; // Frame intervals measured since the last refresh
+    this.intervalTotal = 0; // Sum of those intervals (ms)
+    this.lastTime = 0;
+  }
+
+  /**
+   * Show or hide the overlay
+   * Closing it returns the visualization to normal: every layer on, game variables
+   */
+  toggle() {
+    if (this.visible) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  /**
+   * Show the overlay
+   */
+  show() {
+    this.visible = true;
+    this.frames = 0;
+    this.intervals = 0;
+    this.intervalTotal = 0;
+    this.lastTime = 0;
+    const panel = document.getElementById('shaderInspector');
+    if (panel) panel.classList.remove('hidden');
+  }
+
+  /**
+   * Hide the overlay and clear the solo, mute and slider settings
+   */
+  hide() {
+    this.visible = false;
+    this.soloed = {};
+    this.muted = {};
+    this.releaseOverride();
+    this.renderLayerButtons();
+    const panel = document.getElementById('shaderInspector');
+    if (panel) panel.classList.add('hidden');
+  }
+
+  /**
+   * Toggle solo or mute for one layer
+   * @param {string} key - Layer key (see INSPECTOR_LAYERS)
+   * @param {string} action - 'solo' or 'mute'
+   */
+  toggleLayer(key, action) {
+    const flags = action === 'solo' ? this.soloed : this.muted;
+    flags[key] = !flags[key];
+    this.renderLayerButtons();
+  }
+
+  /**
+   * Get the layer gains for the u_layers uniform
+   * @returns {Array} Gain (0 or 1) per layer
+   */
+  getLayerGains() {
+    return getLayerGains(this.soloed, this.muted);
+  }
+
+  /**
+   * Set one variable from its slider, taking the others from the game the first time
+   * @param {string} key - Variable name
+   * @param {number} value - Value (0-100)
+   * @param {Object} live - Current game variables
+   */
+  setVariable(key, value, live) {
+    if (!this.override) this.override = { ...live };
+    this.override[key] = value;
+
+    const liveBtn = document.getElementById('inspectorLiveBtn');
+    if (liveBtn) liveBtn.disabled = false;
+  }
+
+  /**
+   * Go back to drawing the game's own variables
+   */
+  releaseOverride() {
+    this.override = null;
+    const liveBtn = document.getElementById('inspectorLiveBtn');
+    if (liveBtn) liveBtn.disabled = true;
+  }
+
+  /**
+   * Get the variables the visualization should draw
+   * @param {Object} live - Current game variables
+   * @returns {Object} Slider values while overriding, otherwise the game variables
+   */
+  getVariables(live) {
+    return this.override || live;
+  }
+
+  /**
+   * Mark each layer button pressed or not
+   */
+  renderLayerButtons() {
+    document.querySelectorAll('#shaderInspector [data-layer]').forEach(button => {
+      const flags = button.dataset.action === 'solo' ? this.soloed : this.muted;
+      button.setAttribute('aria-pressed', flags[button.dataset.layer] ? 'true' : 'false');
+    });
+  }
+
+  /**
+   * Count a frame and refresh the readouts every few frames (call while the overlay is shown)
+   * @param {number} currentTime - requestAnimationFrame timestamp
+   * @param {Object} readout - { variables, uniforms, monitor, quality } to show
+   */
+  update(currentTime, readout) {
+    if (this.lastTime > 0) {
+      this.intervals++;
+      this.intervalTotal += currentTime - this.lastTime;
+    }
+    this.lastTime = currentTime;
+    this.frames++;
+    if (this.frames < INSPECTOR_REFRESH_FRAMES) return;
+
+    const fps = this.intervalTotal > 0 ? 1000 * this.intervals / this.intervalTotal : 0;
+    this.frames = 0;
+    this.intervals = 0;
+    this.intervalTotal = 0;
+    this.render(readout, fps);
+  }
+
+  /**
+   * Refresh the sliders, uniform values and frame timing
+   * @param {Object} readout - { variables, uniforms, monitor, quality }
+   * @param {number} fps - Frames per second since the last refresh
+   */
+  render(readout, fps) {
+    const { variables, uniforms, monitor, quality } = readout;
+
+    INSPECTOR_LAYERS.forEach(layer => {
+      const slider = document.querySelector(`#shaderInspector input[data-variable="${layer.key}"]`);
+      const output = document.querySelector(`#shaderInspector output[data-variable="${layer.key}"]`);
+      const value = Math.round(variables[layer.key]);
+      // Leave a slider alone while it is being dragged
+      if (slider && document.activeElement !== slider) slider.value = String(value);
+      if (output) output.textContent = String(value);
+    });
+
+    this.renderReadout('inspectorUniforms', Object.entries(uniforms).map(([name, uniform]) =>
+      [name, formatUniformValue(uniform.value)]
+    ));
+
+    const average = monitor.frameCount > 0 ? monitor.totalFrameTime / monitor.frameCount : 0;
+    this.renderReadout('inspectorTiming', [
+      ['FPS', fps.toFixed(1)],
+      ['Last frame', `${monitor.lastFrameDuration.toFixed(2)} ms`],
+      ['Average', `${average.toFixed(2)} ms`],
+      ['Worst', `${monitor.maxFrameTime.toFixed(2)} ms`],
+      ['Quality', quality]
+    ]);
+  }
+
+  /**
+   * Fill a definition list with label/value pairs
+   * @param {string} id - Element id of the list
+   * @param {Array} lines - [label, value] pairs
+   */
+  renderReadout(id, lines) {
+    const list = document.getElementById(id);
+    if (!list) return;
+
+    list.innerHTML = '';
+    lines.forEach(([label, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const detail = document.createElement('dd');
+      detail.textContent = value;
+      list.appendChild(term);
+      list.appendChild(detail);
+    });
+  }
+}
+
+// Global shader inspector instance
+let shaderInspector = new ShaderInspector();
+
+// Export for Node (tests and tools); the browser uses these as globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    INSPECTOR_LAYERS,
+    getLayerGains,
+    formatUniformValue,
+    ShaderInspector
+  };
+}
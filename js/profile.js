@@ -0,0 +1,326 @@
+/**
+ * Lifetime player profile: statistics across runs and achievements
+ * The profile is stored in localStorage apart from the saved game, so it
+ * survives restarts and discarded saves. Achievements are data: each one lists
+ * conditions on lifetime statistics, the current run or its variables, and is
+ * checked after every turn ("turn") or when a run ends ("end").
+ */
+
+// In Node, pull shared helpers into scope (the browser loads these first)
+if (typeof module !== 'undefined' && module.exports) {
+  Object.assign(globalThis, require('./engine.js'), require('./replay.js'), require('./storage.js'));
+}
+
+const PROFILE_KEY = 'echoes-of-tomorrow-profile';
+const PROFILE_VERSION = 1;
+
+/**
+ * Migrations from each older profile version to the next one
+ * Add an entry keyed by the old version whenever PROFILE_VERSION is bumped
+ */
+const PROFILE_MIGRATIONS = {};
+
+/**
+ * Facts an achievement condition can test
+ * stat: lifetime statistics (getStatFacts), run: the current run (getRunFacts)
+ */
+const ACHIEVEMENT_FACTS = {
+  triggers: ['turn', 'end'],
+  stat: ['games', 'wins', 'collapses', 'turns', 'fastestVictory', 'longestSurvival', 'distinctCards', 'achievements'],
+  run: ['outcome', 'turns', 'difficulty', 'mode', 'campaign', 'dynamics', 'worldEvents', 'stories', 'events',
+    'cards', 'bestStreak', 'lowest']
+};
+
+/**
+ * Built-in achievements, used when js/achievements.json cannot be loaded
+ */
+const DEFAULT_ACHIEVEMENTS = [
+  { id: 'first-echo', title: 'First Echo', desc: 'Finish your first run', on: 'end', when: [{ stat: 'games', atLeast: 1 }] },
+  { id: 'golden-future', title: 'Golden Future', desc: 'Win a run', on: 'end', when: [{ run: 'outcome', is: 'victory' }] },
+  {
+    id: 'swift-harmony',
+    title: 'Swift Harmony',
+    desc: 'Win within 25 turns',
+    on: 'end',
+    when: [{ run: 'outcome', is: 'victory' }, { run: 'turns', atMost: 25 }]
+  },
+  {
+    id: 'hard-won',
+    title: 'Hard Won',
+    desc: 'Win on Hard',
+    on: 'end',
+    when: [{ run: 'outcome', is: 'victory' }, { run: 'difficulty', is: 'hard' }]
+  },
+  {
+    id: 'against-all-odds',
+    title: 'Against All Odds',
+    desc: 'Win on Brutal',
+    on: 'end',
+    when: [{ run: 'outcome', is: 'victory' }, { run: 'difficulty', is: 'brutal' }]
+  },
+  {
+    id: 'through-the-ages',
+    title: 'Through the Ages',
+    desc: 'Complete all three eras of a campaign',
+    on: 'end',
+    when: [{ run: 'outcome', is: 'victory' }, { run: 'campaign', is: true }]
+  },
+  {
+    id: 'architect',
+    title: 'Architect',
+    desc: 'Win a deck-building run',
+    on: 'end',
+    when: [{ run: 'outcome', is: 'victory' }, { run: 'mode', is: 'deck' }]
+  },
+  {
+    id: 'close-call',
+    title: 'Close Call',
+    desc: 'Win after a variable fell to 10 or below',
+    on: 'end',
+    when: [{ run: 'outcome', is: 'victory' }, { run: 'lowest', atMost: 10 }]
+  },
+  { id: 'long-haul', title: 'The Long Haul', desc: 'Survive 50 turns in one run', on: 'turn', when: [{ run: 'turns', atLeast: 50 }] },
+  { id: 'storyteller', title: 'Storyteller', desc: 'Make 3 story choices in one run', on: 'turn', when: [{ run: 'stories', atLeast: 3 }] },
+  { id: 'singularity', title: 'Singularity', desc: 'Push Innovation above 95', on: 'turn', when: [{ variable: 'innovation', above: 95 }] },
+  { id: 'veteran', title: 'Veteran', desc: 'Finish 10 runs', on: 'end', when: [{ stat: 'games', atLeast: 10 }] },
+  {
+    id: 'collector',
+    title: 'Collector',
+    desc: 'Play 25 different cards across all runs',
+    on: 'end',
+    when: [{ stat: 'distinctCards', atLeast: 25 }]
+  }
+];
+
+/**
+ * Create an empty profile
+ * @returns {Object} Profile with zeroed statistics and no achievements
+ */
+function createProfile() {
+  return {
+    version: PROFILE_VERSION,
+    stats: {
+      games: 0,
+      wins: 0,
+      collapses: 0,
+      collapsesBy: {}, // Collapses per variable that fell
+      turns: 0,
+      fastestVictory: null, // Fewest turns to win
+      longestSurvival: 0, // Most turns in one run
+      cardsPlayed: {} // Times played per card id
+    },
+    achievements: {} // Unlock time (ISO string) per achievement id
+  };
+}
+
+/**
+ * Add a finished run to the lifetime statistics
+ * @param {Object} profile - Profile
+ * @param {Object} replay - Replay log of the finished run
+ * @returns {Object} Updated profile
+ */
+function addRunToProfile(profile, replay) {
+  const summary = summarizeReplay(replay);
+  const stats = profile.stats;
+  const won = replay.outcome === 'victory';
+
+  const collapsesBy = { ...stats.collapsesBy };
+  summary.collapsed.forEach(key => {
+    collapsesBy[key] = (collapsesBy[key] || 0) + 1;
+  });
+  const cardsPlayed = { ...stats.cardsPlayed };
+  replay.turns.forEach(entry => {
+    cardsPlayed[entry.card] = (cardsPlayed[entry.card] || 0) + 1;
+  });
+
+  return {
+    ...profile,
+    stats: {
+      games: stats.games + 1,
+      wins: stats.wins + (won ? 1 : 0),
+      collapses: stats.collapses + (replay.outcome === 'collapse' ? 1 : 0),
+      collapsesBy,
+      turns: stats.turns + summary.turns,
+      fastestVictory: won && (stats.fastestVictory === null || summary.turns < stats.fastestVictory)
+        ? summary.turns
+        : stats.fastestVictory,
+      longestSurvival: Math.max(stats.longestSurvival, summary.turns),
+      cardsPlayed
+    }
+  };
+}
+
+/**
+ * Get the lifetime facts achievement conditions can test
+ * @param {Object} profile - Profile
+ * @returns {Object} Values by fact name (see ACHIEVEMENT_FACTS.stat)
+ */
+function getStatFacts(profile) {
+  const { cardsPlayed, collapsesBy, ...counts } = profile.stats;
+  return {
+    ...counts,
+    distinctCards: Object.keys(cardsPlayed).length,
+    achievements: Object.keys(profile.achievements).length
+  };
+}
+
+/**
+ * Get the facts about a run achievement conditions can test
+ * @param {Object} replay - Replay log of the run so far
+ * @returns {Object} Values by fact name (see ACHIEVEMENT_FACTS.run)
+ */
+function getRunFacts(replay) {
+  const summary = summarizeReplay(replay);
+  return {
+    outcome: replay.outcome,
+    turns: summary.turns,
+    difficulty: replay.difficulty,
+    mode: replay.mode,
+    campaign: replay.campaign,
+    dynamics: replay.dynamics,
+    worldEvents: replay.worldEvents,
+    stories: replay.turns.filter(entry => entry.story).length,
+    events: replay.turns.filter(entry => entry.event).length,
+    cards: new Set(replay.turns.map(entry => entry.card)).size,
+    bestStreak: summary.bestStreak,
+    lowest: Math.min(...VARIABLES.map(key => summary.low[key].value))
+  };
+}
+
+/**
+ * Check one achievement condition
+ * @param {Object} condition - { stat|run, is|atLeast|atMost } or { variable, above|below }
+ * @param {Object} facts - { stat, run, variables }
+ * @returns {boolean} True if the condition holds
+ */
+function checkAchievementCondition(condition, facts) {
+  if (condition.variable !== undefined) {
+    return checkCondition(condition, { variables: facts.variables });
+  }
+
+  const value = condition.stat !== undefined ? facts.stat[condition.stat] : facts.run[condition.run];
+  if (value === undefined || value === null) return false;
+  if (condition.is !== undefined && value !== condition.is) return false;
+  if (condition.atLeast !== undefined && !(value >= condition.atLeast)) return false;
+  if (condition.atMost !== undefined && !(value <= condition.atMost)) return false;
+  return true;
+}
+
+/**
+ * Unlock every achievement of a trigger whose conditions now hold
+ * @param {Object} profile - Profile
+ * @param {string} trigger - 'turn' (after each turn) or 'end' (when a run ends)
+ * @param {Object} facts - { run, variables } for the current run (lifetime facts come from the profile)
+ * @param {Array} achievements - Achievement table
+ * @param {string} now - Unlock time (ISO string)
+ * @returns {Object} { profile, unlocked } with the newly unlocked achievements
+ */
+function unlockAchievements(profile, trigger, facts, achievements = DEFAULT_ACHIEVEMENTS, now = new Date().toISOString()) {
+  const allFacts = { ...facts, stat: getStatFacts(profile) };
+  const unlocked = achievements.filter(achievement =>
+    achievement.on === trigger &&
+    !profile.achievements[achievement.id] &&
+    achievement.when.every(condition => checkAchievementCondition(condition, allFacts))
+  );
+  if (unlocked.length === 0) return { profile, unlocked };
+
+  const earned = { ...profile.achievements };
+  unlocked.forEach(achievement => {
+    earned[achievement.id] = now;
+  });
+  return { profile: { ...profile, achievements: earned }, unlocked };
+}
+
+class ProfileManager {
+  /**
+   * @param {Storage} storage - Storage backend (localStorage in the browser)
+   */
+  constructor(storage) {
+    this.storage = storage;
+    this.profile = createProfile();
+  }
+
+  /**
+   * Load the stored profile, starting a fresh one if none can be read
+   * @returns {Object} Profile
+   */
+  load() {
+    if (!this.storage) return this.profile;
+
+    try {
+      const raw = this.storage.getItem(PROFILE_KEY);
+      if (!raw) return this.profile;
+
+      let data = JSON.parse(raw);
+      while (data.version < PROFILE_VERSION && PROFILE_MIGRATIONS[data.version]) {
+        data = PROFILE_MIGRATIONS[data.version](data);
+      }
+      if (data.version !== PROFILE_VERSION || !data.stats || !data.achievements) {
+        throw new Error(`Incompatible profile version ${data.version} (expected ${PROFILE_VERSION})`);
+      }
+      const fresh = createProfile();
+      this.profile = { ...fresh, ...data, stats: { ...fresh.stats, ...data.stats } };
+    } catch (error) {
+      console.warn('Failed to load player profile, starting a new one:', error);
+    }
+    return this.profile;
+  }
+
+  /**
+   * Store the profile
+   */
+  save() {
+    if (!this.storage) return;
+
+    try {
+      this.storage.setItem(PROFILE_KEY, JSON.stringify(this.profile));
+    } catch (error) {
+      console.warn('Failed to save player profile:', error);
+    }
+  }
+
+  /**
+   * Add a finished run to the lifetime statistics
+   * @param {Object} replay - Replay log of the finished run
+   */
+  recordRun(replay) {
+    this.profile = addRunToProfile(this.profile, replay);
+    this.save();
+  }
+
+  /**
+   * Unlock the achievements of a trigger whose conditions now hold
+   * @param {string} trigger - 'turn' or 'end'
+   * @param {Object} facts - { run, variables } for the current run
+   * @param {Array} achievements - Achievement table
+   * @returns {Array} Newly unlocked achievements
+   */
+  unlock(trigger, facts, achievements) {
+    const result = unlockAchievements(this.profile, trigger, facts, achievements);
+    if (result.unlocked.length > 0) {
+      this.profile = result.profile;
+      this.save();
+    }
+    return result.unlocked;
+  }
+}
+
+// Global profile manager instance
+let profileManager = new ProfileManager(getLocalStorage());
+
+// Export for Node (tests and tools); the browser uses these as globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PROFILE_KEY,
+    PROFILE_VERSION,
+    ACHIEVEMENT_FACTS,
+    DEFAULT_ACHIEVEMENTS,
+    createProfile,
+    addRunToProfile,
+    getStatFacts,
+    getRunFacts,
+    checkAchievementCondition,
+    unlockAchievements,
+    ProfileManager
+  };
+}
@@ -0,0 +1,396 @@
+/**
+ * Video clips of the Time Mirror
+ * Records the visualization canvas, with the procedural audio unless it is muted,
+ * into WebM through the browser's MediaRecorder. Besides recording on demand, an
+ * optional clip buffer keeps the last seconds so a collapse or victory can be
+ * saved after it happened.
+ */
+
+const CLIP_SETTINGS = {
+  fps: 30, // Canvas capture rate
+  timesliceMs: 1000, // How often the recorder hands over encoded data
+  bufferSeconds: 10, // A buffered clip covers at least this many seconds (up to twice that)
+  endClipDelay: 2500, // ms after a victory or collapse before its clip is saved, so the animation is in it
+  mimeTypes: ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm']
+};
+
+/**
+ * Pick the first WebM type the browser can record
+ * @param {Function} isTypeSupported - MediaRecorder.isTypeSupported
+ * @returns {string|null} MIME type, or null if WebM cannot be recorded
+ */
+function pickClipMimeType(isTypeSupported) {
+  return CLIP_SETTINGS.mimeTypes.find(type => isTypeSupported(type)) || null;
+}
+
+/**
+ * Format a recording time for the indicator
+ * @param {number} ms - Elapsed time
+ * @returns {string} Minutes and seconds, e.g. '1:05'
+ */
+function formatClipDuration(ms) {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Rolling buffer of the last seconds of video
+ * A WebM file cannot be trimmed from the front, so the buffer runs two recordings
+ * started one window apart instead: whenever the newer one is a window old, the
+ * older one is dropped and a fresh one started. After the first window, the older
+ * recording always covers at least the last window.
+ */
+class ClipBuffer {
+  /**
+   * @param {Function} startSegment - Starts a recording; returns { stop() → Promise<Blob>, cancel() }
+   * @param {number} seconds - Length of the window
+   */
+  constructor(startSegment, seconds = CLIP_SETTINGS.bufferSeconds) {
+    this.startSegment = startSegment;
+    this.windowMs = seconds * 1000;
+    this.segments = []; // { handle, startedAt }, oldest first, at most two
+  }
+
+  /**
+   * Whether the buffer is running
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.segments.length > 0;
+  }
+
+  /**
+   * Start buffering
+   * @param {number} now - Current time (ms)
+   */
+  start(now) {
+    if (this.isActive()) return;
+    this.segments = [this.open(now)];
+  }
+
+  /**
+   * Start one recording
+   * @param {number} now - Current time (ms)
+   * @returns {Object} { handle, startedAt }
+   */
+  open(now) {
+    return { handle: this.startSegment(), startedAt: now };
+  }
+
+  /**
+   * Keep the recordings staggered (call about once a second while buffering)
+   * Buffering stops if a new recording cannot be started
+   * @param {number} now - Current time (ms)
+   */
+  tick(now) {
+    if (!this.isActive()) return;
+
+    const [older, newer] = this.segments;
+    try {
+      if (!newer) {
+        if (now - older.startedAt >= this.windowMs) this.segments.push(this.open(now));
+        return;
+      }
+      if (now - newer.startedAt >= this.windowMs) {
+        const fresh = this.open(now);
+        older.handle.cancel();
+        this.segments = [newer, fresh];
+      }
+    } catch (error) {
+      console.error('Error restarting the clip buffer:', error);
+      this.stop();
+    }
+  }
+
+  /**
+   * Finish the longest recording as a clip and keep buffering
+   * Buffering stops if the recording that replaces it cannot be started
+   * @param {number} now - Current time (ms)
+   * @returns {Promise<Blob|null>} The clip, or null when not buffering
+   */
+  capture(now) {
+    if (!this.isActive()) return Promise.resolve(null);
+
+    const [oldest, ...rest] = this.segments;
+    const clip = oldest.handle.stop();
+    this.segments = rest;
+    try {
+      this.segments.push(this.open(now));
+    } catch (error) {
+      console.error('Error restarting the clip buffer:', error);
+      this.stop();
+    }
+    return clip;
+  }
+
+  /**
+   * Stop buffering and drop the recordings
+   */
+  stop() {
+    this.segments.forEach(segment => segment.handle.cancel());
+    this.segments = [];
+  }
+
+  /**
+   * Get how far back a clip taken now would reach
+   * @param {number} now - Current time (ms)
+   * @returns {number} Covered time (ms), 0 when not buffering
+   */
+  getCoverage(now) {
+    return this.isActive() ? now - this.segments[0].startedAt : 0;
+  }
+}
+
+class ClipRecorder {
+  constructor() {
+    this.getSource = null; // Returns { canvas, audio } to record; audio is an AudioNode or null
+    this.mimeType = null; // WebM type the browser records, or null when recording is unsupported
+    this.recording = null; // Handle of the recording started with Record
+    this.recordingStartedAt = 0;
+    this.buffer = new ClipBuffer(() => this.startSegment());
+    this.timer = null; // Interval that keeps the buffer staggered and the indicator current
+    this.onBufferStopped = null; // Called when the clip buffer stops because a recording failed to start
+  }
+
+  /**
+   * Set up recording
+   * @param {Function} getSource - Returns { canvas, audio } to record
+   * @returns {boolean} Whether the browser can record WebM clips
+   */
+  initialize(getSource) {
+    this.getSource = getSource;
+    try {
+      if (typeof MediaRecorder !== 'undefined') {
+        this.mimeType = pickClipMimeType(type => MediaRecorder.isTypeSupported(type));
+      }
+    } catch (error) {
+      console.warn('Error checking video recording support:', error);
+    }
+    this.render();
+    return this.isSupported();
+  }
+
+  /**
+   * Whether the browser can record WebM clips
+   * @returns {boolean}
+   */
+  isSupported() {
+    return this.mimeType !== null;
+  }
+
+  /**
+   * Whether a recording started with Record is running
+   * @returns {boolean}
+   */
+  isRecording() {
+    return this.recording !== null;
+  }
+
+  /**
+   * Whether the clip buffer is running
+   * @returns {boolean}
+   */
+  isBuffering() {
+    return this.buffer.isActive();
+  }
+
+  /**
+   * Record the current canvas and audio
+   * Each recording taps the source afresh, so it follows the Canvas2D fallback
+   * if WebGL was lost before it started.
+   * @returns {Object} { stop() → Promise<Blob>, cancel() }
+   */
+  startSegment() {
+    const { canvas, audio } = this.getSource();
+    const stream = canvas.captureStream(CLIP_SETTINGS.fps);
+    let audioOutput = null;
+    if (audio) {
+      audioOutput = audio.context.createMediaStreamDestination();
+      audio.connect(audioOutput);
+      audioOutput.stream.getAudioTracks().forEach(track => stream.addTrack(track));
+    }
+
+    const release = () => {
+      stream.getTracks().forEach(track => track.stop());
+      if (audioOutput) audio.disconnect(audioOutput);
+    };
+
+    const chunks = [];
+    let recorder;
+    try {
+      recorder = new MediaRecorder(stream, { mimeType: this.mimeType });
+      recorder.start(CLIP_SETTINGS.timesliceMs);
+    } catch (error) {
+      release();
+      throw error;
+    }
+    recorder.addEventListener('dataavailable', (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    });
+    // Release the canvas and audio taps once the last data is in
+    recorder.addEventListener('stop', release);
+
+    return {
+      stop: () => new Promise(resolve => {
+        recorder.addEventListener('stop', () => resolve(new Blob(chunks, { type: this.mimeType })));
+        recorder.stop();
+      }),
+      cancel: () => recorder.stop()
+    };
+  }
+
+  /**
+   * Start recording
+   * @param {number} now - Current time (ms)
+   * @returns {boolean} Whether a recording was started
+   */
+  startRecording(now = Date.now()) {
+    if (!this.isSupported() || this.isRecording()) return false;
+
+    try {
+      this.recording = this.startSegment();
+    } catch (error) {
+      console.error('Error starting video recording:', error);
+      return false;
+    }
+    this.recordingStartedAt = now;
+    this.updateTimer();
+    this.render(now);
+    return true;
+  }
+
+  /**
+   * Stop recording and download the clip
+   * @returns {Promise<Blob|null>} The clip, or null when nothing was recording
+   */
+  async stopRecording() {
+    if (!this.isRecording()) return null;
+
+    const handle = this.recording;
+    this.recording = null;
+    this.updateTimer();
+    this.render();
+    const clip = await handle.stop();
+    this.download(clip);
+    return clip;
+  }
+
+  /**
+   * Turn the clip buffer on or off
+   * @param {boolean} enabled - Whether to keep the last seconds
+   * @param {number} now - Current time (ms)
+   * @returns {boolean} Whether the buffer is running
+   */
+  setBuffering(enabled, now = Date.now()) {
+    if (enabled && this.isSupported()) {
+      try {
+        this.buffer.start(now);
+      } catch (error) {
+        console.error('Error starting the clip buffer:', error);
+      }
+    } else {
+      this.buffer.stop();
+    }
+    this.updateTimer();
+    this.render(now);
+    return this.isBuffering();
+  }
+
+  /**
+   * Download the last seconds from the clip buffer
+   * @param {number} now - Current time (ms)
+   * @returns {Promise<number>} Seconds in the clip, 0 when not buffering
+   */
+  async saveBuffer(now = Date.now()) {
+    const coverage = this.buffer.getCoverage(now);
+    const wasBuffering = this.isBuffering();
+    const pending = this.buffer.capture(now);
+    if (wasBuffering && !this.isBuffering()) this.handleBufferStopped(now);
+    const clip = await pending;
+    if (!clip) return 0;
+
+    this.download(clip);
+    return Math.round(coverage / 1000);
+  }
+
+  /**
+   * Tidy up after the clip buffer stopped on its own, and let the app know
+   * @param {number} now - Current time (ms)
+   */
+  handleBufferStopped(now = Date.now()) {
+    this.updateTimer();
+    this.render(now);
+    if (this.onBufferStopped) this.onBufferStopped();
+  }
+
+  /**
+   * Download a clip as a WebM file
+   * @param {Blob} clip - Recorded video
+   */
+  download(clip) {
+    const url = URL.createObjectURL(clip);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `echoes-of-tomorrow-${Date.now()}.webm`;
+    link.click();
+    // Give the download a moment to pick up the file before releasing it
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Run the one-second timer while recording or buffering, and stop it otherwise
+   */
+  updateTimer() {
+    const needed = this.isRecording() || this.isBuffering();
+    if (needed && !this.timer) {
+      this.timer = setInterval(() => {
+        const now = Date.now();
+        const wasBuffering = this.isBuffering();
+        this.buffer.tick(now);
+        if (wasBuffering && !this.isBuffering()) this.handleBufferStopped(now);
+        this.render(now);
+      }, 1000);
+    } else if (!needed && this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Update the Record button and the recording indicator
+   * @param {number} now - Current time (ms)
+   */
+  render(now = Date.now()) {
+    const button = document.getElementById('recordBtn');
+    if (button) {
+      button.disabled = !this.isSupported();
+      button.textContent = this.isRecording() ? 'Stop Recording' : 'Record';
+      button.setAttribute('aria-pressed', String(this.isRecording()));
+    }
+
+    const indicator = document.getElementById('recordingIndicator');
+    if (!indicator) return;
+    indicator.classList.toggle('hidden', !this.isRecording() && !this.isBuffering());
+    indicator.classList.toggle('recording', this.isRecording());
+    const label = indicator.querySelector('.recording-label');
+    if (label) {
+      label.textContent = this.isRecording()
+        ? `REC ${formatClipDuration(now - this.recordingStartedAt)}`
+        : `Clip buffer (last ${CLIP_SETTINGS.bufferSeconds}s)`;
+    }
+  }
+}
+
+// Global clip recorder instance
+let clipRecorder = new ClipRecorder();
+
+// Export for Node (tests and tools); the browser uses these as globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CLIP_SETTINGS,
+    pickClipMimeType,
+    formatClipDuration,
+    ClipBuffer,
+    ClipRecorder
+  };
+}
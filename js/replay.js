@@ -0,0 +1,474 @@
+/**
+ * Replay recording and playback
+ * A replay is a compact JSON log of a run: the seed, then for each turn the
+ * hand offered, the card chosen, the rolled effects, the resulting variables
+ * and the outcome (plus any world event, story choice, deck reward, and the era
+ * and turn within it for campaign runs).
+ */
+
+// In Node, pull shared helpers into scope (the browser loads these first)
+if (typeof module !== 'undefined' && module.exports) {
+  Object.assign(globalThis, require('./utils.js'), require('./engine.js'));
+}
+
+const REPLAY_VERSION = 1;
+
+/**
+ * Round every value of an object to 2 decimals to keep replays compact
+ * @param {Object} values - Numeric values by key
+ * @returns {Object} Rounded values
+ */
+function roundValues(values) {
+  const rounded = {};
+  for (const [key, value] of Object.entries(values)) {
+    rounded[key] = Math.round(value * 100) / 100;
+  }
+  return rounded;
+}
+
+class ReplayRecorder {
+  constructor() {
+    this.replay = null;
+  }
+
+  /**
+   * Start recording a new run
+   * @param {Object} state - Initial simulation state
+   */
+  start(state) {
+    this.replay = {
+      version: REPLAY_VERSION,
+      seed: state.seed,
+      difficulty: state.difficulty,
+      dynamics: state.dynamics,
+      worldEvents: state.worldEvents,
+      stories: state.stories,
+      mode: state.mode,
+      campaign: state.era !== null,
+      casual: state.casual,
+      start: roundValues(state.variables),
+      turns: [],
+      outcome: 'playing'
+    };
+  }
+
+  /**
+   * Continue recording a run restored from a save
+   * @param {Object} replay - Replay log recorded so far
+   * @param {Object} state - Restored simulation state
+   */
+  resume(replay, state) {
+    if (replay && replay.seed === state.seed) {
+      this.replay = replay;
+    } else {
+      // Without its log the run can only be recorded from here on
+      this.start(state);
+    }
+  }
+
+  /**
+   * Record a resolved turn
+   * @param {Object} previousState - State the card was played from
+   * @param {Object} card - Card played
+   * @param {Object} result - Turn result from resolveTurn
+   */
+  record(previousState, card, result) {
+    if (!this.replay) return;
+
+    const entry = {
+      turn: previousState.turn,
+      hand: previousState.hand.map(c => c.id),
+      card: card.id,
+      effects: roundValues(result.effects),
+      variables: roundValues(result.state.variables),
+      outcome: result.outcome
+    };
+    if (result.event) entry.event = result.event.id;
+    const progress = getEraProgress(previousState);
+    if (progress) {
+      entry.era = progress.index;
+      entry.eraTurn = progress.turn;
+    }
+    this.replay.turns.push(entry);
+    this.replay.outcome = result.state.gameStatus;
+  }
+
+  /**
+   * Record the reward chosen after the last recorded turn (deck-building)
+   * @param {Array} offered - Offered card ids
+   * @param {string|null} cardId - Chosen card id, or null if skipped
+   */
+  recordReward(offered, cardId) {
+    if (!this.replay || this.replay.turns.length === 0) return;
+    this.replay.turns[this.replay.turns.length - 1].reward = { offered: [...offered], chosen: cardId };
+  }
+
+  /**
+   * Record the story choice made after the last recorded turn
+   * @param {string} storyId - Story told
+   * @param {number} choiceIndex - Index of the chosen option
+   * @param {Object} state - State after the choice
+   */
+  recordStory(storyId, choiceIndex, state) {
+    if (!this.replay || this.replay.turns.length === 0) return;
+    const entry = this.replay.turns[this.replay.turns.length - 1];
+    entry.story = { id: storyId, choice: choiceIndex, variables: roundValues(state.variables) };
+    // A choice can end the run on its own
+    if (state.gameStatus !== 'playing') entry.outcome = state.gameStatus;
+    this.replay.outcome = state.gameStatus;
+  }
+
+  /**
+   * Drop the last recorded turn after it was undone (casual runs)
+   */
+  undo() {
+    if (!this.replay || this.replay.turns.length === 0) return;
+    this.replay.turns.pop();
+    this.replay.outcome = 'playing';
+  }
+
+  /**
+   * Get the replay recorded so far
+   * @returns {Object|null} Replay log
+   */
+  getReplay() {
+    return this.replay;
+  }
+}
+
+/**
+ * Parse and check a replay loaded from JSON
+ * @param {string|Object} data - Replay JSON text or object
+ * @returns {Object} Replay log
+ */
+function parseReplay(data) {
+  const replay = typeof data === 'string' ? JSON.parse(data) : data;
+
+  if (!replay || typeof replay !== 'object') {
+    throw new Error('Invalid replay: not a JSON object');
+  }
+  if (replay.version !== REPLAY_VERSION) {
+    throw new Error(`Invalid replay: unsupported version ${replay.version}`);
+  }
+  if (!Number.isFinite(replay.seed) || !replay.start || !Array.isArray(replay.turns)) {
+    throw new Error('Invalid replay: missing seed, start or turns');
+  }
+  // Replays from before a setting existed leave it out and are played with its default
+  if (replay.difficulty !== undefined && !Object.keys(DIFFICULTIES).includes(replay.difficulty)) {
+    throw new Error(`Invalid replay: unknown difficulty "${replay.difficulty}"`);
+  }
+  if (replay.mode !== undefined && !Object.keys(MODES).includes(replay.mode)) {
+    throw new Error(`Invalid replay: unknown mode "${replay.mode}"`);
+  }
+
+  // Variables and rolled effects are replayed and shown per turn, so they must be numbers by variable
+  const isValueMap = values => Boolean(values) && typeof values === 'object' && !Array.isArray(values) &&
+    Object.values(values).every(Number.isFinite);
+  const isVariableMap = values => isValueMap(values) && VARIABLES.every(key => Number.isFinite(values[key]));
+  const isStory = story => Boolean(story) && typeof story.id === 'string' && Number.isInteger(story.choice) &&
+    story.choice >= 0 && isVariableMap(story.variables);
+  const isReward = reward => Boolean(reward) && Array.isArray(reward.offered) &&
+    reward.offered.every(id => typeof id === 'string') && (reward.chosen === null || typeof reward.chosen === 'string');
+
+  if (!isVariableMap(replay.start)) {
+    throw new Error('Invalid replay: start variables are malformed');
+  }
+  replay.turns.forEach((entry, index) => {
+    if (!entry || !Array.isArray(entry.hand) || typeof entry.card !== 'string' || !isVariableMap(entry.variables) ||
+        !isValueMap(entry.effects) || (entry.story !== undefined && !isStory(entry.story)) ||
+        (entry.reward !== undefined && !isReward(entry.reward))) {
+      throw new Error(`Invalid replay: turn ${index + 1} is malformed`);
+    }
+  });
+
+  return replay;
+}
+
+/**
+ * Re-simulate a replay and check it matches the recorded log
+ * Fails when the card pool or rules changed since the replay was recorded
+ * @param {Object} replay - Replay log
+ * @param {Object} content - Game content ({ cards, couplings, events, stories })
+ * @returns {Object} { ok, turn, reason }
+ */
+function verifyReplay(replay, content) {
+  let state = createInitialState(replay.seed, content, {
+    difficulty: replay.difficulty,
+    dynamics: replay.dynamics,
+    worldEvents: replay.worldEvents,
+    stories: replay.stories,
+    mode: replay.mode,
+    campaign: replay.campaign,
+    casual: replay.casual
+  });
+
+  for (const entry of replay.turns) {
+    const handIds = state.hand.map(c => c.id);
+    if (handIds.join(',') !== entry.hand.join(',')) {
+      return { ok: false, turn: entry.turn, reason: 'offered hand differs' };
+    }
+
+    const card = state.hand.find(c => c.id === entry.card);
+    if (!card) {
+      return { ok: false, turn: entry.turn, reason: `card "${entry.card}" was not offered` };
+    }
+
+    state = resolveTurn(state, card, content).state;
+    const drifted = VARIABLES.some(key => Math.abs(state.variables[key] - entry.variables[key]) > 0.01);
+    if (drifted) {
+      return { ok: false, turn: entry.turn, reason: 'resulting variables differ' };
+    }
+
+    // Deck-building rewards; a replay may end while the last one is still being chosen
+    if (state.rewardOffer && entry.reward) {
+      if (state.rewardOffer.join(',') !== entry.reward.offered.join(',')) {
+        return { ok: false, turn: entry.turn, reason: 'offered rewards differ' };
+      }
+      state = chooseReward(state, entry.reward.chosen);
+    } else if (state.rewardOffer && entry !== replay.turns[replay.turns.length - 1]) {
+      return { ok: false, turn: entry.turn, reason: 'reward choice missing' };
+    }
+
+    // Story choices; like rewards, the last one may still be waiting
+    if (state.story && entry.story) {
+      if (state.story !== entry.story.id) {
+        return { ok: false, turn: entry.turn, reason: 'story told differs' };
+      }
+      state = chooseStory(state, entry.story.choice, content).state;
+      if (VARIABLES.some(key => Math.abs(state.variables[key] - entry.story.variables[key]) > 0.01)) {
+        return { ok: false, turn: entry.turn, reason: 'story choice variables differ' };
+      }
+    } else if (state.story && entry !== replay.turns[replay.turns.length - 1]) {
+      return { ok: false, turn: entry.turn, reason: 'story choice missing' };
+    } else if (!state.story && entry.story) {
+      return { ok: false, turn: entry.turn, reason: 'story told differs' };
+    }
+  }
+
+  return { ok: true, turn: replay.turns.length, reason: null };
+}
+
+/**
+ * List the turns of a replay for the timeline panel
+ * A story chosen after a turn is folded into that turn's resulting variables
+ * @param {Object} replay - Replay log
+ * @param {number} count - Number of turns to include (all of them if omitted)
+ * @returns {Object} { start, turns } with the starting variables and, per turn, its entry
+ *   with variables taken after any story choice
+ */
+function getReplayTimeline(replay, count = replay.turns.length) {
+  return {
+    start: { ...replay.start },
+    turns: replay.turns.slice(0, count).map(entry => ({
+      ...entry,
+      variables: { ...(entry.story ? entry.story.variables : entry.variables) }
+    }))
+  };
+}
+
+/**
+ * Summarize a run from its replay log for the end-of-run screens
+ * @param {Object} replay - Replay log
+ * @returns {Object} { seed, difficulty, outcome, turns, collapsed, bestStreak, peak, low, mostPlayed, biggestSwing, points }
+ *   where peak and low hold { value, turn } per variable (turn 0 is the start of the run), mostPlayed
+ *   lists up to 3 { card, count }, biggestSwing is { turn, card, variable, amount } (null before the first
+ *   turn) and points are the variables at the start and after each turn
+ */
+function summarizeReplay(replay) {
+  const { start, turns } = getReplayTimeline(replay);
+  const last = turns[turns.length - 1];
+  const rulesFor = entry => getRules({ difficulty: replay.difficulty, era: entry && entry.era !== undefined ? entry.era : null });
+
+  const peak = {};
+  const low = {};
+  VARIABLES.forEach(key => {
+    peak[key] = { value: start[key], turn: 0 };
+    low[key] = { value: start[key], turn: 0 };
+  });
+
+  const plays = new Map();
+  let biggestSwing = null;
+  let streak = 0;
+  let bestStreak = 0;
+  let previous = start;
+  turns.forEach((entry, index) => {
+    plays.set(entry.card, (plays.get(entry.card) || 0) + 1);
+
+    VARIABLES.forEach(key => {
+      const value = entry.variables[key];
+      if (value > peak[key].value) peak[key] = { value, turn: entry.turn };
+      if (value < low[key].value) low[key] = { value, turn: entry.turn };
+
+      const amount = value - previous[key];
+      if (!biggestSwing || Math.abs(amount) > Math.abs(biggestSwing.amount)) {
+        biggestSwing = { turn: entry.turn, card: entry.card, variable: key, amount: Math.round(amount * 100) / 100 };
+      }
+    });
+    previous = entry.variables;
+
+    // The streak counts the turn itself, before any story chosen after it
+    const rules = rulesFor(entry);
+    const held = VARIABLES.every(key => replay.turns[index].variables[key] >= rules.victoryThreshold);
+    streak = held ? streak + 1 : 0;
+    bestStreak = Math.max(bestStreak, streak);
+  });
+
+  const outcome = replay.outcome;
+  const collapseThreshold = rulesFor(last).collapseThreshold;
+  const final = last ? last.variables : start;
+
+  return {
+    seed: replay.seed,
+    difficulty: replay.difficulty,
+    outcome,
+    turns: turns.length,
+    collapsed: outcome === 'collapse' ? VARIABLES.filter(key => final[key] <= collapseThreshold) : [],
+    bestStreak,
+    peak,
+    low,
+    mostPlayed: [...plays.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 3)
+      .map(([card, count]) => ({ card, count })),
+    biggestSwing,
+    points: [start, ...turns.map(entry => entry.variables)]
+  };
+}
+
+class ReplayPlayer {
+  constructor() {
+    this.replay = null;
+    this.active = false;
+    this.isPlaying = false;
+    this.position = 0; // Number of turns applied
+    this.variables = {};
+    this.stepInterval = 1500; // ms between turns while playing
+    this.lastStepTime = 0;
+    this.onStep = null;
+
+    // Interpolation state
+    this.interpolationStart = 0;
+    this.interpolationDuration = 800;
+    this.interpolationStartValues = {};
+    this.interpolationTargetValues = {};
+  }
+
+  /**
+   * Load a replay and enter playback mode
+   * @param {Object} replay - Replay log
+   * @param {Function} onStep - Called with (entry, position) after each step
+   */
+  load(replay, onStep = null) {
+    this.replay = replay;
+    this.active = true;
+    this.isPlaying = false;
+    this.position = 0;
+    this.variables = { ...replay.start };
+    this.interpolationStartValues = { ...replay.start };
+    this.interpolationTargetValues = { ...replay.start };
+    this.onStep = onStep;
+  }
+
+  /**
+   * Leave playback mode
+   */
+  unload() {
+    this.replay = null;
+    this.active = false;
+    this.isPlaying = false;
+    this.onStep = null;
+  }
+
+  /**
+   * Start automatic playback
+   */
+  play() {
+    if (!this.active || this.isFinished()) return;
+    this.isPlaying = true;
+    this.lastStepTime = 0;
+  }
+
+  /**
+   * Pause automatic playback
+   */
+  pause() {
+    this.isPlaying = false;
+  }
+
+  /**
+   * Toggle between play and pause
+   */
+  togglePlay() {
+    if (this.isPlaying) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  /**
+   * @returns {boolean} True when every recorded turn has been shown
+   */
+  isFinished() {
+    return !this.replay || this.position >= this.replay.turns.length;
+  }
+
+  /**
+   * Advance playback by one turn
+   * @returns {boolean} True if a turn was shown
+   */
+  step() {
+    if (!this.active || this.isFinished()) return false;
+
+    const entry = this.replay.turns[this.position];
+    this.position++;
+    if (this.isFinished()) this.isPlaying = false;
+
+    this.interpolationStartValues = { ...this.variables };
+    // A story chosen after the turn already moved the variables on
+    this.interpolationTargetValues = { ...(entry.story ? entry.story.variables : entry.variables) };
+    this.interpolationStart = performance.now();
+
+    if (this.onStep) this.onStep(entry, this.position);
+    return true;
+  }
+
+  /**
+   * Update interpolation and automatic stepping
+   * @param {number} currentTime - Current timestamp
+   */
+  update(currentTime) {
+    if (!this.active) return;
+
+    const elapsed = currentTime - this.interpolationStart;
+    const progress = clamp(elapsed / this.interpolationDuration, 0, 1);
+    const easedProgress = easeInOutQuad(progress);
+    for (const [key, targetValue] of Object.entries(this.interpolationTargetValues)) {
+      const startValue = this.interpolationStartValues[key];
+      // Snap to the recorded value once the step has finished animating
+      this.variables[key] = progress >= 1 ? targetValue : startValue + (targetValue - startValue) * easedProgress;
+    }
+
+    if (this.isPlaying && currentTime - this.lastStepTime >= this.stepInterval) {
+      this.lastStepTime = currentTime;
+      if (!this.step()) this.pause();
+    }
+  }
+}
+
+// Global replay instances
+let replayRecorder = new ReplayRecorder();
+let replayPlayer = new ReplayPlayer();
+
+// Export for Node (tests and tools); the browser uses these as globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    REPLAY_VERSION,
+    ReplayRecorder,
+    ReplayPlayer,
+    parseReplay,
+    verifyReplay,
+    getReplayTimeline,
+    summarizeReplay
+  };
+}
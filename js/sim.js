@@ -1,55 +1,165 @@
 /**
  * Game simulation and state management
+ * Wraps the headless core (engine.js) and animates its results for the browser
  */
 
 class GameState {
-  constructor() {
-    this.variables = {
-      ecology: 50,
-      cohesion: 50,
-      innovation: 50,
-      stability: 50
-    };
-    this.turn = 1;
-    this.victoryCounter = 0;
-    this.gameStatus = 'playing'; // 'playing', 'victory', 'collapse'
-    this.qualityMode = 'medium'; // 'low', 'medium', 'high'
+  /**
+   * @param {number} seed - Seed for the run's random stream
+   * @param {number} undoDepth - Most recent turns of a casual run that can be undone
+   */
+  constructor(seed = createSeed(), undoDepth = CASUAL_RULES.undoDepth) {
+    // Authoritative simulation state; only replaced through the engine
+    this.core = createInitialState(seed);
+
+    // Displayed values, interpolated toward core.variables
+    this.variables = { ...this.core.variables };
+    this.qualityMode = 'medium'; // 'low', 'medium', 'high' (with autoQuality, the tier picked from frame times)
+    this.autoQuality = false; // Whether the quality tier follows frame times (the Auto setting)
     this.audioMuted = false;
-    
+    this.clipBuffer = false; // Whether the last seconds of the Time Mirror are kept for a clip
+    this.selectedDifficulty = DEFAULT_DIFFICULTY; // Preset used for the next run
+    this.selectedDynamics = false; // Whether the next run has world dynamics (opt-in)
+    this.selectedWorldEvents = false; // Whether the next run has world events (opt-in, as in the balance analyzer)
+    this.selectedStories = false; // Whether the next run tells narrative stories (opt-in)
+    this.selectedMode = DEFAULT_MODE; // Game mode of the next run
+    this.selectedCampaign = false; // Whether the next run is a campaign through the eras (opt-in)
+    this.selectedCasual = false; // Whether the next run allows undoing turns
+
+    // States before the most recent turns of a casual run, newest last, at most undoDepth of them
+    this.history = [];
+    this.undoDepth = undoDepth;
+
     // Interpolation state
     this.isInterpolating = false;
     this.interpolationStart = 0;
     this.interpolationDuration = 0;
     this.interpolationStartValues = {};
     this.interpolationTargetValues = {};
+    this.onInterpolationComplete = null;
+  }
+
+  get seed() {
+    return this.core.seed;
+  }
+
+  get turn() {
+    return this.core.turn;
+  }
+
+  get victoryCounter() {
+    return this.core.victoryCounter;
+  }
+
+  get gameStatus() {
+    return this.core.gameStatus;
+  }
+
+  get hand() {
+    return this.core.hand;
+  }
+
+  get difficulty() {
+    return this.core.difficulty;
+  }
+
+  get mode() {
+    return this.core.mode;
+  }
+
+  get dynamics() {
+    return this.core.dynamics;
+  }
+
+  get eraProgress() {
+    return getEraProgress(this.core);
+  }
+
+  get rules() {
+    return getRules(this.core);
   }
 
   /**
-   * Apply card effects to variables with variance
-   * @param {Object} card - Card object with effects
-   * @param {number} variance - Random variance to apply
+   * @returns {boolean} True if the last turn can be taken back (casual runs, not after a victory)
    */
-  applyCardEffects(card, variance = 0) {
-    if (!card || !card.effects) return;
+  get canUndo() {
+    return this.core.casual && this.history.length > 0 && !this.isInterpolating && this.core.gameStatus !== 'victory';
+  }
 
-    const effects = {};
-    for (const [key, value] of Object.entries(card.effects)) {
-      const randomVariance = (Math.random() - 0.5) * 2 * variance;
-      effects[key] = value + randomVariance;
+  /**
+   * Play a card and animate the variables toward the resolved turn
+   * @param {Object} card - Card from the current hand
+   * @param {Object} content - Game content ({ cards, couplings, events, stories })
+   * @param {Function} onComplete - Called with the turn result once interpolation finishes
+   * @returns {Object} Turn result from resolveTurn
+   */
+  playCard(card, content, onComplete = null) {
+    const result = resolveTurn(this.core, card, content);
+    if (this.core.casual) {
+      this.history.push(this.core);
+      if (this.history.length > this.undoDepth) this.history.shift();
     }
+    this.core = result.state;
 
     // Start interpolation
     this.interpolationStartValues = { ...this.variables };
-    this.interpolationTargetValues = {};
+    this.interpolationTargetValues = { ...this.core.variables };
+    this.isInterpolating = true;
+    this.interpolationStart = performance.now();
+    this.interpolationDuration = result.duration;
+    this.onInterpolationComplete = onComplete ? () => onComplete(result) : null;
 
-    for (const [key, effect] of Object.entries(effects)) {
-      const newValue = this.variables[key] + effect;
-      this.interpolationTargetValues[key] = clamp(newValue, 0, 100);
-    }
+    return result;
+  }
+
+  /**
+   * Take a reward card (or skip it) in a deck-building run
+   * @param {string|null} cardId - Id of the chosen card, or null to skip
+   */
+  chooseReward(cardId) {
+    this.core = chooseReward(this.core, cardId);
+  }
+
+  /**
+   * Make a choice in the waiting story and animate its effects
+   * @param {number} choiceIndex - Index of the chosen option
+   * @param {Object} content - Game content ({ stories })
+   * @param {Function} onComplete - Called with the story result once interpolation finishes
+   * @returns {Object} Story result from chooseStory
+   */
+  chooseStory(choiceIndex, content, onComplete = null) {
+    const result = chooseStory(this.core, choiceIndex, content);
+    this.core = result.state;
 
+    this.interpolationStartValues = { ...this.variables };
+    this.interpolationTargetValues = { ...this.core.variables };
     this.isInterpolating = true;
     this.interpolationStart = performance.now();
-    this.interpolationDuration = 500 + Math.random() * 700; // 500-1200ms
+    this.interpolationDuration = this.rules.minDuration;
+    this.onInterpolationComplete = onComplete ? () => onComplete(result) : null;
+
+    return result;
+  }
+
+  /**
+   * Take back the last turn of a casual run
+   * The hand, variables, victory streak and random stream return to where they
+   * were before the card was played (and any reward or story that followed it)
+   * @returns {boolean} True if a turn was undone
+   */
+  undo() {
+    if (!this.canUndo) return false;
+    this.restore(this.history.pop(), true);
+    return true;
+  }
+
+  /**
+   * Change how many turns can be undone, dropping the oldest history beyond the new depth
+   * @param {number} depth - Most recent turns of a casual run that can be undone
+   */
+  setUndoDepth(depth) {
+    this.undoDepth = depth;
+    if (this.history.length > depth) this.history = this.history.slice(-depth);
   }
 
   /**
@@ -60,7 +170,7 @@ class GameState {
     if (!this.isInterpolating) return;
 
     const elapsed = currentTime - this.interpolationStart;
-    const progress = Math.min(elapsed / this.interpolationDuration, 1);
+    const progress = clamp(elapsed / this.interpolationDuration, 0, 1);
 
     // Apply easing
     const easedProgress = easeInOutQuad(progress);
@@ -78,65 +188,45 @@ class GameState {
       for (const [key, targetValue] of Object.entries(this.interpolationTargetValues)) {
         this.variables[key] = targetValue;
       }
-    }
-  }
 
-  /**
-   * Check if victory condition is met
-   * @returns {boolean} True if all variables >= 80 for 5 consecutive turns
-   */
-  checkVictoryCondition() {
-    const allHigh = Object.values(this.variables).every(v => v >= 80);
-    
-    if (allHigh) {
-      this.victoryCounter++;
-      if (this.victoryCounter >= 5) {
-        this.gameStatus = 'victory';
-        return true;
-      }
-    } else {
-      this.victoryCounter = 0;
+      const callback = this.onInterpolationComplete;
+      this.onInterpolationComplete = null;
+      if (callback) callback();
     }
-    
-    return false;
   }
 
   /**
-   * Check if collapse condition is met
-   * @returns {boolean} True if any variable <= 5
+   * Reset game state to initial values for a new run with the selected mode, difficulty, dynamics, events, stories, campaign and casual settings
+   * @param {number} seed - Seed for the new run (a fresh one if omitted)
+   * @param {Object} content - Game content ({ cards, couplings, events, stories }) to deal the first hand from
    */
-  checkCollapseCondition() {
-    const anyLow = Object.values(this.variables).some(v => v <= 5);
-    
-    if (anyLow) {
-      this.gameStatus = 'collapse';
-      return true;
-    }
-    
-    return false;
-  }
-
-  /**
-   * Advance to next turn
-   */
-  advanceTurn() {
-    this.turn++;
+  reset(seed = createSeed(), content = {}) {
+    this.core = createInitialState(seed, content, {
+      difficulty: this.selectedDifficulty,
+      dynamics: this.selectedDynamics,
+      worldEvents: this.selectedWorldEvents,
+      stories: this.selectedStories,
+      mode: this.selectedMode,
+      campaign: this.selectedCampaign,
+      casual: this.selectedCasual
+    });
+    this.history = [];
+    this.variables = { ...this.core.variables };
+    this.isInterpolating = false;
+    this.onInterpolationComplete = null;
   }
 
   /**
-   * Reset game state to initial values
+   * Restore a previously saved simulation state
+   * @param {Object} core - Simulation state to resume
+   * @param {boolean} keepHistory - Keep the undo history (when undoing within the same run)
    */
-  reset() {
-    this.variables = {
-      ecology: 50,
-      cohesion: 50,
-      innovation: 50,
-      stability: 50
-    };
-    this.turn = 1;
-    this.victoryCounter = 0;
-    this.gameStatus = 'playing';
+  restore(core, keepHistory = false) {
+    if (!keepHistory) this.history = [];
+    this.core = core;
+    this.variables = { ...core.variables };
     this.isInterpolating = false;
+    this.onInterpolationComplete = null;
   }
 
   /**
@@ -0,0 +1,282 @@
+/**
+ * Save and resume games via localStorage
+ * The in-progress run, its replay log and the player's preferences are stored
+ * as one versioned blob. Older saves are migrated step by step; saves that
+ * cannot be read or migrated are discarded, while saves that do not match the
+ * content loaded this time are kept.
+ */
+
+// In Node, pull shared helpers into scope (the browser loads these first)
+if (typeof module !== 'undefined' && module.exports) {
+  Object.assign(globalThis, require('./engine.js'));
+}
+
+const SAVE_KEY = 'echoes-of-tomorrow-save';
+const SAVE_VERSION = 10;
+
+/**
+ * Migrations from each older save version to the next one
+ * Add an entry keyed by the old version whenever SAVE_VERSION is bumped
+ */
+const SAVE_MIGRATIONS = {
+  // v2 added difficulty; v1 runs were Normal
+  1: data => ({
+    ...data,
+    version: 2,
+    state: { difficulty: DEFAULT_DIFFICULTY, ...data.state }
+  }),
+  // v3 added world dynamics; earlier runs had a static world
+  2: data => ({
+    ...data,
+    version: 3,
+    state: { dynamics: false, ...data.state }
+  }),
+  // v4 added pending echoes (delayed and multi-turn card effects)
+  3: data => ({
+    ...data,
+    version: 4,
+    state: { echoes: [], ...data.state }
+  }),
+  // v5 added the ids of played cards (for card prerequisites)
+  4: data => ({
+    ...data,
+    version: 5,
+    state: { played: [], ...data.state }
+  }),
+  // v6 added deck-building mode
+  5: data => ({
+    ...data,
+    version: 6,
+    state: { mode: DEFAULT_MODE, deck: null, rewardOffer: null, ...data.state }
+  }),
+  // v7 added campaign eras; earlier runs were a single stage
+  6: data => ({
+    ...data,
+    version: 7,
+    state: { era: null, eraStart: 1, ...data.state }
+  }),
+  // v8 added world events
+  7: data => ({
+    ...data,
+    version: 8,
+    state: { worldEvents: false, ...data.state }
+  }),
+  // v9 added narrative stories
+  8: data => ({
+    ...data,
+    version: 9,
+    state: { stories: false, story: null, told: [], unlocked: [], ...data.state }
+  }),
+  // v10 added casual runs (with undo)
+  9: data => ({
+    ...data,
+    version: 10,
+    state: { casual: false, ...data.state }
+  })
+};
+
+/**
+ * Bring a stored save up to the current version
+ * @param {Object} data - Parsed save data
+ * @returns {Object} Save data at SAVE_VERSION
+ */
+function migrateSave(data) {
+  let migrated = data;
+  while (migrated.version < SAVE_VERSION && SAVE_MIGRATIONS[migrated.version]) {
+    migrated = SAVE_MIGRATIONS[migrated.version](migrated);
+  }
+  if (migrated.version !== SAVE_VERSION) {
+    throw new Error(`Incompatible save version ${data.version} (expected ${SAVE_VERSION})`);
+  }
+  return migrated;
+}
+
+/**
+ * Convert a simulation state into plain JSON, storing cards by id
+ * @param {Object} state - Simulation state
+ * @returns {Object} Serializable state
+ */
+function serializeState(state) {
+  return {
+    ...state,
+    hand: state.hand.map(c => c.id)
+  };
+}
+
+/**
+ * Rebuild a simulation state from its serialized form
+ * @param {Object} data - Serialized state
+ * @param {Object} content - Game content ({ cards, stories }) to look card and story ids up in
+ * @returns {Object} Simulation state
+ */
+function deserializeState(data, content) {
+  const findCard = id => {
+    const card = (content.cards || []).find(c => c.id === id);
+    if (!card) throw new Error(`Saved game references unknown card "${id}"`);
+    return card;
+  };
+
+  const numbers = [data.seed, data.rngState, data.turn, data.victoryCounter];
+  if (!numbers.every(Number.isFinite) || !data.variables || !Array.isArray(data.hand)) {
+    throw new Error('Saved game state is malformed');
+  }
+  if (!DIFFICULTIES[data.difficulty]) {
+    throw new Error(`Saved game uses unknown difficulty "${data.difficulty}"`);
+  }
+  if (typeof data.dynamics !== 'boolean' || typeof data.worldEvents !== 'boolean' || typeof data.stories !== 'boolean' ||
+      typeof data.casual !== 'boolean' ||
+      !Array.isArray(data.echoes) || !Array.isArray(data.played)) {
+    throw new Error('Saved game state is malformed');
+  }
+  if (!Array.isArray(data.told) || !Array.isArray(data.unlocked)) {
+    throw new Error('Saved game state is malformed');
+  }
+  if (data.story !== null) {
+    findStory(data.story, content);
+  }
+  if (data.era !== null && !(Number.isInteger(data.era) && ERAS[data.era] && Number.isFinite(data.eraStart))) {
+    throw new Error(`Saved game uses unknown era ${JSON.stringify(data.era)}`);
+  }
+  if (!MODES[data.mode]) {
+    throw new Error(`Saved game uses unknown mode "${data.mode}"`);
+  }
+  if (data.mode === 'deck') {
+    if (!data.deck || !Array.isArray(data.deck.draw) || !Array.isArray(data.deck.discard)) {
+      throw new Error('Saved deck is malformed');
+    }
+    [...data.deck.draw, ...data.deck.discard, ...(data.rewardOffer || [])].forEach(findCard);
+  }
+
+  return {
+    ...data,
+    hand: data.hand.map(findCard)
+  };
+}
+
+class SaveManager {
+  /**
+   * @param {Storage} storage - Storage backend (localStorage in the browser)
+   */
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Save the current game
+   * @param {Object} state - Simulation state
+   * @param {Object} preferences - { qualityMode, audioMuted, clipBuffer, difficulty, dynamics, worldEvents, stories, mode, campaign, casual, undoDepth }
+   * @param {Object} replay - Replay log of the run so far
+   */
+  save(state, preferences, replay = null) {
+    if (!this.storage) return;
+
+    const data = {
+      version: SAVE_VERSION,
+      savedAt: new Date().toISOString(),
+      state: serializeState(state),
+      preferences,
+      replay
+    };
+
+    try {
+      this.storage.setItem(SAVE_KEY, JSON.stringify(data));
+    } catch (error) {
+      console.warn('Failed to save game:', error);
+    }
+  }
+
+  /**
+   * Load the saved game
+   * Saves that cannot be read or migrated are discarded before the error is rethrown. A save
+   * that does not match the content (e.g. the built-in card pool after cards.json failed to
+   * load) is kept, so it can be resumed once that content loads again.
+   * @param {Object} content - Game content ({ cards })
+   * @returns {Object|null} { state, preferences, replay, savedAt } or null if nothing is saved
+   */
+  load(content) {
+    if (!this.storage) return null;
+
+    let raw = null;
+    try {
+      raw = this.storage.getItem(SAVE_KEY);
+    } catch (error) {
+      console.warn('Failed to read saved game:', error);
+      return null;
+    }
+    if (!raw) return null;
+
+    let data;
+    try {
+      data = migrateSave(JSON.parse(raw));
+    } catch (error) {
+      this.clear();
+      throw error;
+    }
+
+    return {
+      state: deserializeState(data.state, content),
+      preferences: data.preferences || {},
+      replay: data.replay || null,
+      savedAt: data.savedAt
+    };
+  }
+
+  /**
+   * Whether a saved game is stored
+   * @returns {boolean}
+   */
+  hasSave() {
+    if (!this.storage) return false;
+
+    try {
+      return this.storage.getItem(SAVE_KEY) !== null;
+    } catch (error) {
+      console.warn('Failed to read saved game:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Remove the saved game
+   */
+  clear() {
+    if (!this.storage) return;
+
+    try {
+      this.storage.removeItem(SAVE_KEY);
+    } catch (error) {
+      console.warn('Failed to clear saved game:', error);
+    }
+  }
+}
+
+/**
+ * Get localStorage if the browser allows it
+ * Accessing it throws when storage is blocked (e.g. some private modes)
+ * @returns {Storage|null} localStorage or null
+ */
+function getLocalStorage() {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch (error) {
+    console.warn('localStorage unavailable, progress will not be saved:', error);
+    return null;
+  }
+}
+
+// Global save manager instance
+let saveManager = new SaveManager(getLocalStorage());
+
+// Export for Node (tests and tools); the browser uses these as globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SAVE_KEY,
+    SAVE_VERSION,
+    SAVE_MIGRATIONS,
+    migrateSave,
+    serializeState,
+    deserializeState,
+    SaveManager,
+    getLocalStorage
+  };
+}
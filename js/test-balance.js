@@ -0,0 +1,90 @@
+/**
+ * Test suite for the Monte Carlo balance analyzer
+ * Run with: node js/test-balance.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { POLICIES, analyzeBalance, formatReport } = require('./balance.js');
+const { createInitialState } = require('./engine.js');
+
+const cardsPath = path.join(__dirname, 'cards.json');
+const content = { cards: JSON.parse(fs.readFileSync(cardsPath, 'utf8')) };
+
+// Test 1: Every policy picks a card from the hand
+console.log('Test 1: Policies pick a card from the hand');
+const state = createInitialState(11, content);
+let policiesValid = true;
+for (const [name, policy] of Object.entries(POLICIES)) {
+  const card = policy(state, content);
+  if (!state.hand.includes(card)) {
+    console.log(`  ✗ FAIL: ${name} picked a card outside the hand`);
+    policiesValid = false;
+  }
+}
+if (policiesValid) {
+  console.log(`  ✓ PASS: ${Object.keys(POLICIES).join(', ')} all pick from the hand`);
+}
+
+// Test 2: Rates add up and the report is complete
+console.log('\nTest 2: Report rates add up');
+const report = analyzeBalance(content, { games: 100, policy: 'random', seed: 3 });
+const totalRate = report.winRate + report.collapseRate + report.unfinishedRate;
+if (Math.abs(totalRate - 1) < 1e-9 && report.cards.length === content.cards.length &&
+    report.averageLength > 0) {
+  console.log(`  ✓ PASS: win ${report.winRate}, collapse ${report.collapseRate}, ${report.cards.length} cards`);
+} else {
+  console.log(`  ✗ FAIL: Rates sum to ${totalRate}`);
+}
+
+// Test 3: Same seed gives the same report
+console.log('\nTest 3: Analysis is reproducible');
+const again = analyzeBalance(content, { games: 100, policy: 'random', seed: 3 });
+if (JSON.stringify(again) === JSON.stringify(report)) {
+  console.log('  ✓ PASS: Identical reports for the same seed');
+} else {
+  console.log('  ✗ FAIL: Reports differ for the same seed');
+}
+
+// Test 4: Pick counts match game lengths
+console.log('\nTest 4: Pick counts match total turns played');
+const totalPicks = report.cards.reduce((sum, card) => sum + card.picked, 0);
+if (totalPicks === Math.round(report.averageLength * report.games)) {
+  console.log(`  ✓ PASS: ${totalPicks} picks over ${report.games} games`);
+} else {
+  console.log(`  ✗ FAIL: ${totalPicks} picks vs ${report.averageLength * report.games} turns`);
+}
+
+// Test 5: Greedy play beats random play
+console.log('\nTest 5: Greedy policy wins more than random');
+const greedy = analyzeBalance(content, { games: 100, policy: 'greedy', seed: 3 });
+if (greedy.winRate >= report.winRate) {
+  console.log(`  ✓ PASS: greedy ${greedy.winRate} >= random ${report.winRate}`);
+} else {
+  console.log(`  ✗ FAIL: greedy ${greedy.winRate} < random ${report.winRate}`);
+}
+
+// Test 6: Unknown policies are rejected and reports format as text
+console.log('\nTest 6: Unknown policy rejected, table formatted');
+try {
+  analyzeBalance(content, { games: 1, policy: 'psychic' });
+  console.log('  ✗ FAIL: Unknown policy accepted');
+} catch (error) {
+  const table = formatReport(report);
+  if (table.includes('Win rate') && table.includes(content.cards[0].id)) {
+    console.log(`  ✓ PASS: ${error.message}; table has ${table.split('\n').length} lines`);
+  } else {
+    console.log('  ✗ FAIL: Table is missing sections');
+  }
+}
+
+// Test 7: Campaign reports track how far games get through the eras
+console.log('\nTest 7: Campaign analysis reports the average era reached');
+const campaign = analyzeBalance(content, { games: 50, policy: 'greedy', seed: 3, campaign: true });
+if (campaign.campaign && campaign.averageEraReached >= 1 && formatReport(campaign).includes('Average era')) {
+  console.log(`  ✓ PASS: Average era ${campaign.averageEraReached.toFixed(2)}, win ${campaign.winRate}`);
+} else {
+  console.log('  ✗ FAIL: Campaign progress missing from the report');
+}
+
+console.log('\n✓ All balance tests completed');
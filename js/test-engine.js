@@ -0,0 +1,620 @@
+/**
+ * Test suite for the headless simulation core
+ * Run with: node js/test-engine.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  VARIABLES,
+  RULES,
+  DIFFICULTIES,
+  DEFAULT_COUPLINGS,
+  DEFAULT_EVENTS,
+  DEFAULT_STORIES,
+  DECK_RULES,
+  ERAS,
+  getRules,
+  getEraProgress,
+  getActiveCouplings,
+  rollWorldEvent,
+  getAvailableStories,
+  chooseStory,
+  scheduleEchoes,
+  tickEchoes,
+  checkCondition,
+  getAvailableCards,
+  getCardWeight,
+  getDeckCardIds,
+  chooseReward,
+  createInitialState,
+  evaluateOutcome,
+  previewCard,
+  resolveTurn,
+  runGame
+} = require('./engine.js');
+
+const cardsPath = path.join(__dirname, 'cards.json');
+const content = { cards: JSON.parse(fs.readFileSync(cardsPath, 'utf8')) };
+
+const randomPolicy = state => state.hand[Math.floor(Math.random() * state.hand.length)];
+const firstCardPolicy = state => state.hand[0];
+
+// Test 1: Initial state
+console.log('Test 1: Initial state');
+const initial = createInitialState(7, content);
+if (VARIABLES.every(key => initial.variables[key] === RULES.startValue) &&
+    initial.turn === 1 && initial.victoryCounter === 0 &&
+    initial.gameStatus === 'playing' && initial.hand.length === 3) {
+  console.log('  ✓ PASS: Variables at 50, turn 1, playing, 3 cards dealt');
+} else {
+  console.log('  ✗ FAIL: Initial state is incorrect');
+}
+
+// Test 2: resolveTurn does not modify the input state
+console.log('\nTest 2: resolveTurn does not modify the input state');
+const before = JSON.stringify(initial);
+const firstResult = resolveTurn(initial, initial.hand[0], content);
+if (JSON.stringify(initial) === before && firstResult.state !== initial) {
+  console.log('  ✓ PASS: Input state unchanged, new state returned');
+} else {
+  console.log('  ✗ FAIL: Input state was modified');
+}
+
+// Test 3: Turn advances with a fresh hand excluding the previous one
+console.log('\nTest 3: Turn advances with a fresh hand');
+const previousIds = initial.hand.map(c => c.id);
+const nextIds = firstResult.state.hand.map(c => c.id);
+if (firstResult.outcome === 'continue' && firstResult.state.turn === 2 &&
+    nextIds.length === 3 && nextIds.every(id => !previousIds.includes(id))) {
+  console.log('  ✓ PASS: Turn 2 dealt 3 new cards');
+} else {
+  console.log('  ✗ FAIL: Turn did not advance correctly');
+}
+
+// Test 4: Variables are clamped to [0, 100] (Property 1)
+console.log('\nTest 4: Variable clamping over 200 headless games');
+let clampPass = true;
+for (let game = 0; game < 200 && clampPass; game++) {
+  let state = createInitialState(game, content);
+  while (state.gameStatus === 'playing' && state.turn < 200) {
+    state = resolveTurn(state, randomPolicy(state), content).state;
+    if (VARIABLES.some(key => state.variables[key] < 0 || state.variables[key] > 100)) {
+      console.log(`  ✗ FAIL: Game ${game} turn ${state.turn} out of range`);
+      clampPass = false;
+      break;
+    }
+  }
+}
+if (clampPass) {
+  console.log('  ✓ PASS: All variables stayed within [0, 100]');
+}
+
+// Test 5: Victory needs 5 consecutive high turns
+console.log('\nTest 5: Victory after 5 consecutive high turns');
+const high = { ecology: 90, cohesion: 90, innovation: 90, stability: 90 };
+const almost = evaluateOutcome(high, 3);
+const won = evaluateOutcome(high, 4);
+const broken = evaluateOutcome({ ...high, stability: 79 }, 4);
+if (almost.outcome === 'continue' && almost.victoryCounter === 4 &&
+    won.outcome === 'victory' && broken.victoryCounter === 0) {
+  console.log('  ✓ PASS: Counter increments, resets, and triggers victory at 5');
+} else {
+  console.log('  ✗ FAIL: Victory evaluation is incorrect');
+}
+
+// Test 6: Collapse when any variable <= 5
+console.log('\nTest 6: Collapse when any variable <= 5');
+const collapsed = evaluateOutcome({ ecology: 50, cohesion: 5, innovation: 50, stability: 50 }, 0);
+const survived = evaluateOutcome({ ecology: 50, cohesion: 6, innovation: 50, stability: 50 }, 0);
+if (collapsed.outcome === 'collapse' && survived.outcome === 'continue') {
+  console.log('  ✓ PASS: 5 collapses, 6 survives');
+} else {
+  console.log('  ✗ FAIL: Collapse evaluation is incorrect');
+}
+
+// Test 7: Playing after the game ended is rejected
+console.log('\nTest 7: Playing after the game ended is rejected');
+try {
+  resolveTurn({ ...initial, gameStatus: 'collapse' }, initial.hand[0], content);
+  console.log('  ✗ FAIL: No error thrown');
+} catch (error) {
+  console.log(`  ✓ PASS: ${error.message}`);
+}
+
+// Test 8: Same seed and choices replay identically
+console.log('\nTest 8: Same seed and choices replay identically');
+const runA = runGame(content, firstCardPolicy, { seed: 99 });
+const runB = runGame(content, firstCardPolicy, { seed: 99 });
+if (JSON.stringify(runA.state) === JSON.stringify(runB.state) && runA.turns.length === runB.turns.length) {
+  console.log(`  ✓ PASS: Both runs ended in ${runA.state.gameStatus} after ${runA.turns.length} turns`);
+} else {
+  console.log('  ✗ FAIL: Runs diverged');
+}
+
+// Test 9: Thousands of games run headlessly
+console.log('\nTest 9: 2000 headless games');
+const startTime = Date.now();
+const outcomes = { victory: 0, collapse: 0, playing: 0 };
+for (let game = 0; game < 2000; game++) {
+  outcomes[runGame(content, randomPolicy, { seed: game }).state.gameStatus]++;
+}
+console.log(`  ✓ PASS: ${outcomes.victory} victories, ${outcomes.collapse} collapses, ` +
+  `${outcomes.playing} unfinished in ${Date.now() - startTime}ms`);
+
+// Test 10: Difficulty presets change the rules
+console.log('\nTest 10: Difficulty presets change the rules');
+const story = createInitialState(7, content, { difficulty: 'story' });
+const brutal = createInitialState(7, content, { difficulty: 'brutal' });
+const storyRules = getRules(story);
+const brutalRules = getRules(brutal);
+if (story.variables.ecology === storyRules.startValue && brutal.variables.ecology === brutalRules.startValue &&
+    storyRules.victoryThreshold < RULES.victoryThreshold && brutalRules.collapseThreshold > RULES.collapseThreshold &&
+    getRules(initial).startValue === RULES.startValue) {
+  console.log(`  ✓ PASS: Story starts at ${storyRules.startValue}, Brutal at ${brutalRules.startValue}`);
+} else {
+  console.log('  ✗ FAIL: Presets not applied');
+}
+
+// Test 11: Thresholds follow the difficulty
+console.log('\nTest 11: Thresholds follow the difficulty');
+const mid = { ecology: 77, cohesion: 77, innovation: 77, stability: 12 };
+const storyOutcome = evaluateOutcome({ ...mid, stability: 77 }, 2, storyRules);
+const normalOutcome = evaluateOutcome({ ...mid, stability: 77 }, 2, RULES);
+const brutalOutcome = evaluateOutcome(mid, 0, brutalRules);
+if (storyOutcome.outcome === 'victory' && normalOutcome.outcome === 'continue' &&
+    brutalOutcome.outcome === 'collapse' && evaluateOutcome(mid, 0, RULES).outcome === 'continue') {
+  console.log('  ✓ PASS: Story wins at 77 after 3 turns, Brutal collapses at 12');
+} else {
+  console.log('  ✗ FAIL: Thresholds ignored the difficulty');
+}
+
+// Test 12: Drift is applied every turn on Hard
+console.log('\nTest 12: Per-turn drift on Hard');
+const hard = createInitialState(7, content, { difficulty: 'hard' });
+const hardResult = resolveTurn(hard, hard.hand[0], content);
+const expected = VARIABLES.every(key => {
+  const value = hard.variables[key] + (hardResult.effects[key] || 0) + DIFFICULTIES.hard.rules.drift;
+  return Math.abs(hardResult.state.variables[key] - Math.min(100, Math.max(0, value))) < 1e-9;
+});
+if (expected && hardResult.drift.ecology === DIFFICULTIES.hard.rules.drift &&
+    Object.keys(firstResult.drift).length === 0) {
+  console.log(`  ✓ PASS: Every variable drifted by ${DIFFICULTIES.hard.rules.drift}, none on Normal`);
+} else {
+  console.log('  ✗ FAIL: Drift not applied as expected');
+}
+
+// Test 13: Unknown difficulty is rejected
+console.log('\nTest 13: Unknown difficulty is rejected');
+try {
+  createInitialState(7, content, { difficulty: 'nightmare' });
+  console.log('  ✗ FAIL: No error thrown');
+} catch (error) {
+  console.log(`  ✓ PASS: ${error.message}`);
+}
+
+// Test 14: Couplings fire from their thresholds
+console.log('\nTest 14: Couplings fire from their thresholds');
+const unrest = { ecology: 50, cohesion: 50, innovation: 50, stability: 20 };
+const fired = getActiveCouplings(unrest, DEFAULT_COUPLINGS).map(c => c.id);
+const calm = getActiveCouplings({ ...unrest, stability: 50 }, DEFAULT_COUPLINGS);
+if (fired.join(',') === 'unrest' && calm.length === 0) {
+  console.log('  ✓ PASS: Low Stability fires "unrest", balanced variables fire nothing');
+} else {
+  console.log(`  ✗ FAIL: Fired ${fired.join(', ')}; calm fired ${calm.length}`);
+}
+
+// Test 15: World dynamics drift is applied before the outcome check
+console.log('\nTest 15: World dynamics drift counts toward collapse');
+const table = [{ id: 'decay', label: 'Decay', source: 'ecology', below: 101, effects: { stability: -50 } }];
+const dynamicContent = { ...content, couplings: table };
+const dynamic = createInitialState(7, dynamicContent, { dynamics: true });
+const staticRun = createInitialState(7, dynamicContent);
+const dynamicResult = resolveTurn({ ...dynamic, variables: { ...dynamic.variables, stability: 40 } },
+  dynamic.hand[0], dynamicContent);
+const staticResult = resolveTurn(staticRun, staticRun.hand[0], dynamicContent);
+if (dynamicResult.outcome === 'collapse' && dynamicResult.drift.stability === -50 &&
+    dynamicResult.couplings[0].id === 'decay' && staticResult.couplings.length === 0 &&
+    staticResult.state.dynamics === false) {
+  console.log('  ✓ PASS: Coupling drift collapsed Stability; static run unaffected');
+} else {
+  console.log('  ✗ FAIL: Dynamics drift not applied as expected');
+}
+
+// Test 16: Multi-turn echoes land once per turn for their duration
+console.log('\nTest 16: Multi-turn echoes land once per turn');
+const grove = { id: 'grove', title: 'Grove', echoes: [{ effects: { ecology: 3 }, duration: 4 }] };
+let pendingEchoes = scheduleEchoes(grove);
+const landings = [];
+for (let turn = 0; turn < 6; turn++) {
+  const tick = tickEchoes(pendingEchoes);
+  landings.push(tick.landed.length);
+  pendingEchoes = tick.pending;
+}
+if (landings.join(',') === '0,1,1,1,1,0' && pendingEchoes.length === 0) {
+  console.log('  ✓ PASS: Landed on the 4 turns after it was played, then expired');
+} else {
+  console.log(`  ✗ FAIL: Landings per turn ${landings.join(',')}`);
+}
+
+// Test 17: Delayed echoes land N turns later
+console.log('\nTest 17: Delayed echoes land after their delay');
+const delayedCard = { id: 'later', title: 'Later', echoes: [{ effects: { innovation: 12 }, delay: 3 }] };
+pendingEchoes = scheduleEchoes(delayedCard);
+const delayedLandings = [];
+for (let turn = 0; turn < 5; turn++) {
+  const tick = tickEchoes(pendingEchoes);
+  delayedLandings.push(tick.landed.length);
+  pendingEchoes = tick.pending;
+}
+if (delayedLandings.join(',') === '0,0,0,1,0') {
+  console.log('  ✓ PASS: Landed once, three turns after it was played');
+} else {
+  console.log(`  ✗ FAIL: Landings per turn ${delayedLandings.join(',')}`);
+}
+
+// Test 18: Landing echoes count toward collapse
+console.log('\nTest 18: Landing echoes count toward collapse');
+const doomCard = {
+  id: 'doom', title: 'Doom', desc: 'Ruin arrives next turn', effects: {}, variance: 0,
+  echoes: [{ effects: { stability: -60 } }]
+};
+const echoContent = { cards: [doomCard, ...content.cards] };
+let echoState = createInitialState(7, echoContent);
+echoState = { ...echoState, hand: [doomCard, ...echoState.hand.slice(1)] };
+const playedDoom = resolveTurn(echoState, doomCard, echoContent);
+const landedDoom = resolveTurn(playedDoom.state, playedDoom.state.hand[0], echoContent);
+if (playedDoom.outcome === 'continue' && playedDoom.state.echoes.length === 1 &&
+    landedDoom.echoes.length === 1 && landedDoom.outcome === 'collapse' &&
+    landedDoom.state.echoes.length === 0) {
+  console.log('  ✓ PASS: Pending the turn it was played, collapsed the game when it landed');
+} else {
+  console.log(`  ✗ FAIL: Outcomes ${playedDoom.outcome} then ${landedDoom.outcome}`);
+}
+
+// Test 19: Prerequisites limit which cards can be drawn
+console.log('\nTest 19: Prerequisites limit which cards can be drawn');
+const gated = content.cards.filter(card => card.requires);
+const opening = getAvailableCards(content.cards, initial);
+const lateState = {
+  ...initial,
+  turn: 6,
+  played: ['tech-innovation'],
+  variables: { ...initial.variables, stability: 20 }
+};
+const late = getAvailableCards(content.cards, lateState);
+if (gated.length > 0 && gated.every(card => !opening.includes(card)) && gated.every(card => late.includes(card))) {
+  console.log(`  ✓ PASS: ${gated.length} gated cards locked at the start, unlocked once their conditions hold`);
+} else {
+  console.log('  ✗ FAIL: Prerequisites not applied to the draw');
+}
+
+// Test 20: Gated cards are never dealt before their conditions hold
+console.log('\nTest 20: Gated cards never dealt early over 200 games');
+let gatesHeld = true;
+for (let game = 0; game < 200 && gatesHeld; game++) {
+  const { turns } = runGame(content, randomPolicy, { seed: game, maxTurns: 100 });
+  let played = [];
+  turns.forEach((turn, index) => {
+    // runGame does not log variables, so only turn and played-card conditions are checked here
+    const view = { turn: index + 1, played };
+    turn.hand.forEach(card => {
+      if (card.requires && !card.requires.every(condition => condition.variable !== undefined ||
+          checkCondition(condition, view))) {
+        gatesHeld = false;
+      }
+    });
+    played = [...played, turn.card.id];
+  });
+}
+if (gatesHeld) {
+  console.log('  ✓ PASS: Turn and played-card prerequisites always held when dealt');
+} else {
+  console.log('  ✗ FAIL: A gated card was dealt early');
+}
+
+// Test 21: Conditional effects apply only when their condition holds
+console.log('\nTest 21: Conditional effects apply only when their condition holds');
+const automation = content.cards.find(card => card.id === 'rapid-automation');
+const conditionalContent = { cards: content.cards };
+const shaky = { ...initial, variables: { ...initial.variables, stability: 20 }, hand: [automation, ...initial.hand.slice(1)] };
+const steady = { ...shaky, variables: { ...initial.variables } };
+const shakyResult = resolveTurn(shaky, automation, conditionalContent);
+const steadyResult = resolveTurn(steady, automation, conditionalContent);
+if (shakyResult.conditionals.length === 1 && steadyResult.conditionals.length === 0 &&
+    Math.abs(shakyResult.effects.cohesion - -5) < 1e-9 && steadyResult.effects.cohesion === undefined) {
+  console.log('  ✓ PASS: Cohesion -5 only when Stability was below 30');
+} else {
+  console.log('  ✗ FAIL: Conditional effects applied incorrectly');
+}
+
+// Test 22: Rarity and state set draw weights
+console.log('\nTest 22: Rarity and state set draw weights');
+const war = content.cards.find(card => card.id === 'war');
+const calmWeight = getCardWeight(war, initial);
+const crisisWeight = getCardWeight(war, { ...initial, variables: { ...initial.variables, stability: 20 } });
+const commonWeight = getCardWeight({ id: 'plain' }, initial);
+if (calmWeight < commonWeight && Math.abs(crisisWeight - calmWeight * 3) < 1e-9) {
+  console.log(`  ✓ PASS: Military Conflict weight ${calmWeight}, ${crisisWeight} while Stability is below 30`);
+} else {
+  console.log(`  ✗ FAIL: Weights ${calmWeight} / ${crisisWeight}`);
+}
+
+// Test 23: Deck-building runs deal from a persistent deck
+console.log('\nTest 23: Deck-building runs deal from a persistent deck');
+const deckStart = createInitialState(7, content, { mode: 'deck' });
+const startingIds = getDeckCardIds(deckStart);
+let deckState = deckStart;
+let dealtFromDeck = true;
+for (let turn = 1; turn < DECK_RULES.rewardEvery; turn++) {
+  deckState = resolveTurn(deckState, deckState.hand[0], content).state;
+  if (!deckState.hand.every(card => startingIds.includes(card.id))) dealtFromDeck = false;
+}
+if (startingIds.length === DECK_RULES.startingSize && new Set(startingIds).size === startingIds.length &&
+    deckStart.hand.length === 3 && dealtFromDeck &&
+    getDeckCardIds(deckState).sort().join(',') === [...startingIds].sort().join(',')) {
+  console.log(`  ✓ PASS: ${startingIds.length} distinct starting cards, every hand dealt from them`);
+} else {
+  console.log('  ✗ FAIL: Deck-building hands not dealt from the deck');
+}
+
+// Test 24: Rewards are offered on schedule and join the discard pile
+console.log('\nTest 24: Rewards are offered on schedule and join the discard pile');
+const rewardState = resolveTurn(deckState, deckState.hand[0], content).state;
+const offer = rewardState.rewardOffer || [];
+let blocked = false;
+try {
+  resolveTurn(rewardState, rewardState.hand[0], content);
+} catch (error) {
+  blocked = true;
+}
+const taken = offer.length > 0 ? chooseReward(rewardState, offer[0]) : rewardState;
+const skipped = offer.length > 0 ? chooseReward(rewardState, null) : rewardState;
+if (offer.length === 3 && offer.every(id => !startingIds.includes(id)) && blocked &&
+    taken.rewardOffer === null && taken.deck.discard[taken.deck.discard.length - 1] === offer[0] &&
+    getDeckCardIds(skipped).length === startingIds.length) {
+  console.log(`  ✓ PASS: 3 new cards offered after turn ${DECK_RULES.rewardEvery}, chosen card discarded, skip keeps the deck`);
+} else {
+  console.log('  ✗ FAIL: Reward offer or choice incorrect');
+}
+
+// Test 25: Deck-building games stay deterministic through reshuffles
+console.log('\nTest 25: Deck-building games are deterministic');
+const takeFirstReward = state => state.rewardOffer[0];
+const deckGameA = runGame(content, firstCardPolicy, { seed: 11, maxTurns: 40, mode: 'deck', chooseReward: takeFirstReward });
+const deckGameB = runGame(content, firstCardPolicy, { seed: 11, maxTurns: 40, mode: 'deck', chooseReward: takeFirstReward });
+const deckLog = game => game.turns.map(turn => `${turn.card.id}:${turn.reward || ''}`).join(',');
+if (deckGameA.turns.length > DECK_RULES.startingSize / 3 && deckGameA.turns.some(turn => turn.reward) &&
+    deckLog(deckGameA) === deckLog(deckGameB)) {
+  console.log(`  ✓ PASS: ${deckGameA.turns.length} turns with reshuffles replayed identically`);
+} else {
+  console.log('  ✗ FAIL: Deck-building games differ for the same seed');
+}
+
+// Test 26: Campaigns start in the first era with its rules and cards
+console.log('\nTest 26: Campaigns start in the first era');
+const campaignStart = createInitialState(7, content, { campaign: true });
+const eraRules = getRules(campaignStart);
+const firstEraCards = getAvailableCards(content.cards, campaignStart);
+const startProgress = getEraProgress(campaignStart);
+if (startProgress.number === 1 && startProgress.turn === 1 && getEraProgress(initial) === null &&
+    eraRules.victoryThreshold === RULES.victoryThreshold + ERAS[0].adjust.victoryThreshold &&
+    firstEraCards.every(card => !card.eras || card.eras.includes(ERAS[0].id)) &&
+    firstEraCards.length < content.cards.length) {
+  console.log(`  ✓ PASS: ${ERAS[0].label}, victory at ${eraRules.victoryThreshold} for ${eraRules.victoryTurns} turns, ` +
+    `${firstEraCards.length} cards in the era`);
+} else {
+  console.log('  ✗ FAIL: Campaign start state or era rules incorrect');
+}
+
+// Test 27: Completing an era carries the world into the next one
+console.log('\nTest 27: Completing an era carries the world into the next one');
+const highValues = {};
+VARIABLES.forEach(key => {
+  highValues[key] = 95;
+});
+const nearlyDone = { ...campaignStart, variables: highValues, victoryCounter: eraRules.victoryTurns - 1 };
+const eraResult = resolveTurn(nearlyDone, nearlyDone.hand[0], content);
+const nextEra = eraResult.state;
+const lastEra = { ...nextEra, era: ERAS.length - 1, variables: highValues, victoryCounter: 99 };
+const finalResult = resolveTurn(lastEra, lastEra.hand[0], content);
+if (eraResult.outcome === 'era' && nextEra.gameStatus === 'playing' && nextEra.era === 1 &&
+    nextEra.victoryCounter === 0 && getEraProgress(nextEra).turn === 1 && nextEra.turn === 2 &&
+    VARIABLES.every(key => nextEra.variables[key] > 80) &&
+    nextEra.hand.every(card => !card.eras || card.eras.includes(ERAS[1].id)) &&
+    finalResult.outcome === 'victory') {
+  console.log(`  ✓ PASS: ${ERAS[1].label} begins on turn ${nextEra.turn} with the variables carried over; last era wins`);
+} else {
+  console.log(`  ✗ FAIL: Outcome ${eraResult.outcome}, era ${nextEra.era}, final ${finalResult.outcome}`);
+}
+
+// Test 28: Campaign games pass through the eras in order
+console.log('\nTest 28: Campaign games pass through the eras in order');
+let erasInOrder = true;
+let campaignWins = 0;
+for (let game = 0; game < 50; game++) {
+  const { state, turns } = runGame(content, firstCardPolicy, { seed: game, maxTurns: 200, campaign: true });
+  const eraChanges = turns.filter(turn => turn.outcome === 'era').length;
+  if (eraChanges !== state.era) erasInOrder = false;
+  if (state.gameStatus === 'victory') {
+    campaignWins++;
+    if (state.era !== ERAS.length - 1) erasInOrder = false;
+  }
+}
+if (erasInOrder) {
+  console.log(`  ✓ PASS: One era change per completed era, ${campaignWins}/50 campaigns won in the last era`);
+} else {
+  console.log('  ✗ FAIL: Eras skipped or victory before the last era');
+}
+
+// Test 29: World events fire by chance and only while their conditions hold
+console.log('\nTest 29: World events respect chances and conditions');
+const fixedRoll = value => ({ next: () => value });
+const certain = [
+  { id: 'gated', title: 'Gated', desc: 'Needs low stability', chance: 0.5, requires: [{ variable: 'stability', below: 30 }], effects: { cohesion: -1 } },
+  { id: 'open', title: 'Open', desc: 'Always possible', chance: 0.5, effects: { innovation: 1 } }
+];
+const eventCalm = { ...initial };
+const eventTense = { ...initial, variables: { ...initial.variables, stability: 20 } };
+const calmEvent = rollWorldEvent(eventCalm, fixedRoll(0.2), certain);
+const tenseEvent = rollWorldEvent(eventTense, fixedRoll(0.2), certain);
+const quietEvent = rollWorldEvent(eventCalm, fixedRoll(0.7), certain);
+if (calmEvent.id === 'open' && tenseEvent.id === 'gated' && quietEvent === null) {
+  console.log('  ✓ PASS: Gated event skipped while its condition fails, nothing fires above the total chance');
+} else {
+  console.log('  ✗ FAIL: Events rolled incorrectly');
+}
+
+// Test 30: Events change the turn only when the run has them
+console.log('\nTest 30: World events apply between turns');
+const eventContent = { cards: content.cards, events: [{ ...certain[1], chance: 1, effects: { innovation: 5 } }] };
+const withEvents = createInitialState(7, eventContent, { worldEvents: true });
+const eventTurn = resolveTurn(withEvents, withEvents.hand[0], eventContent);
+const noEventTurn = resolveTurn(initial, initial.hand[0], eventContent);
+let eventCount = 0;
+for (let game = 0; game < 100; game++) {
+  const { turns } = runGame(content, randomPolicy, { seed: game, maxTurns: 50, worldEvents: true });
+  eventCount += turns.filter(turn => turn.event).length;
+}
+if (eventTurn.event && eventTurn.event.id === 'open' && noEventTurn.event === null &&
+    Math.abs(eventTurn.state.variables.innovation - noEventTurn.state.variables.innovation - 5) < 1e-9 &&
+    eventCount > 0 && DEFAULT_EVENTS.length > 0) {
+  console.log(`  ✓ PASS: Event effects added after the card; ${eventCount} default events over 100 games`);
+} else {
+  console.log('  ✗ FAIL: World events not applied as expected');
+}
+
+// Test 31: A story pauses the run until a choice is made
+console.log('\nTest 31: Stories wait for a choice and apply it');
+const storyTable = [
+  {
+    id: 'fork', title: 'Fork', prompt: 'Pick a road', chance: 1,
+    choices: [
+      { label: 'Left', effects: { ecology: 4 }, unlocks: ['sequel'] },
+      { label: 'Right', effects: { ecology: -60 } }
+    ]
+  },
+  { id: 'sequel', title: 'Sequel', prompt: 'The road goes on', chance: 1, followUp: true, choices: [
+    { label: 'On', effects: { cohesion: 1 } },
+    { label: 'Back', effects: { cohesion: -1 } }
+  ] }
+];
+const storyContent = { cards: content.cards, events: [], stories: storyTable };
+const storyStart = createInitialState(7, storyContent, { stories: true });
+const storyTurn = resolveTurn(storyStart, storyStart.hand[0], storyContent);
+let storyBlocked = false;
+try {
+  resolveTurn(storyTurn.state, storyTurn.state.hand[0], storyContent);
+} catch (error) {
+  storyBlocked = true;
+}
+const left = chooseStory(storyTurn.state, 0, storyContent);
+const right = chooseStory({ ...storyTurn.state, variables: { ...storyTurn.state.variables, ecology: 40 } }, 1, storyContent);
+const quietStory = resolveTurn(initial, initial.hand[0], storyContent);
+if (storyTurn.story.id === 'fork' && storyTurn.state.story === 'fork' && storyBlocked &&
+    Math.abs(left.state.variables.ecology - storyTurn.state.variables.ecology - 4) < 1e-9 &&
+    left.state.story === null && left.state.unlocked.includes('sequel') && left.outcome === 'continue' &&
+    right.outcome === 'collapse' && right.state.gameStatus === 'collapse' && quietStory.story === null) {
+  console.log('  ✓ PASS: Cards blocked while the story waits, choice effects land, a ruinous choice collapses the run');
+} else {
+  console.log('  ✗ FAIL: Story choice not handled as expected');
+}
+
+// Test 32: Each story is told once; follow-ups need their unlock
+console.log('\nTest 32: Stories are told once and follow-ups wait for their unlock');
+const locked = getAvailableStories(storyTurn.state, storyTable).map(story => story.id);
+const opened = getAvailableStories(left.state, storyTable).map(story => story.id);
+let storiesOk = true;
+let storyCount = 0;
+for (let game = 0; game < 100; game++) {
+  const { turns } = runGame(content, randomPolicy, { seed: game, maxTurns: 80, stories: true, chooseStory: () => 0 });
+  const told = turns.filter(turn => turn.story).map(turn => turn.story.id);
+  storyCount += told.length;
+  if (new Set(told).size !== told.length) storiesOk = false;
+  // Default follow-ups are only unlocked by the first choice of an earlier story
+  told.forEach((id, index) => {
+    const story = DEFAULT_STORIES.find(s => s.id === id);
+    const unlockedBy = DEFAULT_STORIES.filter(s => s.choices[0].unlocks && s.choices[0].unlocks.includes(id)).map(s => s.id);
+    if (story.followUp && !told.slice(0, index).some(prior => unlockedBy.includes(prior))) storiesOk = false;
+  });
+}
+if (locked.length === 0 && opened.join(',') === 'sequel' && storiesOk && storyCount > 0) {
+  console.log(`  ✓ PASS: ${storyCount} default stories told over 100 games, none repeated, follow-ups only after their unlock`);
+} else {
+  console.log('  ✗ FAIL: Stories repeated or follow-ups told too early');
+}
+
+// Test 33: Stories and world events are separate settings
+console.log('\nTest 33: Stories and world events are switched on separately');
+let eventsOnly = { events: 0, stories: 0 };
+let storiesOnly = { events: 0, stories: 0 };
+for (let game = 0; game < 50; game++) {
+  const withEventsOnly = runGame(content, randomPolicy, { seed: game, maxTurns: 80, worldEvents: true }).turns;
+  const withStoriesOnly = runGame(content, randomPolicy, { seed: game, maxTurns: 80, stories: true }).turns;
+  eventsOnly.events += withEventsOnly.filter(turn => turn.event).length;
+  eventsOnly.stories += withEventsOnly.filter(turn => turn.story).length;
+  storiesOnly.events += withStoriesOnly.filter(turn => turn.event).length;
+  storiesOnly.stories += withStoriesOnly.filter(turn => turn.story).length;
+}
+if (eventsOnly.events > 0 && eventsOnly.stories === 0 && storiesOnly.stories > 0 && storiesOnly.events === 0) {
+  console.log(`  ✓ PASS: ${eventsOnly.events} events with no stories; ${storiesOnly.stories} stories with no events`);
+} else {
+  console.log(`  ✗ FAIL: Events only ${JSON.stringify(eventsOnly)}, stories only ${JSON.stringify(storiesOnly)}`);
+}
+
+// Test 34: Previews bound the real result of a card and flag collapse and victory
+console.log('\nTest 34: Card previews bound the resolved turn');
+let previewsHold = true;
+for (let seed = 0; seed < 40; seed++) {
+  const previewState = createInitialState(seed, content, { dynamics: true });
+  previewState.hand.forEach(card => {
+    const { ranges } = previewCard(previewState, card, content);
+    const played = resolveTurn(previewState, card, content).state.variables;
+    VARIABLES.forEach(key => {
+      if (played[key] < ranges[key].min - 1e-9 || played[key] > ranges[key].max + 1e-9) previewsHold = false;
+    });
+  });
+}
+const flagCard = { id: 'flag', title: 'Flag', desc: 'Test', effects: { stability: -10, ecology: 5 }, variance: 2 };
+const edge = { ...initial, hand: [flagCard], variables: { ecology: 82, cohesion: 90, innovation: 90, stability: 12 } };
+const risky = previewCard(edge, flagCard, content);
+const winning = previewCard({ ...edge, variables: { ...edge.variables, stability: 95 }, victoryCounter: RULES.victoryTurns - 1 },
+  flagCard, content);
+if (previewsHold && risky.couldCollapse && !risky.couldStreak && risky.ranges.stability.max - risky.ranges.stability.min === 4 &&
+    winning.couldStreak && winning.couldWin && !winning.couldCollapse) {
+  console.log('  ✓ PASS: 120 previews contained the played result; collapse risk and a winning streak flagged');
+} else {
+  console.log('  ✗ FAIL: Preview ranges or flags incorrect');
+}
+
+// Test 35: With couplings, each variable's range covers effects rolled at opposite extremes
+console.log('\nTest 35: Card previews cover couplings fired by other rolls');
+const splitCard = { id: 'split', title: 'Split', desc: 'Test', effects: { ecology: 5, cohesion: -5 }, variance: 4 };
+const boomContent = {
+  ...content,
+  couplings: [{ id: 'boom', label: 'Boom', source: 'ecology', above: 54, effects: { ecology: -10, cohesion: -10 } }]
+};
+const splitVariables = { ecology: 47, cohesion: 50, innovation: 50, stability: 50 };
+const splitPreview = previewCard({ ...initial, dynamics: true, hand: [splitCard], variables: splitVariables },
+  splitCard, boomContent).ranges;
+const seen = { ecology: [], cohesion: [] };
+let splitHeld = true;
+for (let seed = 0; seed < 300; seed++) {
+  const splitState = { ...createInitialState(seed, content, { dynamics: true }), hand: [splitCard], variables: splitVariables };
+  const played = resolveTurn(splitState, splitCard, boomContent).state.variables;
+  VARIABLES.forEach(key => {
+    if (played[key] < splitPreview[key].min - 1e-9 || played[key] > splitPreview[key].max + 1e-9) splitHeld = false;
+  });
+  seen.ecology.push(played.ecology);
+  seen.cohesion.push(played.cohesion);
+}
+const reached = Object.keys(seen).every(key => Math.min(...seen[key]) < splitPreview[key].min + 1 &&
+  Math.max(...seen[key]) > splitPreview[key].max - 1);
+if (splitHeld && reached) {
+  console.log(`  ✓ PASS: Cohesion ${splitPreview.cohesion.min.toFixed(1)}-${splitPreview.cohesion.max.toFixed(1)}, ` +
+    `ecology ${splitPreview.ecology.min.toFixed(1)}-${splitPreview.ecology.max.toFixed(1)}; 300 plays inside and reaching both ends`);
+} else {
+  console.log(`  ✗ FAIL: Preview ${JSON.stringify(splitPreview)} does not match the played range`);
+}
+
+console.log('\n✓ All engine tests completed');
@@ -0,0 +1,86 @@
+/**
+ * Test suite for the shader layer debug inspector
+ * Run with: node js/test-inspector.js
+ */
+
+// Minimal document: the inspector's elements are looked up and skipped when missing
+globalThis.document = {
+  getElementById: () => null,
+  querySelector: () => null,
+  querySelectorAll: () => []
+};
+
+const { getLayerGains, formatUniformValue, ShaderInspector } = require('./inspector.js');
+
+// Test 1: Solo and mute turn into layer gains
+console.log('Test 1: Solo and mute set the layer gains');
+const cases = [
+  [{}, {}, '1,1,1,1'],
+  [{}, { cohesion: true, stability: true }, '1,0,1,0'],
+  [{ innovation: true }, {}, '0,0,1,0'],
+  [{ ecology: true, stability: true }, { ecology: true }, '1,0,0,1'] // Solo wins over mute
+];
+const wrongGains = cases.filter(([soloed, muted, expected]) => getLayerGains(soloed, muted).join() !== expected);
+if (wrongGains.length === 0) {
+  console.log(`  ✓ PASS: ${cases.length} solo/mute setups give the expected gains`);
+} else {
+  console.log(`  ✗ FAIL: ${wrongGains.map(([soloed, muted]) => getLayerGains(soloed, muted).join()).join(' / ')}`);
+}
+
+// Test 2: Sliders override the variables without touching the game's
+console.log('\nTest 2: Sliders override the drawn variables');
+const inspector = new ShaderInspector();
+const live = { ecology: 40, cohesion: 50, innovation: 60, stability: 70 };
+const before = inspector.getVariables(live);
+inspector.setVariable('stability', 5, live);
+const overridden = { ...inspector.getVariables(live) };
+inspector.setVariable('ecology', 90, { ...live, ecology: 0 });
+const twice = inspector.getVariables(live);
+inspector.releaseOverride();
+if (before === live && overridden.stability === 5 && overridden.ecology === 40 && live.stability === 70 &&
+    twice.ecology === 90 && twice.stability === 5 && inspector.getVariables(live) === live) {
+  console.log('  ✓ PASS: Slider values are drawn until released; the game variables are untouched');
+} else {
+  console.log('  ✗ FAIL: Override did not behave as expected');
+}
+
+// Test 3: Closing the inspector restores every layer and the game variables
+console.log('\nTest 3: Closing the inspector resets it');
+inspector.show();
+inspector.toggleLayer('cohesion', 'solo');
+inspector.toggleLayer('ecology', 'mute');
+inspector.setVariable('innovation', 100, live);
+const whileOpen = inspector.getLayerGains().join();
+inspector.toggle();
+if (whileOpen === '0,1,0,0' && !inspector.visible && inspector.getLayerGains().join() === '1,1,1,1' &&
+    inspector.getVariables(live) === live) {
+  console.log('  ✓ PASS: Layers and variables back to normal after closing');
+} else {
+  console.log(`  ✗ FAIL: Gains ${inspector.getLayerGains()} after closing (was ${whileOpen})`);
+}
+
+// Test 4: Uniform values are formatted for the readout
+console.log('\nTest 4: Uniform values are formatted');
+const formatted = [formatUniformValue(0.5), formatUniformValue({ x: 800, y: 600 }), formatUniformValue({ x: 1, y: 0.5, z: 0.25, w: 0 })];
+if (formatted.join(' | ') === '0.500 | (800.00, 600.00) | (1.00, 0.50, 0.25, 0.00)') {
+  console.log(`  ✓ PASS: ${formatted.join(' | ')}`);
+} else {
+  console.log(`  ✗ FAIL: Got ${formatted.join(' | ')}`);
+}
+
+// Test 5: Readouts refresh every few frames with the measured frame rate
+console.log('\nTest 5: Frame timing readout');
+const timed = new ShaderInspector();
+const rendered = [];
+timed.render = (readout, fps) => rendered.push(fps);
+timed.show();
+for (let frame = 0; frame < 25; frame++) {
+  timed.update(1000 + frame * 20, {});
+}
+if (rendered.length === 2 && Math.abs(rendered[0] - 50) < 0.01 && Math.abs(rendered[1] - 50) < 0.01) {
+  console.log(`  ✓ PASS: Refreshed ${rendered.length} times at ${rendered[0].toFixed(1)} FPS for 20ms frames`);
+} else {
+  console.log(`  ✗ FAIL: Refreshes ${rendered.map(fps => fps.toFixed(1)).join(', ')}`);
+}
+
+console.log('\n✓ All inspector tests completed');
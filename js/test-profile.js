@@ -0,0 +1,137 @@
+/**
+ * Test suite for the player profile: lifetime statistics and achievements
+ * Run with: node js/test-profile.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createInitialState, resolveTurn } = require('./engine.js');
+const { ReplayRecorder } = require('./replay.js');
+const {
+  PROFILE_KEY,
+  DEFAULT_ACHIEVEMENTS,
+  createProfile,
+  addRunToProfile,
+  getRunFacts,
+  checkAchievementCondition,
+  unlockAchievements,
+  ProfileManager
+} = require('./profile.js');
+
+const cardsPath = path.join(__dirname, 'cards.json');
+const content = { cards: JSON.parse(fs.readFileSync(cardsPath, 'utf8')) };
+const achievementsTable = JSON.parse(fs.readFileSync(path.join(__dirname, 'achievements.json'), 'utf8'));
+
+// Record a full single-era game headlessly, always picking the same slot
+function recordGame(seed, slot) {
+  const recorder = new ReplayRecorder();
+  let state = createInitialState(seed, content, { campaign: false });
+  recorder.start(state);
+  while (state.gameStatus === 'playing' && state.turn < 300) {
+    const card = state.hand[slot];
+    const result = resolveTurn(state, card, content);
+    recorder.record(state, card, result);
+    state = result.state;
+  }
+  return recorder.getReplay();
+}
+
+// In-memory stand-in for localStorage
+function createStorage() {
+  const items = {};
+  return {
+    getItem: key => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = String(value); },
+    removeItem: key => { delete items[key]; }
+  };
+}
+
+const runs = [recordGame(5, 0), recordGame(11, 1), recordGame(42, 2)];
+
+// Test 1: Finished runs add up in the lifetime statistics
+console.log('Test 1: Lifetime statistics');
+const profile = runs.reduce(addRunToProfile, createProfile());
+const wins = runs.filter(run => run.outcome === 'victory');
+const collapses = runs.filter(run => run.outcome === 'collapse');
+const turns = runs.reduce((sum, run) => sum + run.turns.length, 0);
+const plays = Object.values(profile.stats.cardsPlayed).reduce((sum, count) => sum + count, 0);
+const collapseCauses = Object.values(profile.stats.collapsesBy).reduce((sum, count) => sum + count, 0);
+if (profile.stats.games === 3 && profile.stats.wins === wins.length && profile.stats.collapses === collapses.length &&
+    profile.stats.turns === turns && plays === turns && collapseCauses >= collapses.length &&
+    profile.stats.longestSurvival === Math.max(...runs.map(run => run.turns.length)) &&
+    profile.stats.fastestVictory === (wins.length > 0 ? Math.min(...wins.map(run => run.turns.length)) : null)) {
+  console.log(`  ✓ PASS: ${profile.stats.games} games, ${profile.stats.wins} won, ${profile.stats.turns} turns, ` +
+    `${Object.keys(profile.stats.cardsPlayed).length} different cards`);
+} else {
+  console.log(`  ✗ FAIL: Unexpected statistics ${JSON.stringify(profile.stats)}`);
+}
+
+// Test 2: Conditions test lifetime stats, run facts and variables
+console.log('\nTest 2: Achievement conditions');
+const facts = {
+  stat: { games: 3, fastestVictory: null },
+  run: { outcome: 'victory', turns: 20, difficulty: 'hard' },
+  variables: { ecology: 50, cohesion: 50, innovation: 97, stability: 50 }
+};
+const expectations = [
+  [{ stat: 'games', atLeast: 3 }, true],
+  [{ stat: 'games', atLeast: 4 }, false],
+  [{ stat: 'fastestVictory', atMost: 30 }, false], // No victory yet
+  [{ run: 'outcome', is: 'victory' }, true],
+  [{ run: 'difficulty', is: 'brutal' }, false],
+  [{ run: 'turns', atLeast: 10, atMost: 25 }, true],
+  [{ variable: 'innovation', above: 95 }, true],
+  [{ variable: 'ecology', below: 20 }, false]
+];
+const wrong = expectations.filter(([condition, expected]) => checkAchievementCondition(condition, facts) !== expected);
+if (wrong.length === 0) {
+  console.log(`  ✓ PASS: ${expectations.length} conditions evaluated as expected`);
+} else {
+  console.log(`  ✗ FAIL: Wrong result for ${wrong.map(([condition]) => JSON.stringify(condition)).join(', ')}`);
+}
+
+// Test 3: Achievements unlock once, on their own trigger
+console.log('\nTest 3: Achievements unlock once per trigger');
+const firstRun = addRunToProfile(createProfile(), runs[0]);
+const runFacts = { run: getRunFacts(runs[0]), variables: runs[0].turns[runs[0].turns.length - 1].variables };
+const onTurn = unlockAchievements(firstRun, 'turn', runFacts, achievementsTable);
+const onEnd = unlockAchievements(onTurn.profile, 'end', runFacts, achievementsTable, '2026-01-01T00:00:00.000Z');
+const again = unlockAchievements(onEnd.profile, 'end', runFacts, achievementsTable);
+const endIds = onEnd.unlocked.map(achievement => achievement.id);
+if (onTurn.unlocked.every(achievement => achievement.on === 'turn') && endIds.includes('first-echo') &&
+    onEnd.profile.achievements['first-echo'] === '2026-01-01T00:00:00.000Z' && again.unlocked.length === 0 &&
+    again.profile === onEnd.profile) {
+  console.log(`  ✓ PASS: Unlocked ${[...onTurn.unlocked.map(a => a.id), ...endIds].join(', ')}; nothing twice`);
+} else {
+  console.log('  ✗ FAIL: Achievements unlocked on the wrong trigger or more than once');
+}
+
+// Test 4: Shipped achievements match the built-in table
+console.log('\nTest 4: achievements.json matches the built-in achievements');
+if (JSON.stringify(achievementsTable) === JSON.stringify(DEFAULT_ACHIEVEMENTS)) {
+  console.log(`  ✓ PASS: ${achievementsTable.length} achievements`);
+} else {
+  console.log('  ✗ FAIL: achievements.json and DEFAULT_ACHIEVEMENTS differ');
+}
+
+// Test 5: The profile is stored and restored, and a broken one starts fresh
+console.log('\nTest 5: Profile persistence');
+const storage = createStorage();
+const manager = new ProfileManager(storage);
+manager.load();
+manager.recordRun(runs[1]);
+manager.unlock('end', { run: getRunFacts(runs[1]), variables: runs[1].start }, achievementsTable);
+const restored = new ProfileManager(storage).load();
+storage.setItem(PROFILE_KEY, '{"version": 99}');
+const originalWarn = console.warn;
+console.warn = () => {};
+const reset = new ProfileManager(storage).load();
+console.warn = originalWarn;
+if (restored.stats.games === 1 && restored.achievements['first-echo'] &&
+    JSON.stringify(restored) === JSON.stringify(manager.profile) && reset.stats.games === 0) {
+  console.log('  ✓ PASS: Profile restored from storage; an incompatible profile is replaced');
+} else {
+  console.log('  ✗ FAIL: Profile did not survive a reload');
+}
+
+console.log('\n✓ All profile tests completed');
@@ -172,4 +172,68 @@ if (allValid) {
   console.log('  ✓ PASS: All quality modes are valid');
 }
 
+// Auto quality: the real tuner from utils.js, fed frame intervals
+const { AUTO_QUALITY, AutoQuality } = require('./utils.js');
+
+/**
+ * Feed the same frame interval to a tuner several times
+ * @param {AutoQuality} tuner - Auto quality tuner
+ * @param {number} frameMs - Frame interval in milliseconds
+ * @param {number} frames - Number of frames
+ * @returns {Array} Tiers it switched to, in order
+ */
+function feedFrames(tuner, frameMs, frames) {
+  const switches = [];
+  for (let i = 0; i < frames; i++) {
+    const tier = tuner.addFrame(frameMs);
+    if (tier) switches.push(tier);
+  }
+  return switches;
+}
+
+// Test 11: Auto steps down on sustained slow frames, not on a single slow spell
+console.log('\nTest 11: Auto quality steps down on sustained slow frames');
+const spiky = new AutoQuality('high');
+const spikeSwitches = [...feedFrames(spiky, 40, AUTO_QUALITY.windowFrames), ...feedFrames(spiky, 16.7, AUTO_QUALITY.windowFrames)];
+const slow = new AutoQuality('high');
+const slowSwitches = feedFrames(slow, 40, AUTO_QUALITY.windowFrames * AUTO_QUALITY.slowWindows * 3);
+if (spikeSwitches.length === 0 && slowSwitches.join(',') === 'medium,low' && slow.tier === 'low') {
+  console.log(`  ✓ PASS: One slow window kept "high"; sustained 40ms frames stepped down to ${slowSwitches.join(' then ')}`);
+} else {
+  console.log(`  ✗ FAIL: Spike switched to [${spikeSwitches}], sustained slow frames to [${slowSwitches}]`);
+}
+
+// Test 12: Stepping up needs a long fast run and waits after a step down
+console.log('\nTest 12: Auto quality steps up slowly, with hysteresis');
+const windowsToUp = AUTO_QUALITY.fastWindows * AUTO_QUALITY.windowFrames;
+const between = new AutoQuality('medium');
+const betweenSwitches = feedFrames(between, (AUTO_QUALITY.slowFrameMs + AUTO_QUALITY.fastFrameMs) / 2, windowsToUp * 5);
+const fast = new AutoQuality('low');
+const earlyFast = feedFrames(fast, 16.7, windowsToUp - 1);
+const fastSwitch = feedFrames(fast, 16.7, 1);
+const held = new AutoQuality('high');
+feedFrames(held, 40, AUTO_QUALITY.windowFrames * AUTO_QUALITY.slowWindows);
+const heldSwitches = feedFrames(held, 16.7, AUTO_QUALITY.windowFrames * (AUTO_QUALITY.holdWindows - 1));
+const retried = feedFrames(held, 16.7, windowsToUp);
+if (betweenSwitches.length === 0 && earlyFast.length === 0 && fastSwitch.join() === 'medium' &&
+    heldSwitches.length === 0 && retried.join() === 'high') {
+  console.log('  ✓ PASS: Frame times between the thresholds keep the tier; a step down holds off the next step up');
+} else {
+  console.log(`  ✗ FAIL: [${betweenSwitches}] / [${earlyFast}] [${fastSwitch}] / [${heldSwitches}] [${retried}]`);
+}
+
+// Test 13: Pauses are ignored and the tier stays in range
+console.log('\nTest 13: Auto quality ignores pauses and stays within the tiers');
+const paused = new AutoQuality('medium');
+const pauseSwitches = feedFrames(paused, AUTO_QUALITY.maxFrameMs + 1, windowsToUp);
+const floor = new AutoQuality('low');
+const ceiling = new AutoQuality('high');
+const rangeSwitches = [...feedFrames(floor, 60, windowsToUp), ...feedFrames(ceiling, 8, windowsToUp)];
+if (pauseSwitches.length === 0 && rangeSwitches.length === 0 && floor.tier === 'low' && ceiling.tier === 'high' &&
+    new AutoQuality('ultra').tier === 'medium') {
+  console.log('  ✓ PASS: Gaps over the frame limit are skipped; "low" and "high" are the limits');
+} else {
+  console.log(`  ✗ FAIL: Pauses switched to [${pauseSwitches}], limits to [${rangeSwitches}]`);
+}
+
 console.log('\n✓ All quality mode tests completed');
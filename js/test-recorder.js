@@ -0,0 +1,213 @@
+/**
+ * Test suite for video clip recording and the clip buffer
+ * Run with: node js/test-recorder.js
+ */
+
+// Minimal browser stand-ins: a canvas stream, an audio node and a MediaRecorder
+const downloads = [];
+globalThis.document = {
+  getElementById: () => null,
+  createElement: () => ({ click() { downloads.push(this.download); } })
+};
+globalThis.URL.createObjectURL = () => 'blob:clip';
+globalThis.URL.revokeObjectURL = () => {};
+
+function createTrack(kind) {
+  return { kind, stopped: false, stop() { this.stopped = true; } };
+}
+
+function createCanvas() {
+  return {
+    captureStream: (fps) => {
+      const tracks = [createTrack('video')];
+      return { fps, tracks, getTracks: () => tracks, addTrack: track => tracks.push(track) };
+    }
+  };
+}
+
+function createAudioNode() {
+  const node = { connected: [] };
+  node.context = {
+    createMediaStreamDestination: () => {
+      const track = createTrack('audio');
+      return { stream: { getAudioTracks: () => [track] } };
+    }
+  };
+  node.connect = output => node.connected.push(output);
+  node.disconnect = output => { node.connected = node.connected.filter(connected => connected !== output); };
+  return node;
+}
+
+const recorders = [];
+globalThis.MediaRecorder = class {
+  static isTypeSupported(type) {
+    return type === 'video/webm;codecs=vp8,opus' || type === 'video/webm';
+  }
+
+  constructor(stream, options) {
+    this.stream = stream;
+    this.options = options;
+    this.listeners = { dataavailable: [], stop: [] };
+    this.state = 'inactive';
+    recorders.push(this);
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type].push(listener);
+  }
+
+  start(timeslice) {
+    this.state = 'recording';
+    this.timeslice = timeslice;
+  }
+
+  stop() {
+    this.state = 'inactive';
+    this.listeners.dataavailable.forEach(listener => listener({ data: new Blob(['cluster']) }));
+    this.listeners.stop.forEach(listener => listener());
+  }
+};
+
+const { CLIP_SETTINGS, pickClipMimeType, formatClipDuration, ClipBuffer, ClipRecorder } = require('./recorder.js');
+
+// Segment stand-in for the clip buffer: records when it was started and how it ended
+function createSegments() {
+  const started = [];
+  const start = () => {
+    const segment = { id: started.length, ended: null };
+    started.push(segment);
+    return {
+      stop: () => { segment.ended = 'stopped'; return Promise.resolve({ segment: segment.id }); },
+      cancel: () => { segment.ended = 'cancelled'; }
+    };
+  };
+  return { started, start };
+}
+
+(async () => {
+  // Test 1: The first WebM type the browser supports is used
+  console.log('Test 1: WebM type selection');
+  const vp8 = pickClipMimeType(type => MediaRecorder.isTypeSupported(type));
+  const none = pickClipMimeType(() => false);
+  if (vp8 === 'video/webm;codecs=vp8,opus' && none === null) {
+    console.log(`  ✓ PASS: Picked ${vp8}; no type when WebM cannot be recorded`);
+  } else {
+    console.log(`  ✗ FAIL: Picked ${vp8} / ${none}`);
+  }
+
+  // Test 2: Recording times read as minutes and seconds
+  console.log('\nTest 2: Recording time format');
+  const times = [formatClipDuration(0), formatClipDuration(9999), formatClipDuration(65000), formatClipDuration(-5)];
+  if (times.join() === '0:00,0:09,1:05,0:00') {
+    console.log(`  ✓ PASS: ${times.join(', ')}`);
+  } else {
+    console.log(`  ✗ FAIL: Got ${times.join(', ')}`);
+  }
+
+  // Test 3: After the first window, the buffer always reaches back at least one window
+  console.log('\nTest 3: Clip buffer always covers the last window');
+  const segments = createSegments();
+  const buffer = new ClipBuffer(segments.start, 10);
+  const windowMs = 10000;
+  buffer.start(0);
+  let shortest = Infinity;
+  let longest = 0;
+  let mostLive = 0;
+  for (let now = 1000; now <= 120000; now += 1000) {
+    buffer.tick(now);
+    const coverage = buffer.getCoverage(now);
+    if (now >= windowMs) {
+      shortest = Math.min(shortest, coverage);
+      longest = Math.max(longest, coverage);
+    }
+    mostLive = Math.max(mostLive, segments.started.filter(segment => !segment.ended).length);
+  }
+  const dropped = segments.started.filter(segment => segment.ended);
+  if (shortest >= windowMs && longest <= 2 * windowMs && mostLive === 2 &&
+      dropped.length > 0 && dropped.every(segment => segment.ended === 'cancelled')) {
+    console.log(`  ✓ PASS: Covered ${shortest / 1000}-${longest / 1000}s with at most ${mostLive} recordings; ` +
+      `${dropped.length} old ones dropped`);
+  } else {
+    console.log(`  ✗ FAIL: Coverage ${shortest}-${longest}ms, ${mostLive} recordings at once`);
+  }
+
+  // Test 4: Capturing finishes the oldest recording and keeps buffering
+  console.log('\nTest 4: Capturing a clip from the buffer');
+  const oldest = buffer.segments[0];
+  const coverage = buffer.getCoverage(120000);
+  const clip = await buffer.capture(120000);
+  const stoppedOldest = segments.started.find(segment => segment.ended === 'stopped');
+  for (let now = 121000; now <= 140000; now += 1000) buffer.tick(now);
+  const recovered = buffer.getCoverage(140000);
+  buffer.stop();
+  const idle = await buffer.capture(141000);
+  if (coverage >= windowMs && clip.segment === stoppedOldest.id && oldest.startedAt === 120000 - coverage &&
+      recovered >= windowMs && !buffer.isActive() && idle === null &&
+      segments.started.every(segment => segment.ended)) {
+    console.log(`  ✓ PASS: Saved a ${coverage / 1000}s clip; covering ${recovered / 1000}s again 20s later`);
+  } else {
+    console.log(`  ✗ FAIL: Clip ${JSON.stringify(clip)}, coverage ${coverage} then ${recovered}`);
+  }
+
+  // Test 5: Recording taps the canvas and audio, and releases them when the clip is saved
+  console.log('\nTest 5: Recording a WebM clip');
+  const canvas = createCanvas();
+  const audio = createAudioNode();
+  const recorder = new ClipRecorder();
+  const supported = recorder.initialize(() => ({ canvas, audio }));
+  const started = recorder.startRecording(1000);
+  const startedTwice = recorder.startRecording(2000);
+  const mediaRecorder = recorders[recorders.length - 1];
+  const tracks = mediaRecorder.stream.tracks;
+  const connectedWhileRecording = audio.connected.length;
+  const recording = await recorder.stopRecording();
+  if (supported && started && !startedTwice && recorders.length === 1 && mediaRecorder.stream.fps === CLIP_SETTINGS.fps &&
+      mediaRecorder.options.mimeType === 'video/webm;codecs=vp8,opus' && tracks.map(track => track.kind).join() === 'video,audio' &&
+      connectedWhileRecording === 1 && audio.connected.length === 0 && tracks.every(track => track.stopped) &&
+      recording.type === mediaRecorder.options.mimeType && recording.size > 0 &&
+      downloads.length === 1 && /^echoes-of-tomorrow-\d+\.webm$/.test(downloads[0]) &&
+      !recorder.isRecording() && recorder.timer === null) {
+    console.log(`  ✓ PASS: Recorded video and audio into ${downloads[0]}; tracks stopped and audio disconnected`);
+  } else {
+    console.log('  ✗ FAIL: Recording did not start, save or clean up as expected');
+  }
+
+  // Test 6: A recording that cannot be started stops the buffer instead of throwing
+  console.log('\nTest 6: Clip buffer stops when a recording fails to start');
+  const originalError = console.error;
+  console.error = () => {};
+  let failNext = false;
+  const failing = createSegments();
+  const flaky = new ClipBuffer(() => {
+    if (failNext) throw new Error('NotSupportedError');
+    return failing.start();
+  }, 10);
+  flaky.start(0);
+  failNext = true;
+  flaky.tick(10000);
+  const stoppedOnTick = !flaky.isActive() && failing.started[0].ended === 'cancelled';
+  failNext = false;
+  flaky.start(20000);
+  failNext = true;
+  const flakyClip = await flaky.capture(25000);
+  const stoppedOnCapture = !flaky.isActive() && flakyClip.segment === 1;
+
+  let stoppedCalls = 0;
+  const failingRecorder = new ClipRecorder();
+  failingRecorder.initialize(() => ({ canvas: createCanvas(), audio: null }));
+  failingRecorder.onBufferStopped = () => { stoppedCalls++; };
+  failingRecorder.setBuffering(true, 0);
+  const OriginalMediaRecorder = MediaRecorder;
+  globalThis.MediaRecorder = class { constructor() { throw new Error('NotSupportedError'); } };
+  const savedSeconds = await failingRecorder.saveBuffer(15000);
+  globalThis.MediaRecorder = OriginalMediaRecorder;
+  console.error = originalError;
+  if (stoppedOnTick && stoppedOnCapture && savedSeconds === 15 && !failingRecorder.isBuffering() &&
+      stoppedCalls === 1 && failingRecorder.timer === null) {
+    console.log('  ✓ PASS: Buffer stopped on a failed restart; the clip already recorded was still saved');
+  } else {
+    console.log(`  ✗ FAIL: Stopped on tick ${stoppedOnTick}, on capture ${stoppedOnCapture}, saved ${savedSeconds}s`);
+  }
+
+  console.log('\n✓ All recorder tests completed');
+})();
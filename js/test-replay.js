@@ -0,0 +1,295 @@
+/**
+ * Test suite for replay recording and playback
+ * Run with: node js/test-replay.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createInitialState, resolveTurn, chooseReward, chooseStory } = require('./engine.js');
+const { ReplayRecorder, ReplayPlayer, parseReplay, verifyReplay, getReplayTimeline, summarizeReplay } = require('./replay.js');
+
+const cardsPath = path.join(__dirname, 'cards.json');
+const content = { cards: JSON.parse(fs.readFileSync(cardsPath, 'utf8')) };
+
+// Record a full game headlessly, always picking the middle card
+function recordGame(seed) {
+  const recorder = new ReplayRecorder();
+  let state = createInitialState(seed, content);
+  recorder.start(state);
+  while (state.gameStatus === 'playing' && state.turn < 300) {
+    const card = state.hand[1];
+    const result = resolveTurn(state, card, content);
+    recorder.record(state, card, result);
+    state = result.state;
+  }
+  return { replay: recorder.getReplay(), state };
+}
+
+const { replay, state: finalState } = recordGame(314);
+
+// Test 1: Replay records every turn
+console.log('Test 1: Replay records every turn');
+if (replay.seed === 314 && replay.turns.length === finalState.turn &&
+    replay.outcome === finalState.gameStatus) {
+  console.log(`  ✓ PASS: ${replay.turns.length} turns recorded, outcome ${replay.outcome}`);
+} else {
+  console.log('  ✗ FAIL: Turn count or outcome does not match the game');
+}
+
+// Test 2: Each entry has hand, choice, effects, variables and outcome
+console.log('\nTest 2: Turn entries are complete');
+const entriesValid = replay.turns.every(entry =>
+  entry.hand.length === 3 && entry.hand.includes(entry.card) &&
+  Object.keys(entry.effects).length > 0 && Object.keys(entry.variables).length === 4 &&
+  ['continue', 'victory', 'collapse'].includes(entry.outcome)
+);
+if (entriesValid) {
+  console.log('  ✓ PASS: All entries have hand, card, effects, variables and outcome');
+} else {
+  console.log('  ✗ FAIL: Some entries are incomplete');
+}
+
+// Test 3: JSON round trip and verification
+console.log('\nTest 3: Exported JSON loads back and re-simulates');
+const loaded = parseReplay(JSON.stringify(replay));
+const check = verifyReplay(loaded, content);
+if (check.ok) {
+  console.log(`  ✓ PASS: Re-simulated ${check.turn} turns exactly`);
+} else {
+  console.log(`  ✗ FAIL: ${check.reason} at turn ${check.turn}`);
+}
+
+// Test 4: Verification detects a changed card pool
+console.log('\nTest 4: Verification detects a changed card pool');
+const changedContent = { cards: content.cards.slice(1) };
+if (!verifyReplay(loaded, changedContent).ok) {
+  console.log('  ✓ PASS: Mismatch reported');
+} else {
+  console.log('  ✗ FAIL: Changed pool was not detected');
+}
+
+// Test 5: Malformed replays are rejected
+console.log('\nTest 5: Malformed replays are rejected');
+// Turns must hold a hand, card, variables and effects; drop or break each in turn in a real entry
+const variables = { ecology: 52, cohesion: 50, innovation: 50, stability: 50 };
+const start = { ecology: 50, cohesion: 50, innovation: 50, stability: 50 };
+const goodEntry = { turn: 1, hand: ['a', 'b', 'c'], card: 'a', effects: { ecology: 2 }, variables };
+const entryInputs = [
+  { ...goodEntry, effects: undefined },
+  { ...goodEntry, effects: { ecology: 'two' } },
+  { ...goodEntry, effects: [2] },
+  { ...goodEntry, variables: undefined },
+  { ...goodEntry, variables: { ecology: 52 } },
+  { ...goodEntry, variables: { ...variables, stability: null } },
+  { ...goodEntry, story: { id: 'x', choice: 99 } },
+  { ...goodEntry, story: { id: 'x', choice: -1, variables } },
+  { ...goodEntry, story: { id: 'x', choice: 0.5, variables } },
+  { ...goodEntry, story: { choice: 0, variables } },
+  { ...goodEntry, reward: { chosen: 'a' } },
+  { ...goodEntry, reward: { offered: ['a', 2], chosen: 'a' } },
+  { ...goodEntry, reward: { offered: ['a'], chosen: 2 } },
+  null
+].map(entry => JSON.stringify({ version: 1, seed: 1, start, turns: [entry] }));
+// Settings must be ones the game knows, and the start must hold every variable
+const replayInputs = [
+  { difficulty: 'nope' },
+  { mode: 'nope' },
+  { start: { ecology: 50 } },
+  { start: [50, 50, 50, 50] }
+].map(fields => JSON.stringify({ version: 1, seed: 1, start, turns: [goodEntry], ...fields }));
+const badInputs = ['{"version":99}', '{"version":1,"seed":1}', '[]', ...entryInputs, ...replayInputs];
+const rejected = badInputs.filter(input => {
+  try {
+    parseReplay(input);
+    return false;
+  } catch (error) {
+    return true;
+  }
+});
+const wellFormed = parseReplay({
+  version: 1,
+  seed: 1,
+  difficulty: 'hard',
+  mode: 'deck',
+  start,
+  turns: [goodEntry, { ...goodEntry, story: { id: 'x', choice: 1, variables }, reward: { offered: ['a', 'b'], chosen: null } }]
+});
+if (rejected.length === badInputs.length && wellFormed.turns.length === 2) {
+  console.log(`  ✓ PASS: ${rejected.length} malformed replays rejected, the well-formed one accepted`);
+} else {
+  console.log(`  ✗ FAIL: ${badInputs.length - rejected.length} malformed replays accepted`);
+}
+
+// Test 6: Player steps through every turn and ends on the final variables
+console.log('\nTest 6: Player steps through every turn');
+const player = new ReplayPlayer();
+const stepped = [];
+player.load(loaded, (entry, position) => stepped.push(position));
+while (player.step()) {
+  // Step to the end
+}
+player.update(performance.now() + player.interpolationDuration);
+const last = loaded.turns[loaded.turns.length - 1].variables;
+if (stepped.length === loaded.turns.length && player.isFinished() &&
+    Object.keys(last).every(key => player.variables[key] === last[key])) {
+  console.log(`  ✓ PASS: ${stepped.length} steps, final variables match`);
+} else {
+  console.log('  ✗ FAIL: Playback did not reach the recorded end state');
+}
+
+// Test 7: Play stops automatically at the end
+console.log('\nTest 7: Play stops automatically at the end');
+player.load(loaded);
+player.play();
+let time = performance.now();
+for (let i = 0; i < loaded.turns.length + 5; i++) {
+  time += player.stepInterval;
+  player.update(time);
+}
+if (!player.isPlaying && player.isFinished()) {
+  console.log('  ✓ PASS: Playback paused after the last turn');
+} else {
+  console.log('  ✗ FAIL: Playback is still running');
+}
+
+// Test 8: Deck-building replays record and re-apply reward choices
+console.log('\nTest 8: Deck-building replays verify with their rewards');
+const deckRecorder = new ReplayRecorder();
+let deckState = createInitialState(42, content, { mode: 'deck' });
+deckRecorder.start(deckState);
+while (deckState.gameStatus === 'playing' && deckState.turn < 30) {
+  const card = deckState.hand[0];
+  const result = resolveTurn(deckState, card, content);
+  deckRecorder.record(deckState, card, result);
+  deckState = result.state;
+  if (deckState.rewardOffer) {
+    deckRecorder.recordReward(deckState.rewardOffer, deckState.rewardOffer[2]);
+    deckState = chooseReward(deckState, deckState.rewardOffer[2]);
+  }
+}
+const deckReplay = parseReplay(JSON.stringify(deckRecorder.getReplay()));
+const rewardTurns = deckReplay.turns.filter(entry => entry.reward);
+const tampered = JSON.parse(JSON.stringify(deckReplay));
+const tamperedEntry = tampered.turns.find(entry => entry.reward);
+if (tamperedEntry) tamperedEntry.reward.chosen = tamperedEntry.reward.offered[0];
+if (deckReplay.mode === 'deck' && rewardTurns.length > 0 && verifyReplay(deckReplay, content).ok &&
+    !verifyReplay(tampered, content).ok) {
+  console.log(`  ✓ PASS: ${rewardTurns.length} rewards re-applied, a changed choice is detected`);
+} else {
+  console.log('  ✗ FAIL: Deck-building replay did not verify');
+}
+
+// Test 9: Campaign replays record the era of each turn
+console.log('\nTest 9: Campaign replays record eras and verify');
+const campaignRecorder = new ReplayRecorder();
+let campaignState = createInitialState(8, content, { campaign: true });
+campaignRecorder.start(campaignState);
+while (campaignState.gameStatus === 'playing' && campaignState.turn < 300) {
+  const card = campaignState.hand[1];
+  const result = resolveTurn(campaignState, card, content);
+  campaignRecorder.record(campaignState, card, result);
+  campaignState = result.state;
+}
+const campaignReplay = parseReplay(JSON.stringify(campaignRecorder.getReplay()));
+const firstEntry = campaignReplay.turns[0];
+const lastEntry = campaignReplay.turns[campaignReplay.turns.length - 1];
+if (campaignReplay.campaign && firstEntry.era === 0 && firstEntry.eraTurn === 1 && lastEntry.era === campaignState.era &&
+    verifyReplay(campaignReplay, content).ok && !verifyReplay({ ...campaignReplay, campaign: false }, content).ok) {
+  console.log(`  ✓ PASS: ${campaignReplay.turns.length} turns ending in era ${lastEntry.era + 1} re-simulated`);
+} else {
+  console.log('  ✗ FAIL: Campaign replay incomplete or did not verify');
+}
+
+// Test 10: Story choices are recorded and re-applied
+console.log('\nTest 10: Replays verify with their story choices');
+const storyRecorder = new ReplayRecorder();
+let storyState = createInitialState(21, content, { worldEvents: true, stories: true });
+storyRecorder.start(storyState);
+while (storyState.gameStatus === 'playing' && storyState.turn < 300) {
+  const card = storyState.hand[1];
+  const result = resolveTurn(storyState, card, content);
+  storyRecorder.record(storyState, card, result);
+  storyState = result.state;
+  if (storyState.story) {
+    storyState = chooseStory(storyState, 1, content).state;
+    storyRecorder.recordStory(result.story.id, 1, storyState);
+  }
+}
+const storyReplay = parseReplay(JSON.stringify(storyRecorder.getReplay()));
+const storyTurns = storyReplay.turns.filter(entry => entry.story);
+const changedChoice = JSON.parse(JSON.stringify(storyReplay));
+const changedEntry = changedChoice.turns.find(entry => entry.story);
+if (changedEntry) changedEntry.story.choice = 0;
+if (storyTurns.length > 0 && storyReplay.outcome === storyState.gameStatus && verifyReplay(storyReplay, content).ok &&
+    !verifyReplay(changedChoice, content).ok) {
+  console.log(`  ✓ PASS: ${storyTurns.length} story choices re-applied, a changed choice is detected`);
+} else {
+  console.log('  ✗ FAIL: Story choices not recorded or did not verify');
+}
+
+// Test 11: Undone turns are dropped from the log
+console.log('\nTest 11: Undone turns leave the replay');
+const undoRecorder = new ReplayRecorder();
+let undoState = createInitialState(5, content, { casual: true });
+undoRecorder.start(undoState);
+const undoHistory = [];
+for (let turn = 0; turn < 12 && undoState.gameStatus === 'playing'; turn++) {
+  const card = undoState.hand[turn % 3];
+  const result = resolveTurn(undoState, card, content);
+  undoRecorder.record(undoState, card, result);
+  undoHistory.push(undoState);
+  undoState = result.state;
+  // Take back every fourth turn and play another card instead
+  if (turn % 4 === 3) {
+    undoState = undoHistory.pop();
+    undoRecorder.undo();
+  }
+}
+const undoReplay = parseReplay(JSON.stringify(undoRecorder.getReplay()));
+if (undoReplay.casual === true && undoReplay.turns.length === undoState.turn - 1 && verifyReplay(undoReplay, content).ok) {
+  console.log(`  ✓ PASS: ${undoReplay.turns.length} turns kept after 3 undos, replay verifies`);
+} else {
+  console.log('  ✗ FAIL: Undone turns left the replay inconsistent');
+}
+
+// Test 12: The timeline lists turns with the variables after any story choice
+console.log('\nTest 12: Timeline follows the replay');
+const timeline = getReplayTimeline(storyReplay);
+const partial = getReplayTimeline(storyReplay, 3);
+const storyIndex = storyReplay.turns.findIndex(entry => entry.story);
+const timelineOk = timeline.turns.length === storyReplay.turns.length &&
+  timeline.start.ecology === storyReplay.start.ecology &&
+  timeline.turns[storyIndex].variables.ecology === storyReplay.turns[storyIndex].story.variables.ecology &&
+  timeline.turns[0].card === storyReplay.turns[0].card &&
+  partial.turns.length === 3;
+if (timelineOk) {
+  console.log(`  ✓ PASS: ${timeline.turns.length} turns listed, story on turn ${storyReplay.turns[storyIndex].turn} folded in`);
+} else {
+  console.log('  ✗ FAIL: Timeline does not match the replay');
+}
+
+// Test 13: The run summary picks out extremes, favourite cards and the biggest swing
+console.log('\nTest 13: Run summary statistics');
+const flat = { ecology: 50, cohesion: 50, innovation: 50, stability: 50 };
+const summary = summarizeReplay({
+  seed: 7, difficulty: 'normal', outcome: 'collapse', start: flat,
+  turns: [
+    { turn: 1, card: 'a', hand: [], effects: {}, variables: { ...flat, ecology: 62 }, outcome: 'continue' },
+    { turn: 2, card: 'b', hand: [], effects: {}, variables: { ...flat, ecology: 60, cohesion: 41 }, outcome: 'continue' },
+    { turn: 3, card: 'a', hand: [], effects: {}, variables: { ...flat, ecology: 60, stability: 4 }, outcome: 'collapse' }
+  ]
+});
+const summaryOk = summary.turns === 3 && summary.collapsed.join() === 'stability' &&
+  summary.peak.ecology.value === 62 && summary.peak.ecology.turn === 1 &&
+  summary.low.stability.value === 4 && summary.low.cohesion.turn === 2 &&
+  summary.mostPlayed[0].card === 'a' && summary.mostPlayed[0].count === 2 &&
+  summary.biggestSwing.variable === 'stability' && summary.biggestSwing.amount === -46 &&
+  summary.bestStreak === 0 && summary.points.length === 4;
+const fullSummary = summarizeReplay(replay);
+if (summaryOk && fullSummary.turns === replay.turns.length && fullSummary.outcome === replay.outcome) {
+  console.log(`  ✓ PASS: Summary of a ${fullSummary.turns}-turn run, biggest swing ${fullSummary.biggestSwing.amount} on turn ${fullSummary.biggestSwing.turn}`);
+} else {
+  console.log('  ✗ FAIL: Run summary statistics are wrong');
+}
+
+console.log('\n✓ All replay tests completed');
@@ -0,0 +1,137 @@
+/**
+ * Test suite for the seeded random stream and reproducible draws
+ * Run with: node js/test-rng.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { RandomStream, parseSeed, drawCard, getNextThreeCards } = require('./utils.js');
+
+const cardsPath = path.join(__dirname, 'cards.json');
+const cardPool = JSON.parse(fs.readFileSync(cardsPath, 'utf8'));
+
+// Test 1: Same seed produces the same sequence
+console.log('Test 1: Same seed produces the same sequence');
+const streamA = new RandomStream(12345);
+const streamB = new RandomStream(12345);
+let sequencePass = true;
+for (let i = 0; i < 1000; i++) {
+  if (streamA.next() !== streamB.next()) {
+    console.log(`  ✗ FAIL: Sequences diverged at roll ${i}`);
+    sequencePass = false;
+    break;
+  }
+}
+if (sequencePass) {
+  console.log('  ✓ PASS: 1000 rolls identical for equal seeds');
+}
+
+// Test 2: Different seeds produce different sequences
+console.log('\nTest 2: Different seeds produce different sequences');
+const streamC = new RandomStream(1);
+const streamD = new RandomStream(2);
+const rollsC = Array.from({ length: 10 }, () => streamC.next());
+const rollsD = Array.from({ length: 10 }, () => streamD.next());
+if (rollsC.some((roll, i) => roll !== rollsD[i])) {
+  console.log('  ✓ PASS: Seeds 1 and 2 produce different rolls');
+} else {
+  console.log('  ✗ FAIL: Seeds 1 and 2 produce identical rolls');
+}
+
+// Test 3: Rolls stay within [0, 1)
+console.log('\nTest 3: Rolls stay within [0, 1)');
+const rangeStream = new RandomStream(987654321);
+let rangePass = true;
+for (let i = 0; i < 10000; i++) {
+  const roll = rangeStream.next();
+  if (roll < 0 || roll >= 1) {
+    console.log(`  ✗ FAIL: Roll ${roll} out of range`);
+    rangePass = false;
+    break;
+  }
+}
+if (rangePass) {
+  console.log('  ✓ PASS: 10000 rolls within [0, 1)');
+}
+
+// Test 4: range() and int() respect their bounds
+console.log('\nTest 4: range() and int() respect their bounds');
+const boundsStream = new RandomStream(42);
+let boundsPass = true;
+for (let i = 0; i < 1000; i++) {
+  const duration = boundsStream.range(500, 1200);
+  const index = boundsStream.int(3);
+  if (duration < 500 || duration >= 1200 || index < 0 || index > 2 || !Number.isInteger(index)) {
+    console.log(`  ✗ FAIL: range=${duration}, int=${index}`);
+    boundsPass = false;
+    break;
+  }
+}
+if (boundsPass) {
+  console.log('  ✓ PASS: range(500, 1200) and int(3) stay in bounds');
+}
+
+// Test 5: parseSeed handles numbers, text and empty input
+console.log('\nTest 5: parseSeed handles numbers, text and empty input');
+const numericSeed = parseSeed('123456');
+const textSeed = parseSeed('tuesday-challenge');
+if (numericSeed === 123456 &&
+    textSeed === parseSeed('tuesday-challenge') &&
+    Number.isInteger(textSeed) && textSeed >= 0 &&
+    parseSeed('') === null && parseSeed(null) === null) {
+  console.log(`  ✓ PASS: "123456" -> ${numericSeed}, "tuesday-challenge" -> ${textSeed}, empty -> null`);
+} else {
+  console.log('  ✗ FAIL: parseSeed returned unexpected values');
+}
+
+// Test 6: Seeded draws are reproducible across a whole run
+console.log('\nTest 6: Seeded draws are reproducible across a run');
+function drawRun(seed, turns) {
+  const rng = new RandomStream(seed);
+  const ids = [];
+  let hand = [];
+  for (let turn = 0; turn < turns; turn++) {
+    hand = getNextThreeCards(cardPool, hand, rng);
+    ids.push(...hand.map(c => c.id));
+  }
+  return ids.join(',');
+}
+if (drawRun(2024, 50) === drawRun(2024, 50)) {
+  console.log('  ✓ PASS: 50 turns of hands identical for the same seed');
+} else {
+  console.log('  ✗ FAIL: Hands differ for the same seed');
+}
+
+// Test 7: Equal weights draw exactly like a uniform draw
+console.log('\nTest 7: Equal weights draw exactly like a uniform draw');
+const uniformRng = new RandomStream(77);
+const weightedRng = new RandomStream(77);
+let sameDraws = true;
+for (let i = 0; i < 500; i++) {
+  if (drawCard(cardPool, [], uniformRng).id !== drawCard(cardPool, [], weightedRng, () => 2).id) {
+    sameDraws = false;
+  }
+}
+if (sameDraws) {
+  console.log('  ✓ PASS: 500 draws identical');
+} else {
+  console.log('  ✗ FAIL: Weighted draw with equal weights diverged');
+}
+
+// Test 8: Weights shape draw frequencies
+console.log('\nTest 8: Weights shape draw frequencies');
+const pair = [{ id: 'heavy' }, { id: 'light' }, { id: 'never' }];
+const weightOf = card => ({ heavy: 3, light: 1, never: 0 })[card.id];
+const counts = { heavy: 0, light: 0, never: 0 };
+const frequencyRng = new RandomStream(5);
+for (let i = 0; i < 4000; i++) {
+  counts[drawCard(pair, [], frequencyRng, weightOf).id]++;
+}
+const ratio = counts.heavy / counts.light;
+if (counts.never === 0 && ratio > 2.7 && ratio < 3.3) {
+  console.log(`  ✓ PASS: Weight 3 drawn ${ratio.toFixed(2)}x as often as weight 1, weight 0 never`);
+} else {
+  console.log(`  ✗ FAIL: Counts ${JSON.stringify(counts)}`);
+}
+
+console.log('\n✓ All RNG tests completed');
@@ -0,0 +1,72 @@
+/**
+ * Test suite for the visualization shaders
+ * Checks that shaders/fragment.glsl and the built-in fallback in visuals.js stay in step
+ * Run with: node js/test-shaders.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const shaderFile = fs.readFileSync(path.join(__dirname, '..', 'shaders', 'fragment.glsl'), 'utf8');
+const visualsSource = fs.readFileSync(path.join(__dirname, 'visuals.js'), 'utf8');
+
+// The built-in shader is the template string returned by getFragmentShader()
+const builtInMatch = visualsSource.match(/getFragmentShader\(\) \{\s*return `([\s\S]*?)`;/);
+const builtIn = builtInMatch ? builtInMatch[1] : '';
+
+// Uniforms the material passes in, from createShaderMaterial()
+const materialMatch = visualsSource.match(/this\.uniforms = \{([\s\S]*?)\n    \};/);
+const materialUniforms = materialMatch ? [...materialMatch[1].matchAll(/^\s*(u_\w+):/gm)].map(m => m[1]).sort() : [];
+
+/**
+ * Collect the uniform declarations of a shader
+ * @param {string} source - GLSL source
+ * @returns {Object} Type by uniform name
+ */
+function getUniforms(source) {
+  const uniforms = {};
+  for (const match of source.matchAll(/^\s*uniform\s+(\w+)\s+(\w+)\s*;/gm)) {
+    uniforms[match[2]] = match[1];
+  }
+  return uniforms;
+}
+
+const fileUniforms = getUniforms(shaderFile);
+const builtInUniforms = getUniforms(builtIn);
+
+// Test 1: The material, the shader file and the fallback agree on the uniforms
+console.log('Test 1: Shader file declares every uniform the material sets');
+const missingFromFile = materialUniforms.filter(name => !fileUniforms[name]);
+const unknownInFile = Object.keys(fileUniforms).filter(name => !materialUniforms.includes(name));
+if (materialUniforms.length > 0 && missingFromFile.length === 0 && unknownInFile.length === 0) {
+  console.log(`  ✓ PASS: ${materialUniforms.length} uniforms: ${materialUniforms.join(', ')}`);
+} else {
+  console.log(`  ✗ FAIL: Missing ${missingFromFile.join(', ') || 'none'}; not set by the material ${unknownInFile.join(', ') || 'none'}`);
+}
+
+// Test 2: The built-in fallback declares the same uniforms with the same types
+console.log('\nTest 2: Built-in fallback shader matches the shader file uniforms');
+const fileSignature = JSON.stringify(Object.entries(fileUniforms).sort());
+const builtInSignature = JSON.stringify(Object.entries(builtInUniforms).sort());
+if (builtIn && fileSignature === builtInSignature) {
+  console.log(`  ✓ PASS: Both declare ${Object.keys(builtInUniforms).length} uniforms`);
+} else {
+  console.log(`  ✗ FAIL: File ${fileSignature} / built-in ${builtInSignature}`);
+}
+
+// Test 3: Both shaders honor the quality mode and layer gains, and write the fragment color
+console.log('\nTest 3: Both shaders use u_quality and u_layers and write gl_FragColor');
+const shapeProblems = [['shaders/fragment.glsl', shaderFile], ['built-in', builtIn]].filter(([, source]) => {
+  const body = source.replace(/^\s*uniform .*$/gm, '');
+  const opens = (source.match(/\{/g) || []).length;
+  const closes = (source.match(/\}/g) || []).length;
+  return !/void main\(\)/.test(source) || !/gl_FragColor\s*=/.test(source) || !body.includes('u_quality') ||
+    ['x', 'y', 'z', 'w'].some(axis => !body.includes(`u_layers.${axis}`)) || opens !== closes;
+});
+if (shapeProblems.length === 0) {
+  console.log('  ✓ PASS: Both shaders read u_quality and every layer gain, have balanced braces and set gl_FragColor in main()');
+} else {
+  console.log(`  ✗ FAIL: ${shapeProblems.map(([name]) => name).join(', ')}`);
+}
+
+console.log('\n✓ All shader tests completed');
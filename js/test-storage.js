@@ -0,0 +1,216 @@
+/**
+ * Test suite for saving and resuming games
+ * Run with: node js/test-storage.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createInitialState, resolveTurn } = require('./engine.js');
+const { SAVE_KEY, SAVE_VERSION, SAVE_MIGRATIONS, SaveManager } = require('./storage.js');
+
+const cardsPath = path.join(__dirname, 'cards.json');
+const content = { cards: JSON.parse(fs.readFileSync(cardsPath, 'utf8')) };
+
+// In-memory stand-in for localStorage
+class MemoryStorage {
+  constructor() {
+    this.items = {};
+  }
+  getItem(key) {
+    return key in this.items ? this.items[key] : null;
+  }
+  setItem(key, value) {
+    this.items[key] = String(value);
+  }
+  removeItem(key) {
+    delete this.items[key];
+  }
+}
+
+// Play a few turns to get a mid-run state
+let state = createInitialState(555, content);
+for (let i = 0; i < 4 && state.gameStatus === 'playing'; i++) {
+  state = resolveTurn(state, state.hand[0], content).state;
+}
+const preferences = { qualityMode: 'high', audioMuted: true };
+
+// Test 1: Nothing saved yet
+console.log('Test 1: Loading with no save returns null');
+const storage = new MemoryStorage();
+const manager = new SaveManager(storage);
+if (manager.load(content) === null) {
+  console.log('  ✓ PASS: No saved game');
+} else {
+  console.log('  ✗ FAIL: Expected null');
+}
+
+// Test 2: Save and load round trip
+console.log('\nTest 2: Save and load round trip');
+manager.save(state, preferences, null);
+const loaded = manager.load(content);
+if (JSON.stringify(loaded.state) === JSON.stringify(state) &&
+    loaded.preferences.qualityMode === 'high' && loaded.preferences.audioMuted === true) {
+  console.log(`  ✓ PASS: Turn ${loaded.state.turn}, hand, RNG state and preferences restored`);
+} else {
+  console.log('  ✗ FAIL: Restored game differs from the saved one');
+}
+
+// Test 3: Hand is stored as card ids
+console.log('\nTest 3: Hand is stored compactly as card ids');
+const stored = JSON.parse(storage.getItem(SAVE_KEY));
+if (stored.version === SAVE_VERSION && stored.state.hand.every(id => typeof id === 'string')) {
+  console.log(`  ✓ PASS: Stored hand ${stored.state.hand.join(', ')}`);
+} else {
+  console.log('  ✗ FAIL: Hand not stored as ids');
+}
+
+// Test 4: A resumed game continues exactly like the original
+console.log('\nTest 4: Resumed game continues identically');
+const original = resolveTurn(state, state.hand[1], content).state;
+const resumed = resolveTurn(loaded.state, loaded.state.hand[1], content).state;
+if (JSON.stringify(original) === JSON.stringify(resumed)) {
+  console.log('  ✓ PASS: Next turn identical after resume');
+} else {
+  console.log('  ✗ FAIL: Resumed game diverged');
+}
+
+// Test 5: Incompatible versions are discarded
+console.log('\nTest 5: Incompatible save versions are discarded');
+storage.setItem(SAVE_KEY, JSON.stringify({ ...stored, version: 99 }));
+try {
+  manager.load(content);
+  console.log('  ✗ FAIL: Incompatible save was accepted');
+} catch (error) {
+  if (storage.getItem(SAVE_KEY) === null) {
+    console.log(`  ✓ PASS: ${error.message}; save removed`);
+  } else {
+    console.log('  ✗ FAIL: Incompatible save was not removed');
+  }
+}
+
+// Test 6: Saves referencing cards missing from the loaded pool are kept for a later visit
+console.log('\nTest 6: Saves referencing unknown cards are kept');
+manager.save(state, preferences, null);
+const reducedContent = { cards: content.cards.filter(c => c.id !== state.hand[0].id) };
+try {
+  manager.load(reducedContent);
+  console.log('  ✗ FAIL: Save with unknown card was accepted');
+} catch (error) {
+  const resumed = manager.hasSave() ? manager.load(content) : null;
+  if (resumed && resumed.state.turn === state.turn) {
+    console.log(`  ✓ PASS: ${error.message}; save kept and resumed with the full pool`);
+  } else {
+    console.log('  ✗ FAIL: Save was discarded over a content mismatch');
+  }
+}
+
+// Test 7: Corrupt JSON is discarded
+console.log('\nTest 7: Corrupt saves are discarded');
+storage.setItem(SAVE_KEY, '{not json');
+try {
+  manager.load(content);
+  console.log('  ✗ FAIL: Corrupt save was accepted');
+} catch (error) {
+  console.log(`  ✓ PASS: Corrupt save rejected and ${storage.getItem(SAVE_KEY) === null ? 'removed' : 'kept'}`);
+}
+
+// Test 8: Missing storage disables persistence without errors
+console.log('\nTest 8: Missing storage disables persistence');
+const noStorage = new SaveManager(null);
+noStorage.save(state, preferences, null);
+if (noStorage.load(content) === null) {
+  console.log('  ✓ PASS: Save and load are no-ops without storage');
+} else {
+  console.log('  ✗ FAIL: Expected null without storage');
+}
+
+// Test 9: Every version bump comes with a migration, so older saves keep loading
+console.log('\nTest 9: Older saves are migrated');
+const missingSteps = [];
+for (let version = 1; version < SAVE_VERSION; version++) {
+  const step = SAVE_MIGRATIONS[version];
+  if (!step || step({ version, state: {} }).version !== version + 1) missingSteps.push(version);
+}
+const { difficulty, dynamics, worldEvents, stories, echoes, played, mode, deck, rewardOffer, era, eraStart, story, told,
+  unlocked, casual, ...v1State } = stored.state;
+storage.setItem(SAVE_KEY, JSON.stringify({ ...stored, version: 1, state: v1State }));
+try {
+  const migrated = manager.load(content);
+  if (missingSteps.length === 0 && migrated.state.difficulty === 'normal' && migrated.state.dynamics === false &&
+      migrated.state.worldEvents === false && migrated.state.stories === false && migrated.state.echoes.length === 0 &&
+      migrated.state.played.length === 0 && migrated.state.mode === 'classic' && migrated.state.deck === null &&
+      migrated.state.era === null && migrated.state.story === null && migrated.state.told.length === 0 &&
+      migrated.state.casual === false && migrated.state.turn === state.turn) {
+    console.log(`  ✓ PASS: Migrations chain versions 1 to ${SAVE_VERSION}; a v1 save migrated to a Normal, static, event-free, classic, single-era, non-casual run with nothing pending`);
+  } else {
+    console.log(`  ✗ FAIL: No migration from version ${missingSteps.join(', ') || '-'}, or the migrated state is incorrect`);
+  }
+} catch (error) {
+  console.log(`  ✗ FAIL: ${error.message}`);
+}
+
+// Test 10: Deck-building runs keep their piles and pending reward
+console.log('\nTest 10: Deck-building saves restore the deck and reward offer');
+let deckState = createInitialState(555, content, { mode: 'deck' });
+while (!deckState.rewardOffer && deckState.gameStatus === 'playing') {
+  deckState = resolveTurn(deckState, deckState.hand[0], content).state;
+}
+manager.save(deckState, preferences, null);
+const deckLoaded = manager.load(content);
+const brokenDeck = JSON.parse(storage.getItem(SAVE_KEY));
+brokenDeck.state.deck.draw.push('no-such-card');
+storage.setItem(SAVE_KEY, JSON.stringify(brokenDeck));
+let brokenRejected = false;
+try {
+  manager.load(content);
+} catch (error) {
+  brokenRejected = true;
+}
+if (JSON.stringify(deckLoaded.state) === JSON.stringify(deckState) && deckLoaded.state.rewardOffer.length === 3 &&
+    brokenRejected) {
+  console.log(`  ✓ PASS: ${deckState.deck.draw.length} draw, ${deckState.deck.discard.length} discard and the offer restored`);
+} else {
+  console.log('  ✗ FAIL: Deck-building save not restored or not checked');
+}
+
+// Test 11: Campaign runs keep their era
+console.log('\nTest 11: Campaign saves restore the era');
+const campaignState = { ...createInitialState(555, content, { campaign: true }), era: 1, eraStart: 4, turn: 6 };
+manager.save(campaignState, preferences, null);
+const campaignLoaded = manager.load(content);
+const badEra = JSON.parse(storage.getItem(SAVE_KEY));
+badEra.state.era = 7;
+storage.setItem(SAVE_KEY, JSON.stringify(badEra));
+let badEraRejected = false;
+try {
+  manager.load(content);
+} catch (error) {
+  badEraRejected = true;
+}
+if (campaignLoaded.state.era === 1 && campaignLoaded.state.eraStart === 4 && badEraRejected) {
+  console.log('  ✓ PASS: Era 2 from turn 4 restored, unknown era rejected');
+} else {
+  console.log('  ✗ FAIL: Campaign era not restored or not checked');
+}
+
+// Test 12: A story waiting for a choice survives a reload
+console.log('\nTest 12: Saves restore a waiting story');
+const storyState = { ...createInitialState(555, content, { stories: true }), story: 'street-prophet', told: ['street-prophet'] };
+manager.save(storyState, preferences, null);
+const storyLoaded = manager.load(content);
+const badStory = JSON.parse(storage.getItem(SAVE_KEY));
+badStory.state.story = 'no-such-story';
+storage.setItem(SAVE_KEY, JSON.stringify(badStory));
+let badStoryRejected = false;
+try {
+  manager.load(content);
+} catch (error) {
+  badStoryRejected = true;
+}
+if (storyLoaded.state.story === 'street-prophet' && storyLoaded.state.told.length === 1 && badStoryRejected) {
+  console.log('  ✓ PASS: Waiting story restored, unknown story rejected');
+} else {
+  console.log('  ✗ FAIL: Waiting story not restored or not checked');
+}
+
+console.log('\n✓ All storage tests completed');
@@ -0,0 +1,235 @@
+/**
+ * Test suite for card pool, world dynamics, world event, story and achievement validation
+ * Run with: node js/test-validate.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  validateCardPool,
+  validateCouplings,
+  validateEvents,
+  validateStories,
+  validateAchievements,
+  getValidCards,
+  formatProblems
+} = require('./validate.js');
+
+const cardsPath = path.join(__dirname, 'cards.json');
+const cardPool = JSON.parse(fs.readFileSync(cardsPath, 'utf8'));
+
+const validCard = {
+  id: 'test-card',
+  title: 'Test Card',
+  desc: 'A perfectly valid card',
+  effects: { ecology: 3, stability: -2 },
+  variance: 1
+};
+
+// Check that a single broken card reports a problem on the expected field
+function expectProblem(label, card, field) {
+  const problems = validateCardPool([card]);
+  if (problems.some(p => p.field === field)) {
+    console.log(`  ✓ PASS: ${label} -> ${formatProblems(problems)[0]}`);
+    return true;
+  }
+  console.log(`  ✗ FAIL: ${label} not reported on "${field}"`);
+  return false;
+}
+
+// Test 1: Shipped card pool is valid
+console.log('Test 1: Shipped cards.json is valid');
+const shippedProblems = validateCardPool(cardPool);
+if (shippedProblems.length === 0) {
+  console.log(`  ✓ PASS: ${cardPool.length} cards, no problems`);
+} else {
+  console.log(`  ✗ FAIL: ${shippedProblems.length} problems`);
+  formatProblems(shippedProblems).forEach(line => console.log(`    - ${line}`));
+}
+
+// Test 2: Unknown effect keys
+console.log('\nTest 2: Unknown effect keys are reported');
+expectProblem('Typo "ecolgy"', { ...validCard, effects: { ecolgy: 5 } }, 'effects.ecolgy');
+
+// Test 3: Non-finite numbers
+console.log('\nTest 3: Non-finite effect values are reported');
+expectProblem('String effect', { ...validCard, effects: { ecology: '5' } }, 'effects.ecology');
+expectProblem('Missing variance', { ...validCard, variance: undefined }, 'variance');
+
+// Test 4: Negative variance
+console.log('\nTest 4: Negative variance is reported');
+expectProblem('Variance -1', { ...validCard, variance: -1 }, 'variance');
+
+// Test 5: Word limits
+console.log('\nTest 5: Title and description word limits');
+expectProblem('9-word title', { ...validCard, title: 'one two three four five six seven eight nine' }, 'title');
+expectProblem('13-word desc', { ...validCard, desc: 'a b c d e f g h i j k l m' }, 'desc');
+
+// Test 6: Duplicate ids
+console.log('\nTest 6: Duplicate ids are reported');
+const duplicates = validateCardPool([validCard, { ...validCard }]);
+if (duplicates.length === 1 && duplicates[0].field === 'id') {
+  console.log(`  ✓ PASS: ${formatProblems(duplicates)[0]}`);
+} else {
+  console.log('  ✗ FAIL: Duplicate id not reported exactly once');
+}
+
+// Test 7: Every problem is reported, not just the first
+console.log('\nTest 7: All problems are reported at once');
+const manyProblems = validateCardPool([{ id: 'broken', title: '', desc: '', effects: { foo: NaN }, variance: -2 }]);
+if (manyProblems.length === 4) {
+  console.log(`  ✓ PASS: ${manyProblems.length} problems for one broken card`);
+} else {
+  console.log(`  ✗ FAIL: Expected 4 problems, got ${manyProblems.length}`);
+}
+
+// Test 8: getValidCards keeps only playable cards
+console.log('\nTest 8: getValidCards drops invalid and duplicate cards');
+const mixed = [validCard, { ...validCard }, { ...validCard, id: 'bad', variance: -1 }, { ...validCard, id: 'ok-2' }];
+const kept = getValidCards(mixed).map(c => c.id);
+if (kept.join(',') === 'test-card,ok-2') {
+  console.log(`  ✓ PASS: Kept ${kept.join(', ')}`);
+} else {
+  console.log(`  ✗ FAIL: Kept ${kept.join(', ')}`);
+}
+
+// Test 9: Echo declarations are checked
+console.log('\nTest 9: Echo declarations are checked');
+expectProblem('Echo duration 0', { ...validCard, echoes: [{ effects: { ecology: 3 }, duration: 0 }] }, 'echoes[0].duration');
+expectProblem('Echo delay 1.5', { ...validCard, echoes: [{ effects: { ecology: 3 }, delay: 1.5 }] }, 'echoes[0].delay');
+expectProblem('Echo without effects', { ...validCard, echoes: [{ duration: 2 }] }, 'echoes[0].effects');
+const echoOnly = validateCardPool([{ ...validCard, effects: {}, echoes: [{ effects: { ecology: 3 }, duration: 4 }] }]);
+if (echoOnly.length === 0) {
+  console.log('  ✓ PASS: A card with only echoes is valid');
+} else {
+  console.log(`  ✗ FAIL: ${formatProblems(echoOnly).join('; ')}`);
+}
+
+// Test 10: The shipped world dynamics table is valid
+console.log('\nTest 10: dynamics.json passes validation');
+const couplings = JSON.parse(fs.readFileSync(path.join(__dirname, 'dynamics.json'), 'utf8'));
+const couplingProblems = validateCouplings(couplings);
+if (couplingProblems.length === 0) {
+  console.log(`  ✓ PASS: ${couplings.length} couplings, no problems`);
+} else {
+  console.log(`  ✗ FAIL: ${formatProblems(couplingProblems).join('; ')}`);
+}
+
+// Test 11: Broken couplings are reported
+console.log('\nTest 11: Broken couplings are reported');
+const brokenCouplings = validateCouplings([
+  { id: 'no-threshold', label: 'Missing threshold', source: 'stability', effects: { cohesion: -1 } },
+  { id: 'bad-source', label: 'Unknown source', source: 'morale', below: 20, effects: { cohesion: -1 } },
+  { id: 'bad-effect', label: 'Unknown target', source: 'ecology', above: 60, effects: { ecolgy: 1 } }
+]);
+const brokenFields = brokenCouplings.map(p => `${p.cardId}.${p.field}`).join(',');
+if (brokenFields === 'no-threshold.below,bad-source.source,bad-effect.effects.ecolgy') {
+  console.log(`  ✓ PASS: ${formatProblems(brokenCouplings).join('; ')}`);
+} else {
+  console.log(`  ✗ FAIL: Got ${brokenFields}`);
+}
+
+// Test 12: Conditions are checked
+console.log('\nTest 12: Card conditions are checked');
+expectProblem('Unknown variable', { ...validCard, requires: [{ variable: 'morale', below: 20 }] }, 'requires[0].variable');
+expectProblem('Two kinds at once', { ...validCard, requires: [{ turn: 3, played: 'x' }] }, 'requires[0]');
+expectProblem('Turn 0', { ...validCard, requires: [{ turn: 0 }] }, 'requires[0].turn');
+expectProblem('Conditional without effects', { ...validCard, conditional: [{ if: { turn: 2 } }] }, 'conditional[0].effects');
+const dangling = validateCardPool([{ ...validCard, requires: [{ played: 'missing-card' }] }]);
+if (dangling.length === 1 && dangling[0].field === 'requires[0].played') {
+  console.log(`  ✓ PASS: ${formatProblems(dangling)[0]}`);
+} else {
+  console.log('  ✗ FAIL: Unknown prerequisite card not reported');
+}
+
+// Test 13: Era lists are checked
+console.log('\nTest 13: Card eras are checked');
+expectProblem('Unknown era', { ...validCard, eras: ['stone-age'] }, 'eras');
+expectProblem('Empty era list', { ...validCard, eras: [] }, 'eras');
+const thinEra = validateCardPool([
+  { ...validCard, id: 'a', eras: ['industrial'] },
+  { ...validCard, id: 'b' },
+  { ...validCard, id: 'c' },
+  { ...validCard, id: 'd', eras: ['post-scarcity'] }
+]);
+if (thinEra.length === 1 && thinEra[0].field === 'eras' && thinEra[0].message.includes('"information"')) {
+  console.log(`  ✓ PASS: ${formatProblems(thinEra)[0]}`);
+} else {
+  console.log(`  ✗ FAIL: Got ${formatProblems(thinEra).join('; ')}`);
+}
+
+// Test 14: The shipped world event table is valid
+console.log('\nTest 14: events.json passes validation');
+const events = JSON.parse(fs.readFileSync(path.join(__dirname, 'events.json'), 'utf8'));
+const eventProblems = validateEvents(events);
+if (eventProblems.length === 0) {
+  console.log(`  ✓ PASS: ${events.length} events, no problems`);
+} else {
+  console.log(`  ✗ FAIL: ${formatProblems(eventProblems).join('; ')}`);
+}
+
+// Test 15: Broken events are reported
+console.log('\nTest 15: Broken events are reported');
+const validEvent = { id: 'flood', title: 'Flood', desc: 'Rivers burst their banks', chance: 0.5, effects: { ecology: -3 } };
+const brokenEvents = validateEvents([
+  { ...validEvent, id: 'no-chance', chance: 0 },
+  { ...validEvent, id: 'bad-condition', requires: [{ variable: 'morale', below: 20 }] },
+  { ...validEvent, id: 'bad-effect', effects: { ecolgy: 1 } },
+  { ...validEvent, id: 'too-likely', chance: 0.9 }
+]);
+const brokenEventFields = brokenEvents.map(p => `${p.cardId}.${p.field}`).join(',');
+if (brokenEventFields === 'no-chance.chance,bad-condition.requires[0].variable,bad-effect.effects.ecolgy,(events).chance') {
+  console.log(`  ✓ PASS: ${formatProblems(brokenEvents).join('; ')}`);
+} else {
+  console.log(`  ✗ FAIL: Got ${brokenEventFields}`);
+}
+
+// Test 16: Stories are checked, including their choices and unlocks
+console.log('\nTest 16: stories.json passes validation and broken stories are reported');
+const stories = JSON.parse(fs.readFileSync(path.join(__dirname, 'stories.json'), 'utf8'));
+const validStory = {
+  id: 'fork',
+  title: 'Fork',
+  prompt: 'Two roads lie ahead',
+  chance: 0.2,
+  choices: [{ label: 'Left', effects: { ecology: 1 } }, { label: 'Right', effects: { cohesion: 1 } }]
+};
+const brokenStories = validateStories([
+  validStory,
+  { ...validStory, id: 'one-choice', choices: [validStory.choices[0]] },
+  { ...validStory, id: 'bad-choice', choices: [validStory.choices[0], { label: '', effects: { morale: 1 } }] },
+  { ...validStory, id: 'bad-unlock', choices: [{ ...validStory.choices[0], unlocks: ['fork'] }, validStory.choices[1]] }
+]);
+const brokenStoryFields = brokenStories.map(p => `${p.cardId}.${p.field}`).join(',');
+const storyProblems = validateStories(stories);
+if (storyProblems.length === 0 &&
+    brokenStoryFields === 'one-choice.choices,bad-choice.choices[1].label,bad-choice.choices[1].effects.morale,' +
+      'bad-unlock.choices[0].unlocks') {
+  console.log(`  ✓ PASS: ${stories.length} stories valid; ${formatProblems(brokenStories).join('; ')}`);
+} else {
+  console.log(`  ✗ FAIL: Got ${formatProblems(storyProblems).join('; ')} / ${brokenStoryFields}`);
+}
+
+// Test 17: Achievements are checked, including their conditions
+console.log('\nTest 17: achievements.json passes validation and broken achievements are reported');
+const achievements = JSON.parse(fs.readFileSync(path.join(__dirname, 'achievements.json'), 'utf8'));
+const validAchievement = { id: 'win', title: 'Win', desc: 'Win a run', on: 'end', when: [{ run: 'outcome', is: 'victory' }] };
+const brokenAchievements = validateAchievements([
+  validAchievement,
+  { ...validAchievement, id: 'bad-trigger', on: 'start' },
+  { ...validAchievement, id: 'no-conditions', when: [] },
+  { ...validAchievement, id: 'bad-fact', when: [{ stat: 'luck', atLeast: 1 }, { run: 'turns' }] },
+  { ...validAchievement, id: 'bad-variable', when: [{ variable: 'morale', above: 90 }] },
+  { ...validAchievement }
+]);
+const brokenAchievementFields = brokenAchievements.map(p => `${p.cardId}.${p.field}`).join(',');
+const achievementProblems = validateAchievements(achievements);
+if (achievementProblems.length === 0 &&
+    brokenAchievementFields === 'bad-trigger.on,no-conditions.when,bad-fact.when[0].stat,bad-fact.when[1].is,' +
+      'bad-variable.when[0].variable,win.id') {
+  console.log(`  ✓ PASS: ${achievements.length} achievements valid; ${formatProblems(brokenAchievements).join('; ')}`);
+} else {
+  console.log(`  ✗ FAIL: Got ${formatProblems(achievementProblems).join('; ')} / ${brokenAchievementFields}`);
+}
+
+console.log('\n✓ All validation tests completed');
@@ -0,0 +1,190 @@
+/**
+ * Test suite for the visuals renderer: WebGL context loss and the Canvas2D fallback
+ * Run with: node js/test-visuals.js
+ */
+
+// Minimal browser stand-ins; the 2D context counts the calls made on it
+function createCanvas() {
+  const listeners = {};
+  const calls = {};
+  const context = new Proxy({}, {
+    get: (target, key) => (key in target ? target[key] : () => { calls[key] = (calls[key] || 0) + 1; }),
+    set: (target, key, value) => { target[key] = value; return true; }
+  });
+  return {
+    style: {},
+    width: 0,
+    height: 0,
+    calls,
+    listeners,
+    getContext: () => context,
+    addEventListener: (type, listener) => { listeners[type] = listener; }
+  };
+}
+
+globalThis.window = { addEventListener: () => {}, devicePixelRatio: 1 };
+globalThis.document = {
+  addEventListener: () => {},
+  hidden: false,
+  createElement: () => createCanvas()
+};
+globalThis.gameState = { qualityMode: 'medium' };
+
+const { Canvas2DRenderer, VisualsManager } = require('./visuals.js');
+
+function createContainer() {
+  return { clientWidth: 200, clientHeight: 100, children: [], appendChild(child) { this.children.push(child); } };
+}
+
+// Uniforms as VisualsManager creates them
+function createUniforms() {
+  return new VisualsManager(createContainer()).uniforms;
+}
+
+// Three.js stand-in whose renderer canvas can lose its context
+function createThree(failRenderer = false) {
+  return {
+    Scene: function () { this.add = () => {}; },
+    Color: function () {},
+    OrthographicCamera: function () { this.position = {}; this.updateProjectionMatrix = () => {}; },
+    Vector2: function (x, y) { this.x = x; this.y = y; this.set = (a, b) => { this.x = a; this.y = b; }; },
+    Vector3: function (x, y, z) { Object.assign(this, { x, y, z }); },
+    Vector4: function (x, y, z, w) { Object.assign(this, { x, y, z, w }); },
+    WebGLRenderer: function () {
+      if (failRenderer) throw new Error('Error creating WebGL context.');
+      this.domElement = createCanvas();
+      this.setSize = () => {};
+      this.setPixelRatio = () => {};
+      this.render = () => { this.frames = (this.frames || 0) + 1; };
+    },
+    ShaderMaterial: function (options) { Object.assign(this, options); this.dispose = () => { this.disposed = true; }; },
+    PlaneGeometry: function () {},
+    Mesh: function (geometry, material) { this.material = material; }
+  };
+}
+
+// Test 1: Without Three.js the Canvas2D renderer takes over
+console.log('Test 1: Canvas2D renderer is used when Three.js is missing');
+const originalWarn = console.warn;
+const originalLog = console.log;
+console.warn = () => {};
+const noThree = new VisualsManager(createContainer());
+console.warn = originalWarn;
+noThree.updateUniforms({ ecology: 80, cohesion: 60, innovation: 40, stability: 20 });
+noThree.render();
+noThree.onWindowResize();
+noThree.updateQualityMode('high');
+const noThreeCanvas = noThree.fallback && noThree.fallback.canvas;
+if (noThree.fallbackActive && noThree.renderer === null && noThree.container.children[0] === noThreeCanvas &&
+    noThreeCanvas.calls.fillRect > 0 && noThreeCanvas.calls.stroke > 0 && noThreeCanvas.width === 100) {
+  console.log(`  ✓ PASS: Drew a frame with ${noThreeCanvas.calls.fillRect} fills and ${noThreeCanvas.calls.stroke} strokes`);
+} else {
+  console.log('  ✗ FAIL: Canvas2D renderer did not take over');
+}
+
+// Test 2: A WebGL context that cannot be created falls back too
+console.log('\nTest 2: Canvas2D renderer is used when WebGL cannot be created');
+globalThis.THREE = createThree(true);
+console.warn = () => {};
+const noWebGL = new VisualsManager(createContainer());
+console.warn = originalWarn;
+if (noWebGL.fallbackActive && noWebGL.container.children.length === 1 && noWebGL.uniforms.u_resolution.value.x === 200) {
+  console.log('  ✓ PASS: Only the Canvas2D canvas was added');
+} else {
+  console.log('  ✗ FAIL: WebGL failure was not handled');
+}
+
+// Test 3: Context loss switches to Canvas2D; restoring rebuilds the material and keeps the uniform values
+console.log('\nTest 3: Context loss and restore');
+globalThis.THREE = createThree();
+const manager = new VisualsManager(createContainer());
+const webglCanvas = manager.renderer.domElement;
+manager.fragmentShader = manager.shaderMaterial.fragmentShader = 'void main() {}'; // As if loaded from SHADER_URL
+manager.uniforms.u_victoryMorph.value = 1;
+manager.uniforms.u_palette.value.y = 0.5;
+manager.setLayerGains([0, 1, 0, 0]);
+let prevented = false;
+console.warn = () => {};
+webglCanvas.listeners.webglcontextlost({ preventDefault: () => { prevented = true; } });
+console.warn = originalWarn;
+manager.render();
+const lostOk = prevented && manager.fallbackActive && webglCanvas.style.display === 'none' &&
+  manager.fallback.canvas.calls.fillRect > 0 && !manager.renderer.frames;
+const oldMaterial = manager.shaderMaterial;
+const oldUniforms = manager.uniforms;
+console.log = () => {};
+webglCanvas.listeners.webglcontextrestored();
+console.log = originalLog;
+manager.render();
+const restoredOk = !manager.fallbackActive && webglCanvas.style.display === '' &&
+  manager.fallback.canvas.style.display === 'none' && oldMaterial.disposed && manager.mesh.material === manager.shaderMaterial &&
+  manager.shaderMaterial.fragmentShader === 'void main() {}' && manager.uniforms !== oldUniforms &&
+  manager.uniforms.u_victoryMorph.value === 1 && manager.uniforms.u_palette.value.y === 0.5 &&
+  manager.uniforms.u_layers.value.x === 0 && manager.uniforms.u_layers.value.y === 1 && manager.renderer.frames === 1;
+if (lostOk && restoredOk) {
+  console.log('  ✓ PASS: Canvas2D stood in while the context was lost; the shader and uniforms were rebuilt after');
+} else {
+  console.log(`  ✗ FAIL: Context loss handled ${lostOk}, restore handled ${restoredOk}`);
+}
+
+// Test 4: Shader loading waits while there is no context to compile against
+console.log('\nTest 4: Shader loading is skipped without a WebGL context');
+let fetched = 0;
+globalThis.fetch = async () => { fetched += 1; return { ok: true, text: async () => 'void main() {}' }; };
+(async () => {
+  const skipped = await noWebGL.loadFragmentShader();
+  if (fetched === 0 && !skipped.changed && skipped.errors.length === 0) {
+    console.log('  ✓ PASS: Nothing fetched or compiled');
+  } else {
+    console.log('  ✗ FAIL: Shader was loaded without WebGL');
+  }
+
+  // Test 5: The Canvas2D layers follow the variables and the quality mode
+  console.log('\nTest 5: Canvas2D layers follow stability and quality');
+  const countStatic = (stability, quality) => {
+    const renderer = new Canvas2DRenderer(createContainer());
+    const uniforms = createUniforms();
+    uniforms.u_stability.value = stability;
+    uniforms.u_quality.value = quality;
+    renderer.render(uniforms);
+    return renderer.canvas.calls.fillRect;
+  };
+  const steady = countStatic(1, 1);
+  const shaky = countStatic(0.1, 1);
+  const shakyLow = countStatic(0.1, 0);
+  if (shaky > steady && shakyLow < shaky) {
+    console.log(`  ✓ PASS: ${steady} fills when stable, ${shaky} when unstable, ${shakyLow} on low quality`);
+  } else {
+    console.log(`  ✗ FAIL: ${steady} / ${shaky} / ${shakyLow} fills`);
+  }
+
+  // Test 6: Every quality mode reaches the shader uniform, so Auto can step down to low
+  console.log('\nTest 6: Quality mode sets u_quality for each tier');
+  const qualityManager = new VisualsManager(createContainer());
+  const tiers = ['low', 'medium', 'high'].map(mode => {
+    gameState.qualityMode = mode;
+    qualityManager.updateUniforms({ ecology: 50, cohesion: 50, innovation: 50, stability: 50 });
+    return qualityManager.uniforms.u_quality.value;
+  });
+  gameState.qualityMode = 'medium';
+  if (tiers.join() === '0,1,2') {
+    console.log(`  ✓ PASS: low, medium and high set u_quality to ${tiers.join(', ')}`);
+  } else {
+    console.log(`  ✗ FAIL: u_quality was ${tiers.join(', ')}`);
+  }
+
+  // Test 7: Muted layers are left out of the Canvas2D drawing
+  console.log('\nTest 7: Canvas2D renderer honors the layer gains');
+  const soloStatic = new Canvas2DRenderer(createContainer());
+  const soloUniforms = createUniforms();
+  soloUniforms.u_stability.value = 0.1;
+  Object.assign(soloUniforms.u_layers.value, { x: 0, y: 0, z: 0, w: 1 });
+  soloStatic.render(soloUniforms);
+  if (!soloStatic.canvas.calls.stroke && !soloStatic.canvas.calls.arc && soloStatic.canvas.calls.fillRect > 2) {
+    console.log(`  ✓ PASS: Only the static was drawn (${soloStatic.canvas.calls.fillRect} fills, no strokes or nodes)`);
+  } else {
+    console.log('  ✗ FAIL: Muted layers were drawn');
+  }
+
+  console.log('\n✓ All visuals tests completed');
+})();
@@ -2,61 +2,39 @@
  * UI rendering and interaction
  */
 
+// Line colors of the variable charts, matching the metric bars
+const VARIABLE_COLORS = {
+  ecology: '#00ff00',
+  cohesion: '#00ffff',
+  innovation: '#0088ff',
+  stability: '#ff4444'
+};
+
 class UIManager {
   constructor() {
     this.currentCards = [];
     this.selectedCardIndex = null;
     this.systemMessages = [];
+
+    // Turn history shown in the timeline panel
+    this.timeline = null;
+    this.timelineRules = null;
+    this.timelineSelected = null; // Index of the selected turn, null to follow the newest
   }
 
   /**
    * Render the card panel with 3 cards
    * @param {Array} cards - Array of 3 card objects
+   * @param {Object} context - { state, cards } the hand was dealt from, to explain
+   *   prerequisites and mark conditional effects that currently apply (optional)
    */
-  renderCardPanel(cards) {
+  renderCardPanel(cards, context = null) {
     const cardPanel = document.getElementById('cardPanel');
     cardPanel.innerHTML = '';
     this.currentCards = cards;
 
     cards.forEach((card, index) => {
-      const cardEl = document.createElement('button');
-      cardEl.className = 'card';
-      cardEl.dataset.index = index;
-      cardEl.setAttribute('aria-label', `Card ${index + 1}: ${card.title}. ${card.desc}`);
-      cardEl.setAttribute('tabindex', '0');
-
-      const title = document.createElement('div');
-      title.className = 'card-title';
-      title.textContent = card.title;
-
-      const desc = document.createElement('div');
-      desc.className = 'card-desc';
-      desc.textContent = card.desc;
-
-      const effects = document.createElement('div');
-      effects.className = 'card-effects';
-
-      for (const [key, value] of Object.entries(card.effects)) {
-        const effectEl = document.createElement('div');
-        effectEl.className = 'effect';
-        
-        if (value > 0) {
-          effectEl.classList.add('positive');
-          effectEl.textContent = `${key}: +${Math.round(value)}`;
-        } else if (value < 0) {
-          effectEl.classList.add('negative');
-          effectEl.textContent = `${key}: ${Math.round(value)}`;
-        } else {
-          effectEl.classList.add('neutral');
-          effectEl.textContent = `${key}: 0`;
-        }
-        
-        effects.appendChild(effectEl);
-      }
-
-      cardEl.appendChild(title);
-      cardEl.appendChild(desc);
-      cardEl.appendChild(effects);
+      const cardEl = this.createCardElement(card, index, context);
 
       cardEl.addEventListener('click', () => {
         window.handleCardSelect(index);
@@ -71,12 +49,231 @@ class UIManager {
 
       cardEl.addEventListener('mouseenter', () => {
         this.highlightCard(index);
+        window.handleCardPreview(index);
       });
 
+      // Preview the card's projected effects while it is hovered or focused
+      cardEl.addEventListener('focus', () => window.handleCardPreview(index, true));
+      cardEl.addEventListener('mouseleave', () => this.hideEffectPreview());
+      cardEl.addEventListener('blur', () => this.hideEffectPreview());
+
       cardPanel.appendChild(cardEl);
     });
   }
 
+  /**
+   * Build the element for one card
+   * @param {Object} card - Card to show
+   * @param {number} index - Position of the card in its row
+   * @param {Object} context - { state, cards } to explain conditions (optional)
+   * @param {string} label - Accessible name prefix ('Card' or 'Reward')
+   * @returns {HTMLElement} Card button (without event listeners)
+   */
+  createCardElement(card, index, context = null, label = 'Card') {
+    const cardEl = document.createElement('button');
+    cardEl.className = 'card';
+    cardEl.dataset.index = index;
+    const pool = context ? context.cards : [];
+    // Prerequisites and weights explain draws from the pool, not from the player's own deck
+    const fromPool = context && !context.fromDeck;
+    const requiresText = fromPool
+      ? (card.requires || []).map(condition => describeCondition(condition, pool)).join(', ')
+      : '';
+    const conditionalText = (card.conditional || []).map(entry => this.describeConditional(entry, pool)).join('. ');
+    const echoText = (card.echoes || []).map(echo => this.describeCardEcho(echo)).join('. ');
+    const rarity = RARITIES[card.rarity] && card.rarity !== 'common' ? RARITIES[card.rarity].label : '';
+    const likelyText = fromPool
+      ? (card.weightModifiers || [])
+        .filter(modifier => modifier.multiply > 1 && checkCondition(modifier.if, context.state))
+        .map(modifier => describeCondition(modifier.if, pool))
+        .join(', ')
+      : '';
+    const details = [
+      rarity,
+      requiresText && `Offered because: ${requiresText}`,
+      likelyText && `More likely while ${likelyText}`,
+      conditionalText,
+      echoText && `Echoes: ${echoText}`
+    ].filter(Boolean);
+    cardEl.setAttribute('aria-label', `${label} ${index + 1}: ${card.title}. ${card.desc}${details.map(d => `. ${d}`).join('')}`);
+    cardEl.setAttribute('tabindex', '0');
+
+    const title = document.createElement('div');
+    title.className = 'card-title';
+    title.textContent = card.title;
+
+    const desc = document.createElement('div');
+    desc.className = 'card-desc';
+    desc.textContent = card.desc;
+
+    const effects = this.createEffectsElement(card.effects);
+
+    if (rarity) {
+      const rarityEl = document.createElement('div');
+      rarityEl.className = `card-rarity rarity-${card.rarity}`;
+      rarityEl.textContent = rarity;
+      cardEl.appendChild(rarityEl);
+    }
+
+    cardEl.appendChild(title);
+    cardEl.appendChild(desc);
+
+    // Why this card is in the hand
+    if (requiresText) {
+      const requiresEl = document.createElement('div');
+      requiresEl.className = 'card-requires';
+      requiresEl.textContent = `Unlocked: ${requiresText}`;
+      cardEl.appendChild(requiresEl);
+    }
+    if (likelyText) {
+      const likelyEl = document.createElement('div');
+      likelyEl.className = 'card-requires';
+      likelyEl.textContent = `More likely while ${likelyText}`;
+      cardEl.appendChild(likelyEl);
+    }
+
+    cardEl.appendChild(effects);
+
+    // Extra effects that depend on the state the card is played in
+    (card.conditional || []).forEach(entry => {
+      const conditionalEl = document.createElement('div');
+      conditionalEl.className = 'card-conditional';
+      if (context && checkCondition(entry.if, context.state)) {
+        conditionalEl.classList.add('active');
+      }
+      conditionalEl.textContent = this.describeConditional(entry, pool);
+      cardEl.appendChild(conditionalEl);
+    });
+
+    // Delayed and multi-turn effects
+    (card.echoes || []).forEach(echo => {
+      const echoEl = document.createElement('div');
+      echoEl.className = 'card-echo';
+      echoEl.textContent = `⟳ ${this.describeCardEcho(echo)}`;
+      cardEl.appendChild(echoEl);
+    });
+
+    return cardEl;
+  }
+
+  /**
+   * Build the effect list shown on a card or story choice
+   * @param {Object} effects - Effect per variable
+   * @returns {HTMLElement} Effects element
+   */
+  createEffectsElement(effects) {
+    const effectsEl = document.createElement('div');
+    effectsEl.className = 'card-effects';
+
+    for (const [key, value] of Object.entries(effects)) {
+      const effectEl = document.createElement('div');
+      effectEl.className = 'effect';
+
+      if (value > 0) {
+        effectEl.classList.add('positive');
+        effectEl.textContent = `${key}: +${Math.round(value)}`;
+      } else if (value < 0) {
+        effectEl.classList.add('negative');
+        effectEl.textContent = `${key}: ${Math.round(value)}`;
+      } else {
+        effectEl.classList.add('neutral');
+        effectEl.textContent = `${key}: 0`;
+      }
+
+      effectsEl.appendChild(effectEl);
+    }
+
+    return effectsEl;
+  }
+
+  /**
+   * Render a story in the card panel, one button per choice
+   * @param {Object} story - Story waiting for a choice ({ title, prompt, choices })
+   */
+  renderStoryPanel(story) {
+    const cardPanel = document.getElementById('cardPanel');
+    cardPanel.innerHTML = '';
+    this.currentCards = [];
+
+    const header = document.createElement('div');
+    header.className = 'story-header';
+    const title = document.createElement('div');
+    title.className = 'story-title';
+    title.textContent = story.title;
+    const prompt = document.createElement('p');
+    prompt.className = 'story-prompt';
+    prompt.textContent = story.prompt;
+    header.appendChild(title);
+    header.appendChild(prompt);
+    cardPanel.appendChild(header);
+
+    story.choices.forEach((choice, index) => {
+      const choiceEl = document.createElement('button');
+      choiceEl.className = 'card story-choice';
+      choiceEl.dataset.index = index;
+      choiceEl.setAttribute('aria-label', `Choice ${index + 1}: ${choice.label}. ${formatEffectList(choice.effects)}`);
+
+      const label = document.createElement('div');
+      label.className = 'card-title';
+      label.textContent = `${index + 1}. ${choice.label}`;
+      choiceEl.appendChild(label);
+      choiceEl.appendChild(this.createEffectsElement(choice.effects));
+
+      choiceEl.addEventListener('click', () => {
+        window.handleStoryChoice(index);
+      });
+      choiceEl.addEventListener('mouseenter', () => {
+        this.highlightCard(index);
+      });
+      cardPanel.appendChild(choiceEl);
+    });
+
+    setTimeout(() => {
+      const first = cardPanel.querySelector('.story-choice');
+      if (first) first.focus();
+    }, 100);
+  }
+
+  /**
+   * Describe a conditional effect of a card
+   * @param {Object} entry - Conditional entry ({ if, effects })
+   * @param {Array} cards - Card pool, to name prerequisite cards by title
+   * @returns {string} e.g. 'If Stability below 30: Cohesion -5'
+   */
+  describeConditional(entry, cards) {
+    return `If ${describeCondition(entry.if, cards)}: ${formatEffectList(entry.effects)}`;
+  }
+
+  /**
+   * Describe an echo declared by a card
+   * @param {Object} echo - Card echo ({ effects, delay, duration })
+   * @returns {string} e.g. 'Ecology +3 per turn for 4 turns'
+   */
+  describeCardEcho(echo) {
+    const delay = echo.delay !== undefined ? echo.delay : 1;
+    const duration = echo.duration !== undefined ? echo.duration : 1;
+    return `${formatEffectList(echo.effects)} ${formatEchoTiming(delay, duration)}`;
+  }
+
+  /**
+   * Render the list of pending echoes
+   * @param {Array} echoes - Pending echoes ({ title, effects, wait, remaining })
+   */
+  renderActiveEchoes(echoes) {
+    const container = document.getElementById('activeEchoes');
+    const list = document.getElementById('activeEchoesList');
+    if (!container || !list) return;
+
+    list.innerHTML = '';
+    echoes.forEach(echo => {
+      const item = document.createElement('li');
+      item.textContent = `${echo.title}: ${formatEffectList(echo.effects)} ${formatEchoTiming(echo.wait + 1, echo.remaining)}`;
+      list.appendChild(item);
+    });
+
+    container.classList.toggle('hidden', echoes.length === 0);
+  }
+
   /**
    * Highlight a card on hover/selection
    * @param {number} index - Card index
@@ -111,14 +308,344 @@ class UIManager {
     });
   }
 
+  /**
+   * Overlay a card's projected range on each metric bar
+   * @param {Object} preview - Projection from previewCard ({ ranges, couldCollapse, couldStreak, couldWin })
+   * @param {Object} rules - Rules in force (for the collapse threshold)
+   */
+  showEffectPreview(preview, rules) {
+    for (const [metric, range] of Object.entries(preview.ranges)) {
+      const ghost = document.getElementById(`${metric}Ghost`);
+      const text = document.getElementById(`${metric}Preview`);
+      const min = Math.round(range.min);
+      const max = Math.round(range.max);
+      const atRisk = range.min <= rules.collapseThreshold;
+      // ★ marks a turn that may count toward the victory streak
+      let flag = '';
+      if (atRisk) flag = ' ⚠ collapse';
+      else if (preview.couldWin) flag = ' ★ win';
+      else if (preview.couldStreak) flag = ' ★';
+
+      if (ghost) {
+        ghost.style.left = `${range.min}%`;
+        ghost.style.width = `${range.max - range.min}%`;
+        ghost.classList.toggle('collapse-risk', atRisk);
+        ghost.classList.toggle('streak', preview.couldStreak && !atRisk);
+        ghost.classList.remove('hidden');
+      }
+      if (text) {
+        text.textContent = `→ ${min === max ? min : `${min}–${max}`}${flag}`;
+        text.classList.toggle('collapse-risk', atRisk);
+        text.classList.toggle('streak', preview.couldStreak && !atRisk);
+        text.classList.remove('hidden');
+      }
+    }
+  }
+
+  /**
+   * Remove the projected ranges from the metric bars
+   */
+  hideEffectPreview() {
+    ['ecology', 'cohesion', 'innovation', 'stability'].forEach(metric => {
+      const ghost = document.getElementById(`${metric}Ghost`);
+      const text = document.getElementById(`${metric}Preview`);
+      if (ghost) ghost.classList.add('hidden');
+      if (text) text.classList.add('hidden');
+    });
+  }
+
+  /**
+   * Describe a card preview for screen readers
+   * @param {Object} preview - Projection from previewCard
+   * @returns {string} e.g. 'Ecology 42 to 58, ... Could collapse.'
+   */
+  describeEffectPreview(preview) {
+    const ranges = Object.entries(preview.ranges).map(([key, range]) => {
+      const min = Math.round(range.min);
+      const max = Math.round(range.max);
+      return `${key.charAt(0).toUpperCase() + key.slice(1)} ${min === max ? min : `${min} to ${max}`}`;
+    });
+    const flags = [];
+    if (preview.couldCollapse) flags.push('Could collapse.');
+    if (preview.couldWin) {
+      flags.push('Could win.');
+    } else if (preview.couldStreak) {
+      flags.push('Could count toward victory.');
+    }
+    return `Projected: ${ranges.join(', ')}.${flags.map(flag => ` ${flag}`).join('')}`;
+  }
+
+  /**
+   * Render the turn history: the list of past turns and the chart of the variables
+   * @param {Object} timeline - { start, turns } from getReplayTimeline
+   * @param {Object} lookup - { findCard, events, stories } to name cards, events and stories by id
+   * @param {Object} rules - Rules in force (for the victory and collapse thresholds)
+   */
+  renderTimeline(timeline, lookup, rules) {
+    const toggle = document.getElementById('timelineToggle');
+    const list = document.getElementById('timelineList');
+    if (!toggle || !list) return;
+
+    this.timeline = timeline;
+    this.timelineRules = rules;
+    const count = timeline.turns.length;
+    if (this.timelineSelected !== null && this.timelineSelected >= count) this.timelineSelected = null;
+    const hadFocus = list.contains(document.activeElement);
+
+    toggle.textContent = `Timeline (${count} ${count === 1 ? 'turn' : 'turns'})`;
+    list.innerHTML = '';
+    timeline.turns.forEach((entry, index) => {
+      const item = document.createElement('li');
+      item.id = `timelineTurn${index}`;
+      item.className = 'timeline-item';
+      item.setAttribute('role', 'option');
+      item.setAttribute('aria-label', this.describeTimelineTurn(entry, lookup));
+      if (entry.outcome === 'collapse') item.classList.add('collapse');
+      if (entry.outcome === 'victory' || entry.outcome === 'era') item.classList.add('victory');
+
+      const title = document.createElement('span');
+      title.className = 'timeline-title';
+      title.textContent = `${entry.turn}. ${lookup.findCard(entry.card).title}`;
+      item.appendChild(title);
+
+      const detail = document.createElement('span');
+      detail.className = 'timeline-detail';
+      detail.textContent = `${formatEffectList(entry.effects)} → ${this.formatTimelineVariables(entry.variables)}`;
+      item.appendChild(detail);
+
+      item.addEventListener('click', () => this.selectTimelineTurn(index, true));
+      item.addEventListener('keydown', (e) => this.handleTimelineKey(e, index));
+      list.appendChild(item);
+    });
+
+    const canvas = document.getElementById('timelineChart');
+    if (canvas) {
+      const latest = count > 0 ? timeline.turns[count - 1].variables : timeline.start;
+      canvas.setAttribute('aria-label', `Chart of the variables over ${count} ${count === 1 ? 'turn' : 'turns'}. ` +
+        `Now ${this.formatTimelineVariables(latest)}`);
+    }
+
+    this.selectTimelineTurn(this.timelineSelected, hadFocus);
+  }
+
+  /**
+   * Describe one past turn for screen readers
+   * @param {Object} entry - Timeline turn
+   * @param {Object} lookup - { findCard, events, stories }
+   * @returns {string} e.g. 'Turn 3: Solar Farms (Ecology +12). World event: Drought. Then Ecology 62, ...'
+   */
+  describeTimelineTurn(entry, lookup) {
+    const turn = entry.era !== undefined ? `Turn ${entry.turn} (era ${entry.era + 1}, turn ${entry.eraTurn})` : `Turn ${entry.turn}`;
+    const parts = [`${turn}: ${lookup.findCard(entry.card).title} (${formatEffectList(entry.effects)})`];
+
+    if (entry.event) {
+      const event = lookup.events.find(e => e.id === entry.event);
+      parts.push(`World event: ${event ? event.title : entry.event}`);
+    }
+    if (entry.story) {
+      const story = lookup.stories.find(s => s.id === entry.story.id);
+      const choice = story && story.choices[entry.story.choice];
+      parts.push(story && choice ? `${story.title}: ${choice.label}` : `Story: ${entry.story.id}`);
+    }
+    if (entry.reward && entry.reward.chosen) {
+      parts.push(`Added ${lookup.findCard(entry.reward.chosen).title} to the deck`);
+    }
+    parts.push(`Then ${this.formatTimelineVariables(entry.variables)}`);
+    if (entry.outcome === 'collapse') parts.push('Civilization collapsed');
+    if (entry.outcome === 'victory') parts.push('Golden future achieved');
+    if (entry.outcome === 'era') parts.push('Era complete');
+
+    return `${parts.join('. ')}.`;
+  }
+
+  /**
+   * List variable values as readable text
+   * @param {Object} variables - Value per variable
+   * @returns {string} e.g. 'Ecology 62, Cohesion 50, Innovation 48, Stability 55'
+   */
+  formatTimelineVariables(variables) {
+    return VARIABLES.map(key => `${key.charAt(0).toUpperCase() + key.slice(1)} ${Math.round(variables[key])}`).join(', ');
+  }
+
+  /**
+   * Move between past turns with the arrow keys
+   * @param {KeyboardEvent} e - Key event on a timeline item
+   * @param {number} index - Index of the focused turn
+   */
+  handleTimelineKey(e, index) {
+    const last = this.timeline.turns.length - 1;
+    const targets = { ArrowUp: index - 1, ArrowDown: index + 1, Home: 0, End: last };
+    if (targets[e.key] === undefined) return;
+
+    e.preventDefault();
+    this.selectTimelineTurn(clamp(targets[e.key], 0, last), true);
+  }
+
+  /**
+   * Select a past turn: mark it in the list and on the chart
+   * @param {number|null} index - Index of the turn, or null for the newest
+   * @param {boolean} focus - Move keyboard focus to it
+   */
+  selectTimelineTurn(index, focus = false) {
+    const list = document.getElementById('timelineList');
+    if (!list || !this.timeline) return;
+
+    const last = this.timeline.turns.length - 1;
+    // Selecting the newest turn keeps following new turns as they are played
+    this.timelineSelected = index === null || index >= last ? null : index;
+    const selected = this.timelineSelected === null ? last : this.timelineSelected;
+
+    Array.from(list.children).forEach((item, i) => {
+      item.setAttribute('aria-selected', String(i === selected));
+      item.tabIndex = i === selected ? 0 : -1;
+    });
+
+    const item = list.children[selected];
+    if (item && focus) {
+      item.focus();
+    } else if (this.timelineSelected === null) {
+      list.scrollTop = list.scrollHeight;
+    }
+    this.drawTimelineChart();
+  }
+
+  /**
+   * Show or hide the timeline panel
+   * @returns {boolean} True if the panel is now open
+   */
+  toggleTimeline() {
+    const toggle = document.getElementById('timelineToggle');
+    const body = document.getElementById('timelineBody');
+    if (!toggle || !body) return false;
+
+    const expanded = toggle.getAttribute('aria-expanded') !== 'true';
+    toggle.setAttribute('aria-expanded', String(expanded));
+    body.classList.toggle('hidden', !expanded);
+    if (expanded) this.selectTimelineTurn(this.timelineSelected, true);
+    return expanded;
+  }
+
+  /**
+   * Draw the variables over time on the timeline canvas, marking the selected turn
+   */
+  drawTimelineChart() {
+    if (!this.timeline) return;
+
+    const last = this.timeline.turns.length - 1;
+    // Point 0 is the start of the run
+    const marker = last < 0 ? null : (this.timelineSelected === null ? last : this.timelineSelected) + 1;
+    const points = [this.timeline.start, ...this.timeline.turns.map(entry => entry.variables)];
+    this.drawVariableChart(document.getElementById('timelineChart'), points, this.timelineRules, marker);
+  }
+
+  /**
+   * Draw variables over time on a canvas
+   * Glowing lines blend additively over black like the Time Mirror's layers
+   * @param {HTMLCanvasElement} canvas - Canvas to draw on (sized by CSS)
+   * @param {Array} points - Variables at each point in time
+   * @param {Object} rules - Rules for the victory and collapse threshold lines (optional)
+   * @param {number|null} marker - Index of the point to mark (optional)
+   */
+  drawVariableChart(canvas, points, rules = null, marker = null) {
+    if (!canvas || !canvas.getContext) return;
+
+    // Nothing to draw while the canvas is hidden
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (!width || !height) return;
+
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+    const pad = 6;
+    const x = i => pad + (points.length > 1 ? i / (points.length - 1) : 0.5) * (width - pad * 2);
+    const y = value => pad + (1 - clamp(value, 0, 100) / 100) * (height - pad * 2);
+
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, width, height);
+
+    // Quarter grid
+    ctx.strokeStyle = '#1a1a1a';
+    ctx.lineWidth = 1;
+    [25, 50, 75].forEach(value => {
+      ctx.beginPath();
+      ctx.moveTo(0, y(value));
+      ctx.lineTo(width, y(value));
+      ctx.stroke();
+    });
+
+    // Victory and collapse thresholds
+    if (rules) {
+      ctx.setLineDash([4, 4]);
+      [[rules.victoryThreshold, 'rgba(255, 215, 0, 0.5)'],
+        [rules.collapseThreshold, 'rgba(255, 68, 68, 0.5)']].forEach(([value, color]) => {
+        ctx.strokeStyle = color;
+        ctx.beginPath();
+        ctx.moveTo(0, y(value));
+        ctx.lineTo(width, y(value));
+        ctx.stroke();
+      });
+      ctx.setLineDash([]);
+    }
+
+    // One glowing line per variable
+    ctx.globalCompositeOperation = 'lighter';
+    ctx.lineWidth = 1.5;
+    ctx.lineJoin = 'round';
+    for (const [key, color] of Object.entries(VARIABLE_COLORS)) {
+      ctx.strokeStyle = color;
+      ctx.shadowColor = color;
+      ctx.shadowBlur = 6;
+      ctx.beginPath();
+      points.forEach((values, i) => {
+        if (i === 0) ctx.moveTo(x(i), y(values[key]));
+        else ctx.lineTo(x(i), y(values[key]));
+      });
+      ctx.stroke();
+    }
+    ctx.shadowBlur = 0;
+    ctx.globalCompositeOperation = 'source-over';
+
+    if (marker === null || !points[marker]) return;
+    const selected = marker;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+    ctx.beginPath();
+    ctx.moveTo(x(selected), 0);
+    ctx.lineTo(x(selected), height);
+    ctx.stroke();
+    for (const [key, color] of Object.entries(VARIABLE_COLORS)) {
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.arc(x(selected), y(points[selected][key]), 2.5, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+
   /**
    * Update turn counter
    * @param {number} turn - Current turn number
+   * @param {Object} progress - Campaign progress ({ number, turn, era }), or null outside a campaign
    */
-  updateTurnCounter(turn) {
+  updateTurnCounter(turn, progress = null) {
     const turnCounter = document.getElementById('turnCounter');
     if (turnCounter) {
-      turnCounter.textContent = `Turn: ${turn}`;
+      turnCounter.textContent = progress ? `Era ${progress.number} · Turn ${progress.turn}` : `Turn: ${turn}`;
+      turnCounter.title = progress ? `${progress.era.label} (turn ${turn} of the campaign)` : '';
+    }
+  }
+
+  /**
+   * Update seed display
+   * @param {number} seed - Seed of the current run
+   */
+  updateSeedDisplay(seed) {
+    const seedDisplay = document.getElementById('seedDisplay');
+    if (seedDisplay) {
+      seedDisplay.textContent = `Seed: ${seed}`;
     }
   }
 
@@ -139,23 +666,376 @@ class UIManager {
     }
   }
 
+  /**
+   * Show the world event that struck at the end of the turn
+   * @param {Object} event - World event ({ title, desc, effects })
+   */
+  showWorldEvent(event) {
+    const banner = document.getElementById('eventBanner');
+    if (!banner) return;
+
+    document.getElementById('eventTitle').textContent = event.title;
+    document.getElementById('eventDesc').textContent = `${event.desc}. ${formatEffectList(event.effects)}`;
+    banner.classList.remove('hidden');
+  }
+
+  /**
+   * Hide the world event banner
+   */
+  hideWorldEvent() {
+    const banner = document.getElementById('eventBanner');
+    if (banner) {
+      banner.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Show a warning about problems in the game content
+   * @param {string} message - Summary of the problem
+   * @param {Array} details - Detail lines (only the first few are listed)
+   */
+  showContentWarning(message, details = []) {
+    const warning = document.getElementById('contentWarning');
+    if (!warning) return;
+
+    warning.innerHTML = '';
+
+    const summary = document.createElement('div');
+    summary.textContent = message;
+    warning.appendChild(summary);
+
+    if (details.length > 0) {
+      const list = document.createElement('ul');
+      details.slice(0, 5).forEach(line => {
+        const item = document.createElement('li');
+        item.textContent = line;
+        list.appendChild(item);
+      });
+      if (details.length > 5) {
+        const more = document.createElement('li');
+        more.textContent = `…and ${details.length - 5} more (see console)`;
+        list.appendChild(more);
+      }
+      warning.appendChild(list);
+    }
+
+    const dismiss = document.createElement('button');
+    dismiss.className = 'btn btn-secondary';
+    dismiss.textContent = 'Dismiss';
+    dismiss.addEventListener('click', () => this.hideContentWarning());
+    warning.appendChild(dismiss);
+
+    warning.classList.remove('hidden');
+  }
+
+  /**
+   * Hide the content warning banner
+   */
+  hideContentWarning() {
+    const warning = document.getElementById('contentWarning');
+    if (warning) warning.classList.add('hidden');
+  }
+
   /**
    * Show victory screen
+   * @param {string} summary - End-of-game text (keeps the default text if omitted)
+   * @param {string} difficultyLabel - Difficulty the run was played on
+   * @param {Object} run - { stats, rules, lookup } for the run summary (keeps the previous one if omitted)
    */
-  showVictoryScreen() {
+  showVictoryScreen(summary = null, difficultyLabel = null, run = null) {
+    this.fillEndScreen('victory', summary, difficultyLabel, run);
     const screen = document.getElementById('victoryScreen');
     if (screen) {
       screen.classList.remove('hidden');
+      // The chart needs the screen laid out to know its size
+      if (run) this.drawVariableChart(document.getElementById('victoryChart'), run.stats.points, run.rules);
     }
   }
 
   /**
    * Show game over screen
+   * @param {string} summary - End-of-game text (keeps the default text if omitted)
+   * @param {string} difficultyLabel - Difficulty the run was played on
+   * @param {Object} run - { stats, rules, lookup } for the run summary (keeps the previous one if omitted)
    */
-  showGameOverScreen() {
+  showGameOverScreen(summary = null, difficultyLabel = null, run = null) {
+    this.fillEndScreen('gameOver', summary, difficultyLabel, run);
     const screen = document.getElementById('gameOverScreen');
     if (screen) {
       screen.classList.remove('hidden');
+      if (run) this.drawVariableChart(document.getElementById('gameOverChart'), run.stats.points, run.rules);
+    }
+  }
+
+  /**
+   * Fill the text of a victory/game over screen
+   * @param {string} prefix - Element id prefix ('victory' or 'gameOver')
+   * @param {string} summary - End-of-game text
+   * @param {string} difficultyLabel - Difficulty the run was played on
+   * @param {Object} run - { stats, rules, lookup } for the run summary (optional)
+   */
+  fillEndScreen(prefix, summary, difficultyLabel, run = null) {
+    const message = document.getElementById(`${prefix}Message`);
+    const difficulty = document.getElementById(`${prefix}Difficulty`);
+    if (message && summary) message.textContent = summary;
+    if (difficulty && difficultyLabel) difficulty.textContent = `Difficulty: ${difficultyLabel}`;
+
+    const container = document.getElementById(`${prefix}Summary`);
+    const stats = document.getElementById(`${prefix}Stats`);
+    if (!run || !container || !stats) return;
+
+    stats.innerHTML = '';
+    this.describeRunSummary(run.stats, run.lookup, run.rules).forEach(([label, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const detail = document.createElement('dd');
+      detail.textContent = value;
+      stats.appendChild(term);
+      stats.appendChild(detail);
+    });
+    container.classList.remove('hidden');
+  }
+
+  /**
+   * Describe a finished run as labelled lines
+   * @param {Object} stats - Run summary from summarizeReplay
+   * @param {Object} lookup - { findCard } to name cards by id
+   * @param {Object} rules - Rules in force at the end of the run (for the victory threshold)
+   * @returns {Array} [label, value] pairs
+   */
+  describeRunSummary(stats, lookup, rules) {
+    const name = key => key.charAt(0).toUpperCase() + key.slice(1);
+    const values = extreme => VARIABLES.map(key => `${name(key)} ${Math.round(extreme[key].value)}`).join(', ');
+
+    const lines = [[stats.outcome === 'collapse' ? 'Turns survived' : 'Turns played', String(stats.turns)]];
+    if (stats.collapsed.length > 0) {
+      lines.push(['Collapsed', `${stats.collapsed.map(name).join(' and ')} on turn ${stats.turns}`]);
+    }
+    const streak = `${stats.bestStreak} ${stats.bestStreak === 1 ? 'turn' : 'turns'} at ${rules.victoryThreshold}+`;
+    lines.push([stats.outcome === 'victory' ? 'Victory streak' : 'Best streak', streak]);
+    lines.push(['Peak', values(stats.peak)]);
+    lines.push(['Lowest', values(stats.low)]);
+    if (stats.mostPlayed.length > 0) {
+      lines.push(['Most played', stats.mostPlayed.map(entry => `${lookup.findCard(entry.card).title} ×${entry.count}`).join(', ')]);
+    }
+    if (stats.biggestSwing) {
+      const swing = stats.biggestSwing;
+      const amount = Math.round(swing.amount);
+      lines.push(['Biggest swing', `${name(swing.variable)} ${amount > 0 ? '+' : ''}${amount} ` +
+        `after ${lookup.findCard(swing.card).title} (turn ${swing.turn})`]);
+    }
+    return lines;
+  }
+
+  /**
+   * Build shareable text for a finished run
+   * @param {Object} stats - Run summary from summarizeReplay
+   * @param {Object} lookup - { findCard } to name cards by id
+   * @param {Object} rules - Rules in force at the end of the run
+   * @param {string} difficultyLabel - Difficulty the run was played on
+   * @returns {string} Multi-line summary
+   */
+  formatRunSummaryText(stats, lookup, rules, difficultyLabel) {
+    const outcome = stats.outcome === 'victory' ? 'Golden Future achieved' : 'Civilization collapsed';
+    return [
+      `Echoes of Tomorrow: ${outcome} on ${difficultyLabel} (seed ${stats.seed})`,
+      ...this.describeRunSummary(stats, lookup, rules).map(([label, value]) => `${label}: ${value}`)
+    ].join('\n');
+  }
+
+  /**
+   * Fill a select with the available presets (difficulties, modes)
+   * @param {string} selectId - Id of the select element
+   * @param {Object} presets - Presets by id ({ label })
+   * @param {string} selected - Id of the selected preset
+   */
+  renderSelectOptions(selectId, presets, selected) {
+    const select = document.getElementById(selectId);
+    if (!select) return;
+
+    select.innerHTML = '';
+    for (const [id, preset] of Object.entries(presets)) {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = preset.label;
+      option.selected = id === selected;
+      select.appendChild(option);
+    }
+  }
+
+  /**
+   * Show the deck-building piles below the hand (hidden in classic mode)
+   * @param {Object|null} deck - { draw, discard } card ids, or null outside deck-building
+   * @param {number} handSize - Cards currently in hand
+   */
+  renderDeckStatus(deck, handSize) {
+    const status = document.getElementById('deckStatus');
+    const summary = document.getElementById('deckSummary');
+    if (!status || !summary) return;
+
+    status.classList.toggle('hidden', !deck);
+    if (!deck) return;
+
+    const total = deck.draw.length + deck.discard.length + handSize;
+    summary.textContent = `Deck: ${total} cards · ${deck.draw.length} to draw · ${deck.discard.length} discarded`;
+  }
+
+  /**
+   * Show the deck viewer
+   * The draw pile is listed alphabetically so its order stays hidden
+   * @param {Object} piles - { hand, draw, discard } arrays of cards
+   */
+  showDeckScreen(piles) {
+    const screen = document.getElementById('deckScreen');
+    if (!screen) return;
+
+    const sections = [
+      ['deckHandList', piles.hand],
+      ['deckDrawList', [...piles.draw].sort((a, b) => a.title.localeCompare(b.title))],
+      ['deckDiscardList', piles.discard]
+    ];
+    sections.forEach(([id, cards]) => {
+      const list = document.getElementById(id);
+      if (!list) return;
+      list.innerHTML = '';
+      if (cards.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'deck-empty';
+        empty.textContent = 'Empty';
+        list.appendChild(empty);
+      }
+      cards.forEach(card => {
+        const item = document.createElement('li');
+        const effects = formatEffectList(card.effects);
+        item.textContent = effects ? `${card.title} (${effects})` : card.title;
+        list.appendChild(item);
+      });
+    });
+
+    screen.classList.remove('hidden');
+    setTimeout(() => {
+      const closeBtn = document.getElementById('deckCloseBtn');
+      if (closeBtn) closeBtn.focus();
+    }, 100);
+  }
+
+  /**
+   * Hide the deck viewer
+   */
+  hideDeckScreen() {
+    const screen = document.getElementById('deckScreen');
+    if (screen) {
+      screen.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Show the reward choice for a deck-building run
+   * @param {Array} cards - Offered cards
+   * @param {Object} context - { state, cards } to explain conditions
+   */
+  showRewardScreen(cards, context) {
+    const screen = document.getElementById('rewardScreen');
+    const container = document.getElementById('rewardCards');
+    if (!screen || !container) return;
+
+    container.innerHTML = '';
+    cards.forEach((card, index) => {
+      const cardEl = this.createCardElement(card, index, context, 'Reward');
+      cardEl.addEventListener('click', () => {
+        window.handleRewardSelect(index);
+      });
+      container.appendChild(cardEl);
+    });
+
+    screen.classList.remove('hidden');
+    setTimeout(() => {
+      const first = container.querySelector('.card');
+      if (first) first.focus();
+    }, 100);
+  }
+
+  /**
+   * Hide the reward choice
+   */
+  hideRewardScreen() {
+    const screen = document.getElementById('rewardScreen');
+    if (screen) {
+      screen.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Show the interstitial for a new campaign era
+   * @param {Object} progress - Campaign progress of the new era ({ number, era })
+   * @param {Object} rules - Rules in force during the era
+   * @param {Object} variables - Variables carried over from the previous era
+   */
+  showEraScreen(progress, rules, variables) {
+    const screen = document.getElementById('eraScreen');
+    const title = document.getElementById('eraTitle');
+    const desc = document.getElementById('eraDesc');
+    const carried = document.getElementById('eraCarried');
+    const goal = document.getElementById('eraGoal');
+
+    if (title) title.textContent = `Era ${progress.number}: ${progress.era.label}`;
+    if (desc) desc.textContent = progress.era.desc;
+    if (carried) {
+      const values = Object.entries(variables)
+        .map(([key, value]) => `${key.charAt(0).toUpperCase() + key.slice(1)} ${Math.round(value)}`);
+      carried.textContent = `Your world carries over: ${values.join(' · ')}`;
+    }
+    if (goal) {
+      const finish = progress.final ? 'to complete the campaign' : 'to move on';
+      goal.textContent = `Hold every variable at ${rules.victoryThreshold} or higher for ${rules.victoryTurns} turns ${finish}.`;
+    }
+    if (screen) {
+      screen.classList.remove('hidden');
+      setTimeout(() => {
+        const continueBtn = document.getElementById('eraContinueBtn');
+        if (continueBtn) continueBtn.focus();
+      }, 100);
+    }
+  }
+
+  /**
+   * Hide the era interstitial
+   */
+  hideEraScreen() {
+    const screen = document.getElementById('eraScreen');
+    if (screen) {
+      screen.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Show the prompt to continue a saved game
+   * @param {number} turn - Turn the saved run reached
+   * @param {number} seed - Seed of the saved run
+   * @param {string} difficultyLabel - Difficulty of the saved run
+   */
+  showContinueScreen(turn, seed, difficultyLabel) {
+    const screen = document.getElementById('continueScreen');
+    const details = document.getElementById('continueDetails');
+    if (details) {
+      details.textContent = `You have a ${difficultyLabel} run in progress at turn ${turn} (seed ${seed}).`;
+    }
+    if (screen) {
+      screen.classList.remove('hidden');
+      setTimeout(() => {
+        const continueBtn = document.getElementById('continueBtn');
+        if (continueBtn) continueBtn.focus();
+      }, 100);
+    }
+  }
+
+  /**
+   * Hide the continue prompt
+   */
+  hideContinueScreen() {
+    const screen = document.getElementById('continueScreen');
+    if (screen) {
+      screen.classList.add('hidden');
     }
   }
 
@@ -168,17 +1048,148 @@ class UIManager {
     
     if (victoryScreen) victoryScreen.classList.add('hidden');
     if (gameOverScreen) gameOverScreen.classList.add('hidden');
+    this.hideRewardScreen();
+    this.hideDeckScreen();
+    this.hideEraScreen();
+  }
+
+  /**
+   * Show replay playback controls
+   */
+  showReplayControls() {
+    const controls = document.getElementById('replayControls');
+    if (controls) {
+      controls.classList.remove('hidden');
+    }
+  }
+
+  /**
+   * Hide replay playback controls
+   */
+  hideReplayControls() {
+    const controls = document.getElementById('replayControls');
+    if (controls) {
+      controls.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Update replay playback status
+   * @param {number} position - Turns shown so far
+   * @param {number} total - Turns in the replay
+   * @param {boolean} isPlaying - Is playback running
+   */
+  updateReplayStatus(position, total, isPlaying) {
+    const status = document.getElementById('replayStatus');
+    const playBtn = document.getElementById('replayPlayBtn');
+    const stepBtn = document.getElementById('replayStepBtn');
+
+    if (status) status.textContent = `Replay · Turn ${position} / ${total}`;
+    if (playBtn) {
+      playBtn.textContent = isPlaying ? 'Pause' : 'Play';
+      playBtn.disabled = position >= total;
+    }
+    if (stepBtn) stepBtn.disabled = position >= total;
   }
 
   /**
    * Update quality mode display
    * @param {string} mode - Quality mode ('low', 'medium', 'high')
+   * @param {boolean} auto - Whether Auto picked the mode from frame times
    */
-  updateQualityDisplay(mode) {
+  updateQualityDisplay(mode, auto = false) {
     const btn = document.getElementById('qualityToggle');
     if (btn) {
       const modeLabel = mode.charAt(0).toUpperCase() + mode.slice(1);
-      btn.textContent = `Quality: ${modeLabel}`;
+      btn.textContent = auto ? `Quality: Auto (${modeLabel})` : `Quality: ${modeLabel}`;
+    }
+  }
+
+  /**
+   * Update world dynamics button display
+   * @param {boolean} enabled - Whether world dynamics are selected
+   */
+  updateDynamicsDisplay(enabled) {
+    const btn = document.getElementById('dynamicsToggle');
+    if (btn) {
+      btn.textContent = `World: ${enabled ? 'Dynamic' : 'Static'}`;
+      btn.setAttribute('aria-pressed', String(enabled));
+    }
+  }
+
+  /**
+   * Update world events button display
+   * @param {boolean} enabled - Whether the next run has world events
+   */
+  updateEventsDisplay(enabled) {
+    const btn = document.getElementById('eventsToggle');
+    if (btn) {
+      btn.textContent = `Events: ${enabled ? 'On' : 'Off'}`;
+      btn.setAttribute('aria-pressed', String(enabled));
+    }
+  }
+
+  /**
+   * Update stories button display
+   * @param {boolean} enabled - Whether the next run tells stories
+   */
+  updateStoriesDisplay(enabled) {
+    const btn = document.getElementById('storiesToggle');
+    if (btn) {
+      btn.textContent = `Stories: ${enabled ? 'On' : 'Off'}`;
+      btn.setAttribute('aria-pressed', String(enabled));
+    }
+  }
+
+  /**
+   * Update casual play button display
+   * @param {boolean} enabled - Whether the next run allows undoing turns
+   */
+  updateCasualDisplay(enabled) {
+    const btn = document.getElementById('casualToggle');
+    if (btn) {
+      btn.textContent = `Casual: ${enabled ? 'On' : 'Off'}`;
+      btn.setAttribute('aria-pressed', String(enabled));
+    }
+  }
+
+  /**
+   * Update the undo button
+   * @param {boolean} visible - Whether the current run is casual
+   * @param {number} available - Turns that can be undone right now
+   */
+  updateUndoDisplay(visible, available) {
+    const btn = document.getElementById('undoBtn');
+    if (btn) {
+      btn.classList.toggle('hidden', !visible);
+      btn.disabled = available === 0;
+      btn.textContent = available > 0 ? `Undo (${available})` : 'Undo';
+    }
+  }
+
+  /**
+   * Update campaign button display
+   * @param {boolean} enabled - Whether the next run is a campaign
+   */
+  updateCampaignDisplay(enabled) {
+    const btn = document.getElementById('campaignToggle');
+    if (btn) {
+      btn.textContent = `Campaign: ${enabled ? 'On' : 'Off'}`;
+      btn.setAttribute('aria-pressed', String(enabled));
+    }
+  }
+
+  /**
+   * Update clip buffer button display
+   * @param {boolean} enabled - Whether the last seconds are kept for a clip
+   * @param {boolean} supported - Whether the browser can record clips
+   */
+  updateClipBufferDisplay(enabled, supported = true) {
+    const btn = document.getElementById('clipBufferToggle');
+    if (btn) {
+      btn.textContent = `Clip Buffer: ${enabled ? 'On' : 'Off'}`;
+      btn.setAttribute('aria-pressed', String(enabled));
+      btn.disabled = !supported;
     }
   }
 
@@ -219,6 +1230,108 @@ class UIManager {
     }
   }
 
+  /**
+   * Show lifetime statistics and achievements
+   * @param {Object} profile - Player profile ({ stats, achievements })
+   * @param {Array} achievements - Achievement table
+   * @param {Object} lookup - { findCard } to name cards by id
+   */
+  showStatsScreen(profile, achievements, lookup) {
+    const screen = document.getElementById('statsScreen');
+    const statsList = document.getElementById('statsList');
+    const achievementsList = document.getElementById('achievementsList');
+    if (!screen || !statsList || !achievementsList) return;
+
+    const stats = profile.stats;
+    const name = key => key.charAt(0).toUpperCase() + key.slice(1);
+    const causes = Object.entries(stats.collapsesBy).sort((a, b) => b[1] - a[1]);
+    const favourites = Object.entries(stats.cardsPlayed).sort((a, b) => b[1] - a[1]).slice(0, 3);
+    const lines = [
+      ['Games', String(stats.games)],
+      ['Wins', stats.games > 0 ? `${stats.wins} (${Math.round(stats.wins / stats.games * 100)}%)` : '0'],
+      ['Collapses', String(stats.collapses)],
+      ['Collapsed by', causes.length > 0 ? causes.map(([key, count]) => `${name(key)} ×${count}`).join(', ') : '—'],
+      ['Fastest victory', stats.fastestVictory === null ? '—' : `${stats.fastestVictory} turns`],
+      ['Longest survival', `${stats.longestSurvival} turns`],
+      ['Turns played', String(stats.turns)],
+      ['Most played', favourites.length > 0
+        ? favourites.map(([id, count]) => `${lookup.findCard(id).title} ×${count}`).join(', ')
+        : '—']
+    ];
+
+    statsList.innerHTML = '';
+    lines.forEach(([label, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const detail = document.createElement('dd');
+      detail.textContent = value;
+      statsList.appendChild(term);
+      statsList.appendChild(detail);
+    });
+
+    const earned = achievements.filter(achievement => profile.achievements[achievement.id]).length;
+    const heading = document.getElementById('achievementsHeading');
+    if (heading) heading.textContent = `Achievements (${earned} / ${achievements.length})`;
+
+    achievementsList.innerHTML = '';
+    achievements.forEach(achievement => {
+      const unlockedAt = profile.achievements[achievement.id];
+      const item = document.createElement('li');
+      item.className = unlockedAt ? 'achievement unlocked' : 'achievement';
+      const title = document.createElement('strong');
+      title.textContent = achievement.title;
+      const desc = document.createElement('span');
+      desc.textContent = unlockedAt
+        ? `${achievement.desc} · ${new Date(unlockedAt).toLocaleDateString()}`
+        : achievement.desc;
+      item.appendChild(title);
+      item.appendChild(desc);
+      item.setAttribute('aria-label', `${achievement.title}: ${achievement.desc}. ${unlockedAt ? 'Unlocked' : 'Locked'}.`);
+      achievementsList.appendChild(item);
+    });
+
+    screen.classList.remove('hidden');
+    const closeBtn = document.getElementById('statsCloseBtn');
+    if (closeBtn) closeBtn.focus();
+  }
+
+  /**
+   * Hide the statistics screen
+   */
+  hideStatsScreen() {
+    const screen = document.getElementById('statsScreen');
+    if (screen) {
+      screen.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Briefly show a notification for an unlocked achievement
+   * @param {Object} achievement - Achievement ({ title, desc })
+   */
+  showAchievementToast(achievement) {
+    const container = document.getElementById('toastContainer');
+    if (!container) return;
+
+    const toast = document.createElement('div');
+    toast.className = 'toast';
+    const label = document.createElement('span');
+    label.className = 'toast-label';
+    label.textContent = 'Achievement unlocked';
+    const title = document.createElement('strong');
+    title.textContent = achievement.title;
+    const desc = document.createElement('p');
+    desc.textContent = achievement.desc;
+    toast.appendChild(label);
+    toast.appendChild(title);
+    toast.appendChild(desc);
+    container.appendChild(toast);
+
+    setTimeout(() => {
+      if (toast.parentNode === container) container.removeChild(toast);
+    }, 4000);
+  }
+
   /**
    * Update metric ARIA attributes
    * @param {Object} variables - Variables object
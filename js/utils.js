@@ -3,13 +3,77 @@
  */
 
 /**
- * Seeded random number generator for reproducible demos
- * @param {number} seed - Seed value
- * @returns {number} Random number between 0 and 1
+ * Seedable pseudo-random number stream (mulberry32)
+ * Every random roll in a run is pulled from one stream so a seed replays the run exactly
  */
-function seededRandom(seed) {
-  const x = Math.sin(seed) * 10000;
-  return x - Math.floor(x);
+class RandomStream {
+  /**
+   * @param {number} seed - 32-bit unsigned seed
+   */
+  constructor(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Get the next random number in the stream
+   * @returns {number} Random number in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Get a random number within a range
+   * @param {number} min - Minimum value (inclusive)
+   * @param {number} max - Maximum value (exclusive)
+   * @returns {number} Random number in [min, max)
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Get a random integer index
+   * @param {number} max - Upper bound (exclusive)
+   * @returns {number} Integer in [0, max)
+   */
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+}
+
+/**
+ * Create a fresh random seed for a new run
+ * @returns {number} 32-bit unsigned seed
+ */
+function createSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Parse a seed from user input (e.g. the ?seed= URL parameter)
+ * Numeric strings are used as-is, any other text is hashed (FNV-1a)
+ * @param {string|number} value - Seed input
+ * @returns {number|null} 32-bit unsigned seed, or null if input is empty
+ */
+function parseSeed(value) {
+  if (value === null || value === undefined) return null;
+
+  const text = String(value).trim();
+  if (text === '') return null;
+  if (/^\d+$/.test(text)) return Number(text) >>> 0;
+
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
 }
 
 /**
@@ -43,14 +107,30 @@ function normalize(value) {
 
 /**
  * Draw a random card from the pool, excluding specified cards
+ * With equal weights this picks exactly as a uniform draw would
  * @param {Array} cardPool - Array of card objects
  * @param {Array} exclude - Array of card IDs to exclude
+ * @param {RandomStream} rng - Random stream to draw from (Math.random if omitted)
+ * @param {Function} weightOf - (card) => relative draw weight (uniform if omitted)
  * @returns {Object} Random card object
  */
-function drawCard(cardPool, exclude = []) {
+function drawCard(cardPool, exclude = [], rng = null, weightOf = null) {
   const available = cardPool.filter(card => !exclude.includes(card.id));
   if (available.length === 0) return null;
-  return available[Math.floor(Math.random() * available.length)];
+  const roll = rng ? rng.next() : Math.random();
+  if (!weightOf) return available[Math.floor(roll * available.length)];
+
+  const weights = available.map(card => Math.max(0, weightOf(card)));
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  if (total <= 0) return null;
+
+  let target = roll * total;
+  for (let i = 0; i < available.length; i++) {
+    if (target < weights[i]) return available[i];
+    target -= weights[i];
+  }
+  // Floating-point leftovers land on the last drawable card
+  return available[weights.map(w => w > 0).lastIndexOf(true)];
 }
 
 /**
@@ -77,6 +157,82 @@ function formatMessage(card, effects) {
   return messages.slice(0, 2).join('. ') || 'Echo sent.';
 }
 
+/**
+ * Describe a card condition
+ * @param {Object} condition - { variable, below|above }, { turn } or { played }
+ * @param {Array} cards - Card pool, to name prerequisite cards by title
+ * @returns {string} e.g. 'Stability below 30', 'from turn 5' or 'after Peace Talks'
+ */
+function describeCondition(condition, cards = []) {
+  if (condition.variable !== undefined) {
+    const name = condition.variable.charAt(0).toUpperCase() + condition.variable.slice(1);
+    if (condition.below !== undefined && condition.above !== undefined) {
+      return `${name} between ${condition.above} and ${condition.below}`;
+    }
+    return condition.below !== undefined ? `${name} below ${condition.below}` : `${name} above ${condition.above}`;
+  }
+  if (condition.turn !== undefined) return `from turn ${condition.turn}`;
+
+  const card = cards.find(c => c.id === condition.played);
+  return `after ${card ? card.title : condition.played}`;
+}
+
+/**
+ * Describe the passive drift applied at the end of a turn
+ * @param {Object} drift - Total drift per variable
+ * @param {Array} couplings - World dynamics couplings that fired ({ label })
+ * @returns {string} Drift message, or '' when nothing drifted
+ */
+function formatDrift(drift, couplings = []) {
+  const changes = formatEffectList(drift);
+  if (!changes) return '';
+
+  const causes = couplings.length > 0 ? ` (${couplings.map(c => c.label).join('; ')})` : '';
+  return `Drift: ${changes}${causes}`;
+}
+
+/**
+ * List effects as readable text
+ * @param {Object} effects - Effect per variable
+ * @returns {string} e.g. 'Ecology +3, Stability -1.5' ('' when empty)
+ */
+function formatEffectList(effects) {
+  return Object.entries(effects).map(([key, value]) => {
+    const rounded = Math.round(value * 10) / 10;
+    return `${key.charAt(0).toUpperCase() + key.slice(1)} ${rounded > 0 ? '+' : ''}${rounded}`;
+  }).join(', ');
+}
+
+/**
+ * Describe when an echo lands
+ * @param {number} turnsUntil - Turns until the first landing (0 = this turn, 1 = next turn)
+ * @param {number} landings - Number of turns it lands on
+ * @returns {string} e.g. 'in 3 turns' or 'per turn for 4 turns'
+ */
+function formatEchoTiming(turnsUntil, landings) {
+  const start = turnsUntil === 0 ? 'now' : turnsUntil === 1 ? 'next turn' : `in ${turnsUntil} turns`;
+  if (landings <= 1) return start;
+  return turnsUntil <= 1 ? `per turn for ${landings} turns` : `per turn for ${landings} turns, starting ${start}`;
+}
+
+/**
+ * Describe the echoes that landed this turn
+ * @param {Array} echoes - Landed echoes ({ title, effects })
+ * @returns {string} Echo message, or '' when none landed
+ */
+function formatEchoes(echoes) {
+  if (echoes.length === 0) return '';
+
+  const total = {};
+  echoes.forEach(echo => {
+    for (const [key, value] of Object.entries(echo.effects)) {
+      total[key] = (total[key] || 0) + value;
+    }
+  });
+  const titles = [...new Set(echoes.map(echo => echo.title))];
+  return `Echoes: ${formatEffectList(total)} (${titles.join('; ')})`;
+}
+
 /**
  * Check if a value is NaN and return default if so
  * @param {number} value - Value to check
@@ -91,9 +247,11 @@ function safeNumber(value, defaultValue = 0) {
  * Get the next three cards for a turn, ensuring no duplicates
  * @param {Array} cardPool - Full pool of available cards
  * @param {Array} previousCards - Previously drawn cards to exclude
+ * @param {RandomStream} rng - Random stream to draw from (Math.random if omitted)
+ * @param {Function} weightOf - (card) => relative draw weight (uniform if omitted)
  * @returns {Array} Array of 3 unique card objects
  */
-function getNextThreeCards(cardPool, previousCards = []) {
+function getNextThreeCards(cardPool, previousCards = [], rng = null, weightOf = null) {
   if (!cardPool || cardPool.length === 0) {
     return [];
   }
@@ -103,7 +261,7 @@ function getNextThreeCards(cardPool, previousCards = []) {
 
   // Draw 3 unique cards
   for (let i = 0; i < 3; i++) {
-    const card = drawCard(cardPool, excludeIds);
+    const card = drawCard(cardPool, excludeIds, rng, weightOf);
     if (card) {
       nextCards.push(card);
       excludeIds.push(card.id);
@@ -113,6 +271,20 @@ function getNextThreeCards(cardPool, previousCards = []) {
   return nextCards;
 }
 
+/**
+ * Download data as a pretty-printed JSON file
+ * @param {Object} data - Data to serialize
+ * @param {string} filename - Download file name
+ */
+function downloadJSON(data, filename) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
 /**
  * Performance monitoring utilities
  */
@@ -161,3 +333,112 @@ function logPerformanceMetrics() {
   const metrics = getPerformanceMetrics();
   console.log('Performance Metrics:', metrics);
 }
+
+/**
+ * Auto quality tuning
+ * Frame intervals are averaged over windows of frames. A couple of slow windows
+ * step the tier down; stepping up takes a long run of fast windows and is held
+ * off for a while after a step down, so the tier does not flicker.
+ */
+const AUTO_QUALITY = {
+  tiers: ['low', 'medium', 'high'],
+  windowFrames: 30, // Frames averaged per window
+  slowFrameMs: 25, // Windows averaging above this (under 40 FPS) are slow
+  fastFrameMs: 18, // Windows averaging below this (about 55 FPS or better) are fast
+  slowWindows: 2, // Slow windows in a row that step the tier down
+  fastWindows: 10, // Fast windows in a row that step the tier up
+  holdWindows: 60, // Windows after a step down before stepping up is tried again
+  maxFrameMs: 250 // Longer gaps (tab switches, pauses) are not frame times
+};
+
+class AutoQuality {
+  /**
+   * @param {string} tier - Tier to start from ('low', 'medium' or 'high')
+   */
+  constructor(tier = 'medium') {
+    this.tier = AUTO_QUALITY.tiers.includes(tier) ? tier : 'medium';
+    this.frames = 0;
+    this.totalMs = 0;
+    this.slowCount = 0;
+    this.fastCount = 0;
+    this.holdCount = 0;
+  }
+
+  /**
+   * Add the time since the previous frame
+   * @param {number} frameMs - Frame interval in milliseconds
+   * @returns {string|null} The new tier if it changed, null otherwise
+   */
+  addFrame(frameMs) {
+    if (!(frameMs > 0) || frameMs > AUTO_QUALITY.maxFrameMs) return null;
+
+    this.frames++;
+    this.totalMs += frameMs;
+    if (this.frames < AUTO_QUALITY.windowFrames) return null;
+
+    const averageMs = this.totalMs / this.frames;
+    this.frames = 0;
+    this.totalMs = 0;
+    if (this.holdCount > 0) this.holdCount--;
+
+    if (averageMs > AUTO_QUALITY.slowFrameMs) {
+      this.slowCount++;
+      this.fastCount = 0;
+    } else if (averageMs < AUTO_QUALITY.fastFrameMs) {
+      this.fastCount++;
+      this.slowCount = 0;
+    } else {
+      this.slowCount = 0;
+      this.fastCount = 0;
+    }
+
+    const index = AUTO_QUALITY.tiers.indexOf(this.tier);
+    if (this.slowCount >= AUTO_QUALITY.slowWindows && index > 0) {
+      this.holdCount = AUTO_QUALITY.holdWindows;
+      return this.setTier(AUTO_QUALITY.tiers[index - 1]);
+    }
+    if (this.fastCount >= AUTO_QUALITY.fastWindows && this.holdCount === 0 && index < AUTO_QUALITY.tiers.length - 1) {
+      return this.setTier(AUTO_QUALITY.tiers[index + 1]);
+    }
+    return null;
+  }
+
+  /**
+   * Switch tier and start counting windows afresh
+   * @param {string} tier - New tier
+   * @returns {string} The new tier
+   */
+  setTier(tier) {
+    this.tier = tier;
+    this.slowCount = 0;
+    this.fastCount = 0;
+    return tier;
+  }
+}
+
+// Export for Node (tests and tools); the browser uses these as globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RandomStream,
+    createSeed,
+    parseSeed,
+    easeInOutQuad,
+    clamp,
+    normalize,
+    drawCard,
+    formatMessage,
+    formatDrift,
+    describeCondition,
+    formatEffectList,
+    formatEchoTiming,
+    formatEchoes,
+    safeNumber,
+    getNextThreeCards,
+    downloadJSON,
+    measurePerformance,
+    getPerformanceMetrics,
+    logPerformanceMetrics,
+    AUTO_QUALITY,
+    AutoQuality
+  };
+}
@@ -0,0 +1,721 @@
+/**
+ * Card pool, world dynamics, world event, story and achievement schema validation
+ * Used at load time by the game and as a command for content authors:
+ *   node js/validate.js [path/to/cards.json] [--dynamics path/to/dynamics.json] [--events path/to/events.json]
+ *                       [--stories path/to/stories.json] [--achievements path/to/achievements.json]
+ */
+
+// In Node, pull shared helpers into scope (the browser loads these first; ACHIEVEMENT_FACTS
+// comes from profile.js, which is loaded later but before anything is validated)
+if (typeof module !== 'undefined' && module.exports) {
+  Object.assign(globalThis, require('./engine.js'), require('./profile.js'));
+}
+
+/**
+ * Word limits for card text (see README "Echo Card Pool")
+ */
+const CARD_LIMITS = {
+  titleWords: 8,
+  descWords: 12,
+  echoTurns: 10, // Longest delay or duration an echo may declare
+  promptWords: 30, // Story prompts
+  choiceWords: 6, // Story choice labels
+  minChoices: 2,
+  maxChoices: 3 // One per number key
+};
+
+/**
+ * Count the words in a piece of text
+ * @param {string} text - Text to count
+ * @returns {number} Word count
+ */
+function countWords(text) {
+  const trimmed = text.trim();
+  return trimmed === '' ? 0 : trimmed.split(/\s+/).length;
+}
+
+/**
+ * Check that a value is a plain object (as effects must be)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a non-array object
+ */
+function isEffectsObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate the keys and values of an effects object
+ * @param {Object} effects - Effect per variable
+ * @param {string} field - Field path for problem reports
+ * @param {Function} report - (field, message) => void
+ */
+function validateEffects(effects, field, report) {
+  for (const [key, value] of Object.entries(effects)) {
+    if (!VARIABLES.includes(key)) {
+      report(`${field}.${key}`, `is not a known variable (expected one of ${VARIABLES.join(', ')})`);
+    } else if (!Number.isFinite(value)) {
+      report(`${field}.${key}`, `must be a finite number (got ${JSON.stringify(value)})`);
+    }
+  }
+}
+
+/**
+ * Validate one delayed or multi-turn effect of a card
+ * @param {Object} echo - Echo ({ effects, delay, duration })
+ * @param {string} field - Field path for problem reports
+ * @param {Function} report - (field, message) => void
+ */
+function validateEcho(echo, field, report) {
+  if (!isEffectsObject(echo)) {
+    report(field, 'must be an object');
+    return;
+  }
+
+  if (!isEffectsObject(echo.effects) || Object.keys(echo.effects).length === 0) {
+    report(`${field}.effects`, 'must be an object of variable: number');
+  } else {
+    validateEffects(echo.effects, `${field}.effects`, report);
+  }
+
+  const limits = { delay: 0, duration: 1 };
+  for (const [key, min] of Object.entries(limits)) {
+    const value = echo[key];
+    if (value !== undefined && (!Number.isInteger(value) || value < min || value > CARD_LIMITS.echoTurns)) {
+      report(`${field}.${key}`, `must be a whole number from ${min} to ${CARD_LIMITS.echoTurns} (got ${JSON.stringify(value)})`);
+    }
+  }
+}
+
+/**
+ * Validate a card condition
+ * One of { variable, below|above }, { turn } or { played }
+ * @param {Object} condition - Condition to check
+ * @param {string} field - Field path for problem reports
+ * @param {Function} report - (field, message) => void
+ */
+function validateCondition(condition, field, report) {
+  if (!isEffectsObject(condition)) {
+    report(field, 'must be a condition object');
+    return;
+  }
+
+  const kinds = ['variable', 'turn', 'played'].filter(kind => condition[kind] !== undefined);
+  if (kinds.length !== 1) {
+    report(field, 'must set exactly one of variable, turn or played');
+    return;
+  }
+
+  if (kinds[0] === 'variable') {
+    if (!VARIABLES.includes(condition.variable)) {
+      report(`${field}.variable`, `is not a known variable (expected one of ${VARIABLES.join(', ')})`);
+    }
+    if (condition.below === undefined && condition.above === undefined) {
+      report(`${field}.below`, 'or above must be set');
+    }
+    ['below', 'above'].forEach(key => {
+      if (condition[key] !== undefined && !Number.isFinite(condition[key])) {
+        report(`${field}.${key}`, `must be a finite number (got ${JSON.stringify(condition[key])})`);
+      }
+    });
+  } else if (kinds[0] === 'turn') {
+    if (!Number.isInteger(condition.turn) || condition.turn < 1) {
+      report(`${field}.turn`, `must be a whole number from 1 (got ${JSON.stringify(condition.turn)})`);
+    }
+  } else if (typeof condition.played !== 'string' || condition.played.trim() === '') {
+    report(`${field}.played`, 'must be a card id');
+  }
+}
+
+/**
+ * Validate one card
+ * @param {Object} card - Card to check
+ * @param {number} index - Position of the card in the pool
+ * @returns {Array} Problems found ({ cardId, field, message })
+ */
+function validateCard(card, index) {
+  const problems = [];
+  const cardId = card && typeof card.id === 'string' && card.id ? card.id : `#${index}`;
+  const report = (field, message) => problems.push({ cardId, field, message });
+
+  if (!card || typeof card !== 'object' || Array.isArray(card)) {
+    report('card', 'must be an object');
+    return problems;
+  }
+
+  if (typeof card.id !== 'string' || card.id.trim() === '') {
+    report('id', 'must be a non-empty string');
+  }
+
+  if (typeof card.title !== 'string' || card.title.trim() === '') {
+    report('title', 'must be a non-empty string');
+  } else if (countWords(card.title) > CARD_LIMITS.titleWords) {
+    report('title', `has ${countWords(card.title)} words (max ${CARD_LIMITS.titleWords})`);
+  }
+
+  if (typeof card.desc !== 'string' || card.desc.trim() === '') {
+    report('desc', 'must be a non-empty string');
+  } else if (countWords(card.desc) > CARD_LIMITS.descWords) {
+    report('desc', `has ${countWords(card.desc)} words (max ${CARD_LIMITS.descWords})`);
+  }
+
+  const hasEchoes = Array.isArray(card.echoes) && card.echoes.length > 0;
+  if (!isEffectsObject(card.effects)) {
+    report('effects', 'must be an object of variable: number');
+  } else {
+    if (Object.keys(card.effects).length === 0 && !hasEchoes) {
+      report('effects', 'must affect at least one variable');
+    }
+    validateEffects(card.effects, 'effects', report);
+  }
+
+  if (card.rarity !== undefined && !RARITIES[card.rarity]) {
+    report('rarity', `must be one of ${Object.keys(RARITIES).join(', ')} (got ${JSON.stringify(card.rarity)})`);
+  }
+
+  if (card.eras !== undefined) {
+    const eraIds = ERAS.map(era => era.id);
+    if (!Array.isArray(card.eras) || card.eras.length === 0) {
+      report('eras', 'must be a non-empty array of era ids');
+    } else {
+      card.eras.filter(id => !eraIds.includes(id)).forEach(id => {
+        report('eras', `references unknown era ${JSON.stringify(id)} (expected ${eraIds.join(', ')})`);
+      });
+    }
+  }
+
+  if (card.weight !== undefined && (!Number.isFinite(card.weight) || card.weight < 0)) {
+    report('weight', `must be a non-negative number (got ${JSON.stringify(card.weight)})`);
+  }
+
+  if (card.weightModifiers !== undefined) {
+    if (!Array.isArray(card.weightModifiers)) {
+      report('weightModifiers', 'must be an array of { if, multiply }');
+    } else {
+      card.weightModifiers.forEach((modifier, i) => {
+        const field = `weightModifiers[${i}]`;
+        if (!isEffectsObject(modifier)) {
+          report(field, 'must be an object');
+          return;
+        }
+        validateCondition(modifier.if, `${field}.if`, report);
+        if (!Number.isFinite(modifier.multiply) || modifier.multiply < 0) {
+          report(`${field}.multiply`, `must be a non-negative number (got ${JSON.stringify(modifier.multiply)})`);
+        }
+      });
+    }
+  }
+
+  if (card.requires !== undefined) {
+    if (!Array.isArray(card.requires)) {
+      report('requires', 'must be an array of conditions');
+    } else {
+      card.requires.forEach((condition, i) => validateCondition(condition, `requires[${i}]`, report));
+    }
+  }
+
+  if (card.conditional !== undefined) {
+    if (!Array.isArray(card.conditional)) {
+      report('conditional', 'must be an array of { if, effects }');
+    } else {
+      card.conditional.forEach((entry, i) => {
+        const field = `conditional[${i}]`;
+        if (!isEffectsObject(entry)) {
+          report(field, 'must be an object');
+          return;
+        }
+        validateCondition(entry.if, `${field}.if`, report);
+        if (!isEffectsObject(entry.effects) || Object.keys(entry.effects).length === 0) {
+          report(`${field}.effects`, 'must be an object of variable: number');
+        } else {
+          validateEffects(entry.effects, `${field}.effects`, report);
+        }
+      });
+    }
+  }
+
+  if (card.echoes !== undefined) {
+    if (!Array.isArray(card.echoes)) {
+      report('echoes', 'must be an array of { effects, delay, duration }');
+    } else {
+      card.echoes.forEach((echo, i) => validateEcho(echo, `echoes[${i}]`, report));
+    }
+  }
+
+  if (!Number.isFinite(card.variance)) {
+    report('variance', `must be a finite number (got ${JSON.stringify(card.variance)})`);
+  } else if (card.variance < 0) {
+    report('variance', `must be non-negative (got ${card.variance})`);
+  }
+
+  return problems;
+}
+
+/**
+ * Validate a whole card pool
+ * @param {Array} cards - Card pool to check
+ * @returns {Array} Every problem found ({ cardId, field, message })
+ */
+function validateCardPool(cards) {
+  if (!Array.isArray(cards)) {
+    return [{ cardId: '(pool)', field: 'cards', message: 'must be an array of cards' }];
+  }
+
+  const problems = [];
+  const seenIds = new Set();
+
+  cards.forEach((card, index) => {
+    problems.push(...validateCard(card, index));
+
+    if (card && typeof card.id === 'string' && card.id) {
+      if (seenIds.has(card.id)) {
+        problems.push({ cardId: card.id, field: 'id', message: `is a duplicate (card #${index})` });
+      }
+      seenIds.add(card.id);
+    }
+  });
+
+  // Prerequisites must name cards that exist, or the card can never be drawn
+  cards.forEach(card => {
+    if (!card || !Array.isArray(card.requires)) return;
+    card.requires.forEach((condition, i) => {
+      if (condition && typeof condition.played === 'string' && !seenIds.has(condition.played)) {
+        problems.push({ cardId: card.id, field: `requires[${i}].played`, message: `references unknown card "${condition.played}"` });
+      }
+    });
+  });
+
+  // Once cards are limited to eras, every era needs enough ungated cards to deal its first hand
+  const usesEras = cards.some(card => card && card.eras !== undefined);
+  ERAS.filter(() => usesEras).forEach(era => {
+    const count = cards.filter(card => card && !card.requires &&
+      (!Array.isArray(card.eras) || card.eras.includes(era.id))).length;
+    if (count < 3) {
+      problems.push({ cardId: '(pool)', field: 'eras', message: `leave era "${era.id}" only ${count} cards without prerequisites (needs at least 3)` });
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Validate the world dynamics coupling table
+ * @param {Array} couplings - Couplings to check
+ * @returns {Array} Every problem found ({ cardId, field, message }); cardId holds the coupling id
+ */
+function validateCouplings(couplings) {
+  if (!Array.isArray(couplings)) {
+    return [{ cardId: '(dynamics)', field: 'couplings', message: 'must be an array of couplings' }];
+  }
+
+  const problems = [];
+  const seenIds = new Set();
+
+  couplings.forEach((coupling, index) => {
+    const id = coupling && typeof coupling.id === 'string' && coupling.id ? coupling.id : `#${index}`;
+    const report = (field, message) => problems.push({ cardId: id, field, message });
+
+    if (!coupling || typeof coupling !== 'object' || Array.isArray(coupling)) {
+      report('coupling', 'must be an object');
+      return;
+    }
+
+    if (typeof coupling.id !== 'string' || coupling.id.trim() === '') {
+      report('id', 'must be a non-empty string');
+    } else if (seenIds.has(coupling.id)) {
+      report('id', `is a duplicate (coupling #${index})`);
+    }
+    seenIds.add(coupling.id);
+
+    if (typeof coupling.label !== 'string' || coupling.label.trim() === '') {
+      report('label', 'must be a non-empty string');
+    }
+
+    if (!VARIABLES.includes(coupling.source)) {
+      report('source', `is not a known variable (expected one of ${VARIABLES.join(', ')})`);
+    }
+
+    const hasBelow = coupling.below !== undefined;
+    const hasAbove = coupling.above !== undefined;
+    if (!hasBelow && !hasAbove) {
+      report('below', 'or above must be set');
+    }
+    if (hasBelow && !Number.isFinite(coupling.below)) {
+      report('below', `must be a finite number (got ${JSON.stringify(coupling.below)})`);
+    }
+    if (hasAbove && !Number.isFinite(coupling.above)) {
+      report('above', `must be a finite number (got ${JSON.stringify(coupling.above)})`);
+    }
+
+    if (!isEffectsObject(coupling.effects) || Object.keys(coupling.effects).length === 0) {
+      report('effects', 'must be an object of variable: number');
+    } else {
+      validateEffects(coupling.effects, 'effects', report);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Validate the world event table
+ * @param {Array} events - Events to check
+ * @returns {Array} Every problem found ({ cardId, field, message }); cardId holds the event id
+ */
+function validateEvents(events) {
+  if (!Array.isArray(events)) {
+    return [{ cardId: '(events)', field: 'events', message: 'must be an array of events' }];
+  }
+
+  const problems = [];
+  const seenIds = new Set();
+
+  events.forEach((event, index) => {
+    const id = event && typeof event.id === 'string' && event.id ? event.id : `#${index}`;
+    const report = (field, message) => problems.push({ cardId: id, field, message });
+
+    if (!event || typeof event !== 'object' || Array.isArray(event)) {
+      report('event', 'must be an object');
+      return;
+    }
+
+    if (typeof event.id !== 'string' || event.id.trim() === '') {
+      report('id', 'must be a non-empty string');
+    } else if (seenIds.has(event.id)) {
+      report('id', `is a duplicate (event #${index})`);
+    }
+    seenIds.add(event.id);
+
+    if (typeof event.title !== 'string' || event.title.trim() === '') {
+      report('title', 'must be a non-empty string');
+    } else if (countWords(event.title) > CARD_LIMITS.titleWords) {
+      report('title', `has ${countWords(event.title)} words (max ${CARD_LIMITS.titleWords})`);
+    }
+
+    if (typeof event.desc !== 'string' || event.desc.trim() === '') {
+      report('desc', 'must be a non-empty string');
+    } else if (countWords(event.desc) > CARD_LIMITS.descWords) {
+      report('desc', `has ${countWords(event.desc)} words (max ${CARD_LIMITS.descWords})`);
+    }
+
+    if (!Number.isFinite(event.chance) || event.chance <= 0 || event.chance > 1) {
+      report('chance', `must be a probability above 0 and at most 1 (got ${JSON.stringify(event.chance)})`);
+    }
+
+    if (event.requires !== undefined) {
+      if (!Array.isArray(event.requires)) {
+        report('requires', 'must be an array of conditions');
+      } else {
+        event.requires.forEach((condition, i) => validateCondition(condition, `requires[${i}]`, report));
+      }
+    }
+
+    if (!isEffectsObject(event.effects) || Object.keys(event.effects).length === 0) {
+      report('effects', 'must be an object of variable: number');
+    } else {
+      validateEffects(event.effects, 'effects', report);
+    }
+  });
+
+  // Only one event fires per turn, so chances past a total of 1 could never be reached
+  const total = events.reduce((sum, event) => sum + (event && Number.isFinite(event.chance) ? event.chance : 0), 0);
+  if (total > 1) {
+    problems.push({ cardId: '(events)', field: 'chance', message: `values add up to ${total.toFixed(2)} (max 1)` });
+  }
+
+  return problems;
+}
+
+/**
+ * Validate the story table
+ * @param {Array} stories - Stories to check
+ * @returns {Array} Every problem found ({ cardId, field, message }); cardId holds the story id
+ */
+function validateStories(stories) {
+  if (!Array.isArray(stories)) {
+    return [{ cardId: '(stories)', field: 'stories', message: 'must be an array of stories' }];
+  }
+
+  const problems = [];
+  const seenIds = new Set();
+  const followUps = new Set(stories.filter(story => story && story.followUp === true).map(story => story.id));
+
+  stories.forEach((story, index) => {
+    const id = story && typeof story.id === 'string' && story.id ? story.id : `#${index}`;
+    const report = (field, message) => problems.push({ cardId: id, field, message });
+
+    if (!story || typeof story !== 'object' || Array.isArray(story)) {
+      report('story', 'must be an object');
+      return;
+    }
+
+    if (typeof story.id !== 'string' || story.id.trim() === '') {
+      report('id', 'must be a non-empty string');
+    } else if (seenIds.has(story.id)) {
+      report('id', `is a duplicate (story #${index})`);
+    }
+    seenIds.add(story.id);
+
+    if (typeof story.title !== 'string' || story.title.trim() === '') {
+      report('title', 'must be a non-empty string');
+    } else if (countWords(story.title) > CARD_LIMITS.titleWords) {
+      report('title', `has ${countWords(story.title)} words (max ${CARD_LIMITS.titleWords})`);
+    }
+
+    if (typeof story.prompt !== 'string' || story.prompt.trim() === '') {
+      report('prompt', 'must be a non-empty string');
+    } else if (countWords(story.prompt) > CARD_LIMITS.promptWords) {
+      report('prompt', `has ${countWords(story.prompt)} words (max ${CARD_LIMITS.promptWords})`);
+    }
+
+    if (!Number.isFinite(story.chance) || story.chance <= 0 || story.chance > 1) {
+      report('chance', `must be a probability above 0 and at most 1 (got ${JSON.stringify(story.chance)})`);
+    }
+
+    if (story.followUp !== undefined && typeof story.followUp !== 'boolean') {
+      report('followUp', `must be true or false (got ${JSON.stringify(story.followUp)})`);
+    }
+
+    if (story.requires !== undefined) {
+      if (!Array.isArray(story.requires)) {
+        report('requires', 'must be an array of conditions');
+      } else {
+        story.requires.forEach((condition, i) => validateCondition(condition, `requires[${i}]`, report));
+      }
+    }
+
+    const { minChoices, maxChoices } = CARD_LIMITS;
+    if (!Array.isArray(story.choices) || story.choices.length < minChoices || story.choices.length > maxChoices) {
+      report('choices', `must be an array of ${minChoices} to ${maxChoices} choices`);
+      return;
+    }
+    story.choices.forEach((choice, i) => {
+      const field = `choices[${i}]`;
+      if (!isEffectsObject(choice)) {
+        report(field, 'must be an object');
+        return;
+      }
+
+      if (typeof choice.label !== 'string' || choice.label.trim() === '') {
+        report(`${field}.label`, 'must be a non-empty string');
+      } else if (countWords(choice.label) > CARD_LIMITS.choiceWords) {
+        report(`${field}.label`, `has ${countWords(choice.label)} words (max ${CARD_LIMITS.choiceWords})`);
+      }
+
+      if (!isEffectsObject(choice.effects) || Object.keys(choice.effects).length === 0) {
+        report(`${field}.effects`, 'must be an object of variable: number');
+      } else {
+        validateEffects(choice.effects, `${field}.effects`, report);
+      }
+
+      if (choice.unlocks !== undefined) {
+        if (!Array.isArray(choice.unlocks)) {
+          report(`${field}.unlocks`, 'must be an array of story ids');
+        } else {
+          choice.unlocks.forEach(unlockId => {
+            if (!followUps.has(unlockId)) {
+              report(`${field}.unlocks`, `references "${unlockId}", which is not a follow-up story in the table`);
+            }
+          });
+        }
+      }
+    });
+  });
+
+  // Like world events, at most one story is told per turn
+  const total = stories.reduce((sum, story) => sum + (story && Number.isFinite(story.chance) ? story.chance : 0), 0);
+  if (total > 1) {
+    problems.push({ cardId: '(stories)', field: 'chance', message: `values add up to ${total.toFixed(2)} (max 1)` });
+  }
+
+  return problems;
+}
+
+/**
+ * Validate the achievement table
+ * @param {Array} achievements - Achievements to check
+ * @returns {Array} Every problem found ({ cardId, field, message }); cardId holds the achievement id
+ */
+function validateAchievements(achievements) {
+  if (!Array.isArray(achievements)) {
+    return [{ cardId: '(achievements)', field: 'achievements', message: 'must be an array of achievements' }];
+  }
+
+  const problems = [];
+  const seenIds = new Set();
+
+  achievements.forEach((achievement, index) => {
+    const id = achievement && typeof achievement.id === 'string' && achievement.id ? achievement.id : `#${index}`;
+    const report = (field, message) => problems.push({ cardId: id, field, message });
+
+    if (!achievement || typeof achievement !== 'object' || Array.isArray(achievement)) {
+      report('achievement', 'must be an object');
+      return;
+    }
+
+    if (typeof achievement.id !== 'string' || achievement.id.trim() === '') {
+      report('id', 'must be a non-empty string');
+    } else if (seenIds.has(achievement.id)) {
+      report('id', `is a duplicate (achievement #${index})`);
+    }
+    seenIds.add(achievement.id);
+
+    if (typeof achievement.title !== 'string' || achievement.title.trim() === '') {
+      report('title', 'must be a non-empty string');
+    } else if (countWords(achievement.title) > CARD_LIMITS.titleWords) {
+      report('title', `has ${countWords(achievement.title)} words (max ${CARD_LIMITS.titleWords})`);
+    }
+
+    if (typeof achievement.desc !== 'string' || achievement.desc.trim() === '') {
+      report('desc', 'must be a non-empty string');
+    } else if (countWords(achievement.desc) > CARD_LIMITS.descWords) {
+      report('desc', `has ${countWords(achievement.desc)} words (max ${CARD_LIMITS.descWords})`);
+    }
+
+    if (!ACHIEVEMENT_FACTS.triggers.includes(achievement.on)) {
+      report('on', `must be one of ${ACHIEVEMENT_FACTS.triggers.join(', ')} (got ${JSON.stringify(achievement.on)})`);
+    }
+
+    if (!Array.isArray(achievement.when) || achievement.when.length === 0) {
+      report('when', 'must be a non-empty array of conditions');
+      return;
+    }
+    achievement.when.forEach((condition, i) => validateAchievementCondition(condition, `when[${i}]`, report));
+  });
+
+  return problems;
+}
+
+/**
+ * Validate one achievement condition
+ * One of { stat, is|atLeast|atMost }, { run, is|atLeast|atMost } or { variable, below|above }
+ * @param {Object} condition - Condition to check
+ * @param {string} field - Field path for problem reports
+ * @param {Function} report - (field, message) => void
+ */
+function validateAchievementCondition(condition, field, report) {
+  if (!isEffectsObject(condition)) {
+    report(field, 'must be a condition object');
+    return;
+  }
+
+  const kinds = ['stat', 'run', 'variable'].filter(kind => condition[kind] !== undefined);
+  if (kinds.length !== 1) {
+    report(field, 'must set exactly one of stat, run or variable');
+    return;
+  }
+
+  // Variable conditions share the card prerequisite format
+  if (kinds[0] === 'variable') {
+    validateCondition(condition, field, report);
+    return;
+  }
+
+  const kind = kinds[0];
+  if (!ACHIEVEMENT_FACTS[kind].includes(condition[kind])) {
+    report(`${field}.${kind}`, `is not a known fact (expected one of ${ACHIEVEMENT_FACTS[kind].join(', ')})`);
+  }
+  if (condition.is === undefined && condition.atLeast === undefined && condition.atMost === undefined) {
+    report(`${field}.is`, 'or atLeast or atMost must be set');
+  }
+  ['atLeast', 'atMost'].forEach(key => {
+    if (condition[key] !== undefined && !Number.isFinite(condition[key])) {
+      report(`${field}.${key}`, `must be a finite number (got ${JSON.stringify(condition[key])})`);
+    }
+  });
+  if (condition.is !== undefined && !['string', 'number', 'boolean'].includes(typeof condition.is)) {
+    report(`${field}.is`, `must be a string, number or boolean (got ${JSON.stringify(condition.is)})`);
+  }
+}
+
+/**
+ * Keep only the playable cards of a pool
+ * Invalid cards and later duplicates of an id are dropped
+ * @param {Array} cards - Card pool
+ * @returns {Array} Valid cards
+ */
+function getValidCards(cards) {
+  if (!Array.isArray(cards)) return [];
+
+  const seenIds = new Set();
+  return cards.filter((card, index) => {
+    if (validateCard(card, index).length > 0 || seenIds.has(card.id)) return false;
+    seenIds.add(card.id);
+    return true;
+  });
+}
+
+/**
+ * Format problems as readable lines
+ * @param {Array} problems - Problems from validateCardPool
+ * @returns {Array} One line per problem, e.g. 'solar-boom: effects.ecolgy is not a known variable'
+ */
+function formatProblems(problems) {
+  return problems.map(p => `${p.cardId}: ${p.field} ${p.message}`);
+}
+
+// Export for Node (tests and tools); the browser uses these as globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CARD_LIMITS,
+    validateCard,
+    validateCardPool,
+    validateCouplings,
+    validateEvents,
+    validateStories,
+    validateAchievements,
+    getValidCards,
+    formatProblems
+  };
+
+  // Command line: node js/validate.js [cards.json] [--dynamics dynamics.json] [--events events.json] [--stories stories.json]
+  //   [--achievements achievements.json]
+  if (require.main === module) {
+    const fs = require('fs');
+    const path = require('path');
+    const args = process.argv.slice(2);
+    const dynamicsFlag = args.indexOf('--dynamics');
+    const dynamicsPath = dynamicsFlag >= 0 ? args.splice(dynamicsFlag, 2)[1] : path.join(__dirname, 'dynamics.json');
+    const eventsFlag = args.indexOf('--events');
+    const eventsPath = eventsFlag >= 0 ? args.splice(eventsFlag, 2)[1] : path.join(__dirname, 'events.json');
+    const storiesFlag = args.indexOf('--stories');
+    const storiesPath = storiesFlag >= 0 ? args.splice(storiesFlag, 2)[1] : path.join(__dirname, 'stories.json');
+    const achievementsFlag = args.indexOf('--achievements');
+    const achievementsPath = achievementsFlag >= 0
+      ? args.splice(achievementsFlag, 2)[1]
+      : path.join(__dirname, 'achievements.json');
+    const cardsPath = args[0] || path.join(__dirname, 'cards.json');
+
+    /**
+     * Validate one content file and print the result
+     * @param {string} filePath - JSON file to read
+     * @param {Function} validate - Validator returning problems
+     * @param {string} noun - What the file holds, for the summary line
+     * @returns {boolean} True if the file is valid
+     */
+    const check = (filePath, validate, noun) => {
+      let entries;
+      try {
+        entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        console.log(`✗ Could not read ${filePath}: ${error.message}`);
+        return false;
+      }
+
+      const problems = validate(entries);
+      if (problems.length === 0) {
+        console.log(`✓ ${filePath}: ${entries.length} ${noun}, no problems found`);
+        return true;
+      }
+      console.log(`✗ ${filePath}: ${problems.length} problem(s) found`);
+      formatProblems(problems).forEach(line => console.log(`  - ${line}`));
+      return false;
+    };
+
+    const cardsOk = check(cardsPath, validateCardPool, 'cards');
+    const dynamicsOk = check(dynamicsPath, validateCouplings, 'couplings');
+    const eventsOk = check(eventsPath, validateEvents, 'events');
+    const storiesOk = check(storiesPath, validateStories, 'stories');
+    const achievementsOk = check(achievementsPath, validateAchievements, 'achievements');
+    if (!cardsOk || !dynamicsOk || !eventsOk || !storiesOk || !achievementsOk) process.exit(1);
+  }
+}
@@ -1,7 +1,229 @@
 /**
  * Three.js scene and visualization rendering
+ * Falls back to a simplified Canvas2D rendering when WebGL is unavailable or its context is lost
  */
 
+// In Node, pull shared helpers into scope (the browser loads these first)
+if (typeof module !== 'undefined' && module.exports) {
+  Object.assign(globalThis, require('./utils.js'));
+}
+
+const SHADER_URL = 'shaders/fragment.glsl';
+const SHADER_RELOAD_INTERVAL = 1000; // ms between dev-mode checks for shader edits
+const CANVAS_FALLBACK_SCALE = 0.5; // Canvas2D draws at half resolution and lets CSS scale it up
+
+/**
+ * Lightweight Canvas2D stand-in for the shader
+ * Draws simplified versions of the four layers from the same uniforms the shader reads
+ */
+class Canvas2DRenderer {
+  /**
+   * @param {HTMLElement} container - Element the canvas is added to
+   */
+  constructor(container) {
+    this.container = container;
+    this.canvas = document.createElement('canvas');
+    this.context = this.canvas.getContext('2d');
+    this.container.appendChild(this.canvas);
+    this.setSize(container.clientWidth, container.clientHeight);
+  }
+
+  /**
+   * Size the canvas backing store for the container size
+   * @param {number} width - Container width
+   * @param {number} height - Container height
+   */
+  setSize(width, height) {
+    this.canvas.width = Math.max(1, Math.round(width * CANVAS_FALLBACK_SCALE));
+    this.canvas.height = Math.max(1, Math.round(height * CANVAS_FALLBACK_SCALE));
+  }
+
+  /**
+   * Show or hide the canvas
+   * @param {boolean} visible - True to show it
+   */
+  setVisible(visible) {
+    this.canvas.style.display = visible ? '' : 'none';
+  }
+
+  /**
+   * Draw one frame
+   * @param {Object} uniforms - Shader uniforms (see VisualsManager.createUniforms)
+   */
+  render(uniforms) {
+    const ctx = this.context;
+    const { width, height } = this.canvas;
+    const time = uniforms.u_time.value;
+    // Quality mode: 0=low, 1=medium, 2=high, scaling the number of shapes like the shader's iterations
+    const detail = [0.5, 1, 2][Math.round(uniforms.u_quality.value)] || 1;
+
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.globalAlpha = 1;
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, width, height);
+
+    // Layers add up like light, as in the shader; a zero gain leaves a layer out
+    const layers = uniforms.u_layers.value;
+    ctx.globalCompositeOperation = 'lighter';
+    if (layers.x > 0) this.drawWaves(width, height, time, uniforms.u_ecology.value, detail);
+    if (layers.y > 0) this.drawNodes(width, height, time, uniforms.u_cohesion.value);
+    if (layers.z > 0) this.drawFractal(width, height, time, uniforms.u_innovation.value, detail);
+    if (layers.w > 0) this.drawStatic(width, height, 1 - uniforms.u_stability.value, detail);
+
+    // Era palette
+    const palette = uniforms.u_palette.value;
+    ctx.globalCompositeOperation = 'multiply';
+    ctx.fillStyle = `rgb(${Math.round(palette.x * 255)}, ${Math.round(palette.y * 255)}, ${Math.round(palette.z * 255)})`;
+    ctx.fillRect(0, 0, width, height);
+
+    // Victory morph (green-blue) and collapse morph (pulsing red)
+    ctx.globalCompositeOperation = 'source-over';
+    const victory = uniforms.u_victoryMorph.value;
+    if (victory > 0) {
+      const shift = Math.sin(time * 0.5) * 0.5 + 0.5;
+      ctx.globalAlpha = victory;
+      ctx.fillStyle = `rgb(0, ${Math.round(255 - shift * 127)}, ${Math.round(128 + shift * 127)})`;
+      ctx.fillRect(0, 0, width, height);
+    }
+    const collapse = uniforms.u_collapseMorph.value;
+    if (collapse > 0) {
+      ctx.globalAlpha = collapse;
+      ctx.fillStyle = `rgb(${Math.round(255 * (0.5 + 0.5 * Math.sin(time * 10)))}, 0, 0)`;
+      ctx.fillRect(0, 0, width, height);
+    }
+    ctx.globalAlpha = 1;
+  }
+
+  /**
+   * Ecology: green horizontal waveforms
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @param {number} time - Seconds since start
+   * @param {number} ecology - Ecology (0-1)
+   * @param {number} detail - Shape count multiplier for the quality mode
+   */
+  drawWaves(width, height, time, ecology, detail) {
+    const ctx = this.context;
+    const count = Math.round(4 * detail) + 2;
+    ctx.strokeStyle = '#00ff33';
+    ctx.lineWidth = 1.5;
+    ctx.globalAlpha = 0.15 + ecology * 0.75;
+
+    for (let i = 0; i < count; i++) {
+      const baseY = (i + 0.5) / count * height;
+      const amplitude = ecology * height / count * 0.6;
+      ctx.beginPath();
+      for (let x = 0; x <= width; x += 4) {
+        const y = baseY + Math.sin(x / width * 10 + time * 0.5 + i) * amplitude;
+        if (x === 0) {
+          ctx.moveTo(x, y);
+        } else {
+          ctx.lineTo(x, y);
+        }
+      }
+      ctx.stroke();
+    }
+  }
+
+  /**
+   * Cohesion: a 4x4 grid of cyan nodes, linked to their neighbors
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @param {number} time - Seconds since start
+   * @param {number} cohesion - Cohesion (0-1)
+   */
+  drawNodes(width, height, time, cohesion) {
+    const ctx = this.context;
+    const nodes = [];
+    for (let i = 0; i < 4; i++) {
+      for (let j = 0; j < 4; j++) {
+        nodes.push({
+          x: (i + 0.5) / 4 * width + Math.sin(time * 0.3 + j) * width * 0.02,
+          y: (j + 0.5) / 4 * height + Math.cos(time * 0.3 + i) * height * 0.02
+        });
+      }
+    }
+
+    ctx.strokeStyle = '#00ffff';
+    ctx.lineWidth = 1;
+    ctx.globalAlpha = cohesion * 0.4;
+    ctx.beginPath();
+    nodes.forEach((node, index) => {
+      if (index % 4 < 3) {
+        ctx.moveTo(node.x, node.y);
+        ctx.lineTo(nodes[index + 1].x, nodes[index + 1].y);
+      }
+      if (index < 12) {
+        ctx.moveTo(node.x, node.y);
+        ctx.lineTo(nodes[index + 4].x, nodes[index + 4].y);
+      }
+    });
+    ctx.stroke();
+
+    ctx.fillStyle = '#00ffff';
+    ctx.globalAlpha = 0.2 + cohesion * 0.8;
+    const radius = 1 + cohesion * Math.min(width, height) * 0.02;
+    nodes.forEach(node => {
+      ctx.beginPath();
+      ctx.arc(node.x, node.y, radius, 0, Math.PI * 2);
+      ctx.fill();
+    });
+  }
+
+  /**
+   * Innovation: blue branching fractals rising from the bottom edge
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @param {number} time - Seconds since start
+   * @param {number} innovation - Innovation (0-1)
+   * @param {number} detail - Shape count multiplier for the quality mode
+   */
+  drawFractal(width, height, time, innovation, detail) {
+    const ctx = this.context;
+    const depth = Math.round(2 * detail) + 2;
+    const spread = 0.4 + innovation * 0.5 + Math.sin(time * 0.2) * 0.1;
+    ctx.strokeStyle = '#0088ff';
+    ctx.lineWidth = 1;
+    ctx.globalAlpha = innovation * 0.8;
+
+    const branch = (x, y, angle, length, level) => {
+      const endX = x + Math.cos(angle) * length;
+      const endY = y + Math.sin(angle) * length;
+      ctx.moveTo(x, y);
+      ctx.lineTo(endX, endY);
+      if (level > 0) {
+        branch(endX, endY, angle - spread, length * 0.7, level - 1);
+        branch(endX, endY, angle + spread, length * 0.7, level - 1);
+      }
+    };
+
+    ctx.beginPath();
+    for (let i = 0; i < 3; i++) {
+      branch((i + 0.5) / 3 * width, height, -Math.PI / 2, height * (0.1 + innovation * 0.15), depth);
+    }
+    ctx.stroke();
+  }
+
+  /**
+   * Instability: red static that thickens as stability falls
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @param {number} instability - One minus stability (0-1)
+   * @param {number} detail - Shape count multiplier for the quality mode
+   */
+  drawStatic(width, height, instability, detail) {
+    const ctx = this.context;
+    const count = Math.round(instability * 80 * detail);
+    ctx.fillStyle = '#ff0000';
+
+    for (let i = 0; i < count; i++) {
+      ctx.globalAlpha = 0.2 + Math.random() * 0.6;
+      const size = 1 + Math.random() * 3;
+      ctx.fillRect(Math.random() * width, Math.random() * height, size * 4, size);
+    }
+  }
+}
+
 class VisualsManager {
   constructor(container) {
     this.container = container;
@@ -16,14 +238,43 @@ class VisualsManager {
     this.collapseMorphProgress = 0;
     this.isAnimatingVictory = false;
     this.isAnimatingCollapse = false;
+    this.paletteTarget = [1, 1, 1]; // Era tint the palette uniform eases toward
+    this.shaderOrigin = 'built-in'; // Where the running fragment shader came from ('built-in' or SHADER_URL)
+    this.shaderFileSource = null; // Last text fetched from SHADER_URL, compiled or not
+    this.fragmentShader = this.getFragmentShader(); // Running fragment shader, reused when the context is restored
+    this.fallback = null; // Canvas2D renderer, created the first time WebGL is unavailable
+    this.fallbackActive = false; // True while the Canvas2D renderer stands in for WebGL
+    this.contextLost = false; // True from webglcontextlost until webglcontextrestored
 
     this.initScene();
   }
 
   /**
-   * Initialize Three.js scene, camera, and renderer
+   * Initialize the renderer, falling back to Canvas2D if WebGL cannot be created
    */
   initScene() {
+    this.createUniforms();
+
+    try {
+      this.initWebGL();
+    } catch (error) {
+      console.warn('WebGL is unavailable, using the Canvas2D renderer:', error);
+      this.renderer = null;
+      this.setFallbackActive(true);
+    }
+
+    // Handle window resize
+    window.addEventListener('resize', () => this.onWindowResize());
+
+    // Handle visibility change for throttling
+    document.addEventListener('visibilitychange', () => this.onVisibilityChange());
+  }
+
+  /**
+   * Initialize Three.js scene, camera, and renderer
+   * Throws if Three.js or a WebGL context is unavailable
+   */
+  initWebGL() {
     // Scene setup
     this.scene = new THREE.Scene();
     this.scene.background = new THREE.Color(0x000000);
@@ -44,7 +295,6 @@ class VisualsManager {
     // Renderer setup
     this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: false });
     this.setRendererResolution(width, height);
-    this.container.appendChild(this.renderer.domElement);
 
     // Create shader material
     this.createShaderMaterial();
@@ -54,11 +304,48 @@ class VisualsManager {
     this.mesh = new THREE.Mesh(geometry, this.shaderMaterial);
     this.scene.add(this.mesh);
 
-    // Handle window resize
-    window.addEventListener('resize', () => this.onWindowResize());
+    // Stand in with Canvas2D while the GPU is away (e.g. a laptop switching GPUs)
+    const canvas = this.renderer.domElement;
+    canvas.addEventListener('webglcontextlost', event => this.onContextLost(event));
+    canvas.addEventListener('webglcontextrestored', () => this.onContextRestored());
+    this.container.appendChild(canvas);
+  }
 
-    // Handle visibility change for throttling
-    document.addEventListener('visibilitychange', () => this.onVisibilityChange());
+  /**
+   * Switch between the WebGL canvas and the Canvas2D renderer
+   * @param {boolean} active - True to show the Canvas2D renderer
+   */
+  setFallbackActive(active) {
+    if (active && !this.fallback) {
+      this.fallback = new Canvas2DRenderer(this.container);
+    }
+    if (this.fallback) this.fallback.setVisible(active);
+    if (this.renderer) this.renderer.domElement.style.display = active ? 'none' : '';
+    this.fallbackActive = active;
+  }
+
+  /**
+   * Handle loss of the WebGL context
+   * @param {Event} event - webglcontextlost event
+   */
+  onContextLost(event) {
+    event.preventDefault(); // Tells the browser we will restore the context
+    this.contextLost = true;
+    this.setFallbackActive(true);
+    console.warn('WebGL context lost, using the Canvas2D renderer until it is restored');
+  }
+
+  /**
+   * Rebuild the uniforms and shader material once the WebGL context is restored
+   */
+  onContextRestored() {
+    this.contextLost = false;
+    this.createUniforms(this.uniforms);
+    this.shaderMaterial.dispose();
+    this.createShaderMaterial();
+    this.mesh.material = this.shaderMaterial;
+    this.setFallbackActive(false);
+    console.log('WebGL context restored');
   }
 
   /**
@@ -83,42 +370,66 @@ class VisualsManager {
   }
 
   /**
-   * Create shader material with fragment shader
+   * Create the shader uniforms, which also drive the Canvas2D renderer
+   * @param {Object} previous - Uniforms to carry the values over from (null for defaults)
    */
-  createShaderMaterial() {
+  createUniforms(previous = null) {
+    const width = this.container.clientWidth;
+    const height = this.container.clientHeight;
+    // Plain stand-ins for the vector types keep the Canvas2D renderer going if Three.js failed to load
+    const hasThree = typeof THREE !== 'undefined';
+
     this.uniforms = {
       u_ecology: { value: 0.5 },
       u_cohesion: { value: 0.5 },
       u_innovation: { value: 0.5 },
       u_stability: { value: 0.5 },
       u_time: { value: 0.0 },
-      u_resolution: { value: new THREE.Vector2(this.container.clientWidth, this.container.clientHeight) },
+      u_resolution: {
+        value: hasThree ? new THREE.Vector2(width, height) : { x: width, y: height, set(x, y) { this.x = x; this.y = y; } }
+      },
       u_victoryMorph: { value: 0.0 },
       u_collapseMorph: { value: 0.0 },
-      u_quality: { value: 1 } // 0=low (2 iterations), 1=medium (4 iterations), 2=high (8 iterations)
+      u_quality: { value: 1 }, // 0=low (2 iterations), 1=medium (4 iterations), 2=high (8 iterations)
+      u_palette: { value: hasThree ? new THREE.Vector3(1, 1, 1) : { x: 1, y: 1, z: 1 } }, // Era tint multiplied into the composed color
+      // Gain per layer (ecology, cohesion, innovation, stability); the shader inspector solos and mutes with it
+      u_layers: { value: hasThree ? new THREE.Vector4(1, 1, 1, 1) : { x: 1, y: 1, z: 1, w: 1 } }
     };
 
+    if (previous) {
+      Object.keys(this.uniforms).forEach(name => {
+        if (typeof previous[name].value === 'number') this.uniforms[name].value = previous[name].value;
+      });
+      const palette = previous.u_palette.value;
+      Object.assign(this.uniforms.u_palette.value, { x: palette.x, y: palette.y, z: palette.z });
+      const layers = previous.u_layers.value;
+      Object.assign(this.uniforms.u_layers.value, { x: layers.x, y: layers.y, z: layers.z, w: layers.w });
+    }
+  }
+
+  /**
+   * Create shader material with the running fragment shader
+   */
+  createShaderMaterial() {
     const vertexShader = `
       void main() {
         gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
       }
     `;
 
-    const fragmentShader = this.getFragmentShader();
-
     this.shaderMaterial = new THREE.ShaderMaterial({
       uniforms: this.uniforms,
       vertexShader: vertexShader,
-      fragmentShader: fragmentShader
+      fragmentShader: this.fragmentShader
     });
   }
 
   /**
-   * Get fragment shader code (loaded from external file)
+   * Get the built-in fragment shader
+   * Runs until shaders/fragment.glsl loads, and instead of it if the file is missing or fails to compile
    * @returns {string} Fragment shader code
    */
   getFragmentShader() {
-    // Fallback shader in case external file fails to load
     return `
       uniform float u_ecology;
       uniform float u_cohesion;
@@ -129,6 +440,8 @@ class VisualsManager {
       uniform float u_victoryMorph;
       uniform float u_collapseMorph;
       uniform float u_quality;
+      uniform vec3 u_palette;
+      uniform vec4 u_layers;
 
       // Pseudo-random function
       float random(vec2 st) {
@@ -185,16 +498,16 @@ class VisualsManager {
         float waves = sin(uv.y * 10.0 + u_time * 0.5) * u_ecology;
         
         // Node graph layer (cohesion)
-        float nodes = fbm(uv * 5.0 + u_time * 0.1) * u_cohesion;
+        float nodes = fbm(uv * 5.0 + u_time * 0.1) * u_cohesion * u_layers.y;
         
         // Fractal layer (innovation)
-        float fractal = fbm(uv * 8.0 + u_time * 0.2) * u_innovation;
+        float fractal = fbm(uv * 8.0 + u_time * 0.2) * u_innovation * u_layers.z;
         
         // Instability layer (inverse stability)
-        float instability = fbm(uv * 12.0 + u_time * 0.3) * (1.0 - u_stability);
+        float instability = fbm(uv * 12.0 + u_time * 0.3) * (1.0 - u_stability) * u_layers.w;
         
         // Color composition
-        vec3 greenWaves = mix(vec3(0.0, 0.3, 0.0), vec3(0.0, 1.0, 0.0), waves);
+        vec3 greenWaves = mix(vec3(0.0, 0.3, 0.0), vec3(0.0, 1.0, 0.0), waves) * u_layers.x;
         vec3 blueNoise = mix(vec3(0.0, 0.2, 0.5), vec3(0.0, 1.0, 1.0), nodes + fractal);
         vec3 redStatic = mix(vec3(0.5, 0.0, 0.0), vec3(1.0, 0.0, 0.0), instability);
         
@@ -205,6 +518,9 @@ class VisualsManager {
         // Add base noise
         color += baseNoise * 0.1;
         
+        // Era palette
+        color *= u_palette;
+        
         // Victory morphing (green-blue symmetry)
         vec3 victoryColor = mix(vec3(0.0, 1.0, 0.5), vec3(0.0, 0.5, 1.0), sin(u_time * 0.5) * 0.5 + 0.5);
         color = mix(color, victoryColor, u_victoryMorph);
@@ -218,6 +534,52 @@ class VisualsManager {
     `;
   }
 
+  /**
+   * Fetch shaders/fragment.glsl and switch to it if it changed and compiles
+   * The running shader stays in place when the file fails to compile
+   * @returns {Promise<Object>} { changed, errors } with the compiler messages, if any
+   */
+  async loadFragmentShader() {
+    // Without a WebGL context there is nothing to compile; a later check picks up the file
+    if (!this.renderer || this.contextLost) return { changed: false, errors: [] };
+
+    const response = await fetch(SHADER_URL, { cache: 'no-store' });
+    if (!response.ok) throw new Error(`Failed to load ${SHADER_URL}`);
+    const source = await response.text();
+
+    // Only compile edits, so a broken file is reported once rather than on every check
+    if (source === this.shaderFileSource) return { changed: false, errors: [] };
+    this.shaderFileSource = source;
+
+    const errors = this.checkFragmentShader(source);
+    if (errors.length > 0) return { changed: false, errors };
+
+    this.fragmentShader = source;
+    this.shaderMaterial.fragmentShader = source;
+    this.shaderMaterial.needsUpdate = true; // Three.js recompiles on the next render
+    this.shaderOrigin = SHADER_URL;
+    return { changed: true, errors: [] };
+  }
+
+  /**
+   * Compile a fragment shader on its own, before it replaces the running one
+   * @param {string} source - Fragment shader code
+   * @returns {Array} Compiler messages (empty if it compiled)
+   */
+  checkFragmentShader(source) {
+    const gl = this.renderer.getContext();
+    const shader = gl.createShader(gl.FRAGMENT_SHADER);
+
+    // Three.js prepends the precision to ShaderMaterial shaders; #line keeps error line numbers true to the file
+    gl.shaderSource(shader, `precision highp float;\n#line 1\n${source}`);
+    gl.compileShader(shader);
+    const compiled = gl.getShaderParameter(shader, gl.COMPILE_STATUS);
+    const log = compiled ? '' : (gl.getShaderInfoLog(shader) || 'Unknown compile error');
+    gl.deleteShader(shader);
+
+    return log.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+  }
+
   /**
    * Update shader uniforms with current game state
    * @param {Object} variables - Game variables
@@ -234,14 +596,38 @@ class VisualsManager {
     // Update quality mode uniform
     const qualityMode = gameState.qualityMode || 'medium';
     const qualityMap = { 'low': 0, 'medium': 1, 'high': 2 };
-    this.uniforms.u_quality.value = qualityMap[qualityMode] || 1;
+    this.uniforms.u_quality.value = qualityMode in qualityMap ? qualityMap[qualityMode] : 1;
+
+    // Ease toward the era palette so era changes fade in
+    const palette = this.uniforms.u_palette.value;
+    palette.x += (this.paletteTarget[0] - palette.x) * 0.05;
+    palette.y += (this.paletteTarget[1] - palette.y) * 0.05;
+    palette.z += (this.paletteTarget[2] - palette.z) * 0.05;
+  }
+
+  /**
+   * Set how much each layer contributes, for soloing and muting layers
+   * @param {Array} gains - Gain per layer: ecology, cohesion, innovation, stability
+   */
+  setLayerGains(gains) {
+    Object.assign(this.uniforms.u_layers.value, { x: gains[0], y: gains[1], z: gains[2], w: gains[3] });
+  }
+
+  /**
+   * Set the era palette the visualization fades to
+   * @param {Array} palette - RGB tint, or null for the neutral palette
+   */
+  setPalette(palette = null) {
+    this.paletteTarget = palette ? [...palette] : [1, 1, 1];
   }
 
   /**
    * Render the scene
    */
   render() {
-    if (this.renderer && this.scene && this.camera) {
+    if (this.fallbackActive) {
+      this.fallback.render(this.uniforms);
+    } else if (this.renderer && this.scene && this.camera) {
       this.renderer.render(this.scene, this.camera);
     }
   }
@@ -294,11 +680,29 @@ class VisualsManager {
     animate();
   }
 
+  /**
+   * Clear victory and collapse morphs back to the live visualization
+   */
+  resetMorphs() {
+    this.victoryMorphProgress = 0;
+    this.collapseMorphProgress = 0;
+    this.uniforms.u_victoryMorph.value = 0;
+    this.uniforms.u_collapseMorph.value = 0;
+  }
+
+  /**
+   * Get the canvas the visualization is currently drawn on
+   * @returns {HTMLCanvasElement} The WebGL canvas, or the Canvas2D one while it stands in
+   */
+  getCanvas() {
+    return this.fallbackActive ? this.fallback.canvas : this.renderer.domElement;
+  }
+
   /**
    * Export canvas to PNG
    */
   exportCanvas() {
-    const canvas = this.renderer.domElement;
+    const canvas = this.getCanvas();
     const link = document.createElement('a');
     link.href = canvas.toDataURL('image/png');
     link.download = `echoes-of-tomorrow-${Date.now()}.png`;
@@ -312,6 +716,10 @@ class VisualsManager {
     const width = this.container.clientWidth;
     const height = this.container.clientHeight;
 
+    this.uniforms.u_resolution.value.set(width, height);
+    if (this.fallback) this.fallback.setSize(width, height);
+    if (!this.renderer) return;
+
     this.camera.left = -width / 2;
     this.camera.right = width / 2;
     this.camera.top = height / 2;
@@ -319,7 +727,6 @@ class VisualsManager {
     this.camera.updateProjectionMatrix();
 
     this.setRendererResolution(width, height);
-    this.uniforms.u_resolution.value.set(width, height);
 
     // Update mesh geometry
     this.mesh.geometry.dispose();
@@ -344,6 +751,8 @@ class VisualsManager {
    * @param {string} qualityMode - Quality mode ('low', 'medium', 'high')
    */
   updateQualityMode(qualityMode) {
+    if (!this.renderer) return;
+
     const width = this.container.clientWidth;
     const height = this.container.clientHeight;
     this.setRendererResolution(width, height);
@@ -352,3 +761,13 @@ class VisualsManager {
 
 // Global visuals manager instance
 let visualsManager = null;
+
+// Export for Node (tests and tools); the browser uses these as globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SHADER_URL,
+    SHADER_RELOAD_INTERVAL,
+    Canvas2DRenderer,
+    VisualsManager
+  };
+}
@@ -6,6 +6,9 @@ uniform float u_time;
 uniform vec2 u_resolution;
 uniform float u_victoryMorph;
 uniform float u_collapseMorph;
+uniform float u_quality; // 0=low, 1=medium, 2=high
+uniform vec3 u_palette; // Era tint
+uniform vec4 u_layers; // Gain per layer: ecology, cohesion, innovation, stability
 
 // Pseudo-random function
 float random(vec2 st) {
@@ -28,14 +31,26 @@ float noise(vec2 st) {
   return mix(ab, cd, f.y);
 }
 
+// Noise octaves for the quality mode: 0=low (2), 1=medium (4), 2=high (8)
+int qualityIterations() {
+  if (u_quality < 0.5) {
+    return 2;
+  } else if (u_quality > 1.5) {
+    return 8;
+  }
+  return 4;
+}
+
 // Fractional Brownian Motion with quality-based iterations
 // Reuses noise calculations for particle pooling effect
 float fbm(vec2 st) {
   float value = 0.0;
   float amplitude = 0.5;
   float frequency = 1.0;
+  int maxIterations = qualityIterations();
   
-  for (int i = 0; i < 4; i++) {
+  for (int i = 0; i < 8; i++) {
+    if (i >= maxIterations) break;
     value += amplitude * noise(st * frequency);
     st *= 2.0;
     amplitude *= 0.5;
@@ -53,8 +68,10 @@ float turbulence(vec2 st) {
   float value = 0.0;
   float amplitude = 1.0;
   float frequency = 1.0;
+  int maxIterations = qualityIterations() + 2;
   
   for (int i = 0; i < 6; i++) {
+    if (i >= maxIterations) break;
     value += amplitude * abs(noise(st * frequency) - 0.5);
     st *= 2.0;
     amplitude *= 0.5;
@@ -121,11 +138,11 @@ void main() {
   vec3 blueFractal = mix(vec3(0.0, 0.2, 0.4), vec3(0.0, 0.5, 1.0), fractal);
   vec3 redStatic = mix(vec3(0.3, 0.0, 0.0), vec3(1.0, 0.0, 0.0), instability);
   
-  // Blend layers based on variable weights
-  vec3 color = greenWaves * u_ecology;
-  color += cyanNodes * u_cohesion * 0.7;
-  color += blueFractal * u_innovation * 0.6;
-  color += redStatic * (1.0 - u_stability) * 0.5;
+  // Blend layers based on variable weights (and the inspector's layer gains)
+  vec3 color = greenWaves * u_ecology * u_layers.x;
+  color += cyanNodes * u_cohesion * 0.7 * u_layers.y;
+  color += blueFractal * u_innovation * 0.6 * u_layers.z;
+  color += redStatic * (1.0 - u_stability) * 0.5 * u_layers.w;
   
   // Add base noise for texture - reuse cached baseNoise
   color += baseNoise * 0.05;
@@ -133,6 +150,9 @@ void main() {
   // Normalize color to prevent oversaturation
   color = normalizeColor(color);
   
+  // Era palette
+  color *= u_palette;
+  
   // Victory morphing (green-blue symmetry with calming patterns)
   // Reuse baseNoise for victory pattern generation
   vec3 victoryColor = mix(